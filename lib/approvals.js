@@ -0,0 +1,195 @@
+/**
+ * Grant approvals
+ *
+ * Grants of at least `threshold` (gross, per token) aren't paid out right
+ * away: they wait in `pending_approval` until `required` of the `approvers`
+ * sign off with POST /grants/:id/approve (a request signed by the approver,
+ * see lib/auth.js). The last approval queues the payout. A grant that isn't
+ * approved within `ttl` expires, and its deposit is refunded in full, fee
+ * included (see lib/refunds.js).
+ *
+ * The treasury is checked again when the last approval comes in, as it was
+ * when the grant was accepted (`canRelease`). An approved grant it can't pay
+ * yet stays in `pending_approval`, with the reason in `approval.waiting`,
+ * and is released by a later pass (or `releaseApproved()`) once it can; it
+ * no longer expires.
+ *
+ *   pending ──> pending_approval ──> queued     `required` approvals
+ *                      ├───────────> escrowed   milestone grants, likewise
+ *                      └───────────> expired    deposit refunded
+ *
+ * Milestone grants are held before they are escrowed: once approved, the
+ * grantor releases them tranche by tranche as usual.
+ */
+
+const { transitionGrant, grantToken } = require('./grants');
+
+/**
+ * `onApproved(grant)` queues the payout of an approved grant (or escrows a
+ * milestone grant) and returns the grant; `canRelease(grant)` resolves to
+ * null or the { error, code } keeping it from being paid out now;
+ * `onExpired(grant)` refunds an expired one. `threshold` holds
+ * decimal amounts per token symbol ({ ETH: '1', USDC: '2500' }); tokens
+ * without one never need approval.
+ */
+function createApprovals({
+  store,
+  tokens,
+  approvers = [],
+  required = 1,
+  threshold = {},
+  ttl = 72 * 3600 * 1000,
+  onApproved,
+  canRelease = async () => null,
+  onExpired,
+  interval = 60 * 1000
+}) {
+  const approverSet = new Set(approvers.map(a => a.toLowerCase()));
+  if (approverSet.size && !(required >= 1 && required <= approverSet.size)) {
+    throw new Error(`APPROVALS_REQUIRED must be between 1 and the ${approverSet.size} approvers`);
+  }
+  let timer = null;
+  const releasing = new Set(); // grant ids being checked and released
+
+  /** Whether a verified grant must be approved before it is paid out. */
+  function needsApproval(grant) {
+    if (!approverSet.size || grant.mock) return false;
+    const limit = threshold[grant.token];
+    return limit !== undefined && BigInt(grant.grossAmount) >= tokens.parse(limit, grantToken(grant));
+  }
+
+  /** Put a verified grant on hold for approval. */
+  function hold(grant) {
+    const now = Date.now();
+    return transitionGrant(store, grant.id, 'pending_approval', {
+      approval: {
+        required,
+        approvers: Array.from(approverSet),
+        approvals: [],
+        requestedAt: now,
+        expiresAt: now + ttl
+      }
+    });
+  }
+
+  function expire(grant) {
+    grant = transitionGrant(store, grant.id, 'expired', { expiredAt: Date.now() });
+    console.log(`[APPROVALS] Grant ${grant.id} expired without ${grant.approval.required} approvals`);
+    return onExpired(grant) || grant;
+  }
+
+  /**
+   * Pay out an approved grant if the treasury allows it now, or record why
+   * it waits. Returns the grant.
+   */
+  async function release(grant) {
+    if (releasing.has(grant.id)) return grant;
+    releasing.add(grant.id);
+    try {
+      const blocked = await canRelease(grant);
+      grant = store.grants.get(grant.id);
+      if (grant.status !== 'pending_approval') return grant;
+      if (blocked) {
+        if (grant.approval.waiting?.code !== blocked.code) {
+          console.log(`[APPROVALS] Grant ${grant.id} approved, waiting: ${blocked.error}`);
+        }
+        const { error, code } = blocked;
+        return store.grants.update(grant.id, {
+          approval: { ...grant.approval, waiting: { error, code, since: grant.approval.waiting?.since || Date.now() } }
+        });
+      }
+      return onApproved(grant);
+    } finally {
+      releasing.delete(grant.id);
+    }
+  }
+
+  /** Retry approved grants that were waiting on the treasury. */
+  async function releaseApproved() {
+    for (const grant of store.grants.findBy('status', 'pending_approval')) {
+      if (!grant.approval.approvedAt) continue;
+      try {
+        await release(grant);
+      } catch (err) {
+        console.error('[APPROVALS ERROR]', err.message);
+      }
+    }
+  }
+
+  /**
+   * Record `approver`'s sign-off; the one that meets the threshold queues
+   * the payout. Resolves to { grant } or { status, error }.
+   */
+  async function approve(grant, approver) {
+    if (grant.status !== 'pending_approval') {
+      return { status: 409, error: `Grant is ${grant.status}, not pending approval` };
+    }
+    if (!approverSet.has(approver)) {
+      return { status: 403, error: 'Only approvers can approve grants' };
+    }
+    if (grant.approval.approvedAt) {
+      return { status: 409, error: 'Already approved; waiting for the treasury' };
+    }
+    if (grant.approval.expiresAt <= Date.now()) {
+      expire(grant);
+      return { status: 409, error: 'Approval window has passed; the deposit is being refunded' };
+    }
+    if (grant.approval.approvals.some(a => a.address === approver)) {
+      return { status: 409, error: 'Already approved by this address' };
+    }
+
+    const approvals = [...grant.approval.approvals, { address: approver, at: Date.now() }];
+    const approved = approvals.length >= grant.approval.required;
+    grant = store.grants.update(grant.id, {
+      approval: { ...grant.approval, approvals, ...(approved ? { approvedAt: Date.now() } : {}) }
+    });
+    console.log(`[APPROVALS] Grant ${grant.id} approved by ${approver} (${approvals.length}/${grant.approval.required})`);
+    return { grant: approved ? await release(grant) : grant };
+  }
+
+  function expireDue() {
+    const now = Date.now();
+    for (const grant of store.grants.findBy('status', 'pending_approval')) {
+      // Approved grants wait for the treasury instead
+      if (grant.approval.expiresAt > now || grant.approval.approvedAt) continue;
+      try {
+        expire(grant);
+      } catch (err) {
+        console.error('[APPROVALS ERROR]', err.message);
+      }
+    }
+  }
+
+  return {
+    needsApproval,
+    hold,
+    approve,
+    expireDue,
+    releaseApproved,
+
+    /** Approval settings, for /agent and /health. */
+    describe() {
+      return approverSet.size
+        ? { required, approvers: approverSet.size, threshold, ttlSeconds: Math.round(ttl / 1000) }
+        : null;
+    },
+
+    start() {
+      if (timer || !approverSet.size) return;
+      timer = setInterval(() => {
+        expireDue();
+        releaseApproved();
+      }, interval);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  createApprovals
+};
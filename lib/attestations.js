@@ -0,0 +1,366 @@
+/**
+ * On-chain grant records
+ *
+ * Every confirmed grant is attested with EAS (Ethereum Attestation Service)
+ * on its own network, by the payout wallet: one attestation per transfer
+ * that paid it (per recipient of a split, per milestone of an escrow), all
+ * in one multiAttest tx sent through the payout queue. Attestations are
+ * non-revocable and use one schema:
+ *
+ *   bytes32 grantId        the grant's UUID, left-aligned
+ *   address grantor
+ *   address token          zero for the native token
+ *   uint256 amount         paid to the attestation's recipient, base units
+ *   bytes32 reasonHash     keccak256 of the reason
+ *   bytes32 fundingTxHash  zero for grants paid from a prepaid balance
+ *   bytes32 payoutTxHash
+ *
+ * The schema is registered on first start if the network doesn't have it.
+ * Grant history can be rebuilt from the chain alone: the Attested events of
+ * the schema and attester give the UIDs, EAS.getAttestation their data.
+ *
+ *   grant.attestation.status: queued ──> sent ──> confirmed (uids recorded)
+ *                                          └────> failed (retried)
+ */
+
+const { ethers } = require('ethers');
+
+const SCHEMA = 'bytes32 grantId,address grantor,address token,uint256 amount,bytes32 reasonHash,bytes32 fundingTxHash,bytes32 payoutTxHash';
+const SCHEMA_UID = ethers.solidityPackedKeccak256(['string', 'address', 'bool'], [SCHEMA, ethers.ZeroAddress, false]);
+const MAX_ATTEMPTS = 3;
+const MAX_BLOCK_RANGE = 10000;
+
+const easAbi = new ethers.Interface([
+  'function multiAttest((bytes32 schema, (address recipient, uint64 expirationTime, bool revocable, bytes32 refUID, bytes data, uint256 value)[] data)[] multiRequests) payable returns (bytes32[])',
+  'function getAttestation(bytes32 uid) view returns ((bytes32 uid, bytes32 schema, uint64 time, uint64 expirationTime, uint64 revocationTime, bytes32 refUID, address recipient, address attester, bool revocable, bytes data))',
+  'event Attested(address indexed recipient, address indexed attester, bytes32 uid, bytes32 indexed schemaUID)'
+]);
+const schemaRegistryAbi = new ethers.Interface([
+  'function register(string schema, address resolver, bool revocable) returns (bytes32)',
+  'function getSchema(bytes32 uid) view returns ((bytes32 uid, address resolver, bool revocable, string schema))'
+]);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const SCHEMA_TYPES = SCHEMA.split(',').map(field => field.split(' ')[0]);
+
+/** '3f2a...-...' -> bytes32, and back */
+function grantIdToBytes32(id) {
+  return ethers.zeroPadBytes('0x' + id.replace(/-/g, ''), 32);
+}
+
+function bytes32ToGrantId(value) {
+  const hex = value.slice(2, 34);
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+}
+
+function txHashOrZero(hash) {
+  return ethers.isHexString(hash, 32) ? hash : ethers.ZeroHash;
+}
+
+/** The transfers that paid a grant: [{ recipient, amount, txHash }]. */
+function grantTransfers(grant) {
+  if (grant.recipients) {
+    return grant.recipients.map(r => ({ recipient: r.address, amount: r.amount, txHash: r.txHash }));
+  }
+  if (grant.milestones) {
+    return grant.milestones
+      .filter(m => m.status === 'released')
+      .map(m => ({ recipient: grant.recipient, amount: m.amount, txHash: m.txHash }));
+  }
+  return [{ recipient: grant.recipient, amount: grant.netAmount, txHash: grant.distributionTxHash }];
+}
+
+/** Attestation data of one transfer, as the schema encodes it. */
+function encodeRecord(grant, transfer) {
+  return coder.encode(SCHEMA_TYPES, [
+    grantIdToBytes32(grant.id),
+    grant.grantor,
+    grant.tokenAddress || ethers.ZeroAddress,
+    BigInt(transfer.amount),
+    ethers.id(grant.reason || ''),
+    txHashOrZero(grant.fundingTxHash),
+    txHashOrZero(transfer.txHash)
+  ]);
+}
+
+function decodeRecord(data) {
+  const [grantId, grantor, token, amount, reasonHash, fundingTxHash, payoutTxHash] = coder.decode(SCHEMA_TYPES, data);
+  return {
+    grantId: bytes32ToGrantId(grantId),
+    grantor: grantor.toLowerCase(),
+    token: token.toLowerCase(),
+    amount: amount.toString(),
+    reasonHash,
+    fundingTxHash: fundingTxHash === ethers.ZeroHash ? null : fundingTxHash,
+    payoutTxHash: payoutTxHash === ethers.ZeroHash ? null : payoutTxHash
+  };
+}
+
+/** `enabled: false` turns attesting off; proofs of past attestations still work. */
+function createAttestations({ store, networks, payoutQueue, enabled = true }) {
+  /** Queue the attestation tx of a confirmed grant. */
+  function attest(grant, attempts = 0) {
+    const network = networks.get(grant.chainId);
+    if (!network?.eas || !network.payoutWallet) return grant;
+
+    const transfers = grantTransfers(grant);
+    const data = easAbi.encodeFunctionData('multiAttest', [[{
+      schema: SCHEMA_UID,
+      data: transfers.map(t => ({
+        recipient: t.recipient,
+        expirationTime: 0n,
+        revocable: false,
+        refUID: ethers.ZeroHash,
+        data: encodeRecord(grant, t),
+        value: 0n
+      }))
+    }]]);
+    const payout = payoutQueue.enqueue({
+      kind: 'attestation',
+      chainId: grant.chainId,
+      grantId: grant.id,
+      to: network.eas.address,
+      value: 0n,
+      data,
+      recipient: transfers[0].recipient,
+      amount: 0n,
+      token: network.tokens.native.symbol
+    });
+    return store.grants.update(grant.id, {
+      attestation: {
+        status: payout.status,
+        payoutId: payout.id,
+        attempts: attempts + 1,
+        eas: network.eas.address,
+        schemaUID: SCHEMA_UID,
+        attester: network.payoutWallet.toLowerCase(),
+        uids: [],
+        txHash: null
+      }
+    });
+  }
+
+  /** Record the UIDs from the Attested events of a confirmed attestation tx. */
+  async function recordUids(grant, payout) {
+    const network = networks.get(grant.chainId);
+    try {
+      const receipt = await network.getProvider().getTransactionReceipt(payout.txHash);
+      const uids = receipt.logs
+        .filter(log => log.address.toLowerCase() === network.eas.address.toLowerCase())
+        .map(log => easAbi.parseLog(log))
+        .filter(event => event?.name === 'Attested' && event.args.schemaUID === SCHEMA_UID)
+        .map(event => event.args.uid);
+      const current = store.grants.get(grant.id);
+      store.grants.update(grant.id, { attestation: { ...current.attestation, uids } });
+      if (uids.length) {
+        console.log(`[ATTEST] Grant ${grant.id} attested: ${uids.join(', ')}`);
+      } else {
+        console.error(`[ATTEST ERROR] Grant ${grant.id}: tx ${payout.txHash} has no Attested events`);
+      }
+    } catch (err) {
+      console.error(`[ATTEST ERROR] Grant ${grant.id}:`, err.message);
+    }
+  }
+
+  /**
+   * Follow payout changes: attest grants as they are confirmed, and mirror
+   * attestation txs onto their grant.
+   */
+  function syncPayout(payout) {
+    const grant = payout.grantId && store.grants.get(payout.grantId);
+    if (!grant || grant.mock) return;
+
+    if (payout.kind !== 'attestation') {
+      if (!enabled) return;
+      if (grant.status === 'confirmed' && !grant.attestation) attest(grant);
+      return;
+    }
+    if (payout.id !== grant.attestation?.payoutId) return;
+    grant.attestation = { ...grant.attestation, status: payout.status, txHash: payout.txHash || null };
+    store.grants.update(grant.id, { attestation: grant.attestation });
+    if (payout.status === 'confirmed') {
+      recordUids(grant, payout);
+    } else if ((payout.status === 'failed' || payout.status === 'replaced') && grant.attestation.attempts < MAX_ATTEMPTS) {
+      attest(grant, grant.attestation.attempts);
+    }
+  }
+
+  /** Queue the schema registration on networks that don't have it yet. */
+  async function registerSchemas() {
+    for (const network of networks.list()) {
+      if (!network.eas || !network.payoutsEnabled) continue;
+      try {
+        const [schema] = schemaRegistryAbi.decodeFunctionResult('getSchema', await network.getProvider().call({
+          to: network.eas.schemaRegistry,
+          data: schemaRegistryAbi.encodeFunctionData('getSchema', [SCHEMA_UID])
+        }));
+        if (schema.uid !== ethers.ZeroHash) continue;
+        const pending = ['queued', 'sending', 'sent']
+          .flatMap(status => store.payouts.findBy('status', status))
+          .some(p => p.kind === 'attestation' && !p.grantId && p.chainId === network.chainId);
+        if (pending) continue;
+        payoutQueue.enqueue({
+          kind: 'attestation',
+          chainId: network.chainId,
+          to: network.eas.schemaRegistry,
+          value: 0n,
+          data: schemaRegistryAbi.encodeFunctionData('register', [SCHEMA, ethers.ZeroAddress, false]),
+          amount: 0n,
+          token: network.tokens.native.symbol
+        });
+        console.log(`[ATTEST] Registering the grant schema ${SCHEMA_UID} on ${network.name}`);
+      } catch (err) {
+        console.error(`[ATTEST ERROR] Schema check on ${network.name}:`, err.message);
+      }
+    }
+  }
+
+  async function readAttestation(network, uid) {
+    const [attestation] = easAbi.decodeFunctionResult('getAttestation', await network.getProvider().call({
+      to: network.eas.address,
+      data: easAbi.encodeFunctionData('getAttestation', [uid])
+    }));
+    return attestation;
+  }
+
+  /** What a grant's attestations are, from the record (for GET /grants/:id/proof). */
+  function proof(grant) {
+    const network = networks.get(grant.chainId);
+    const a = grant.attestation;
+    if (!a) return null;
+    return {
+      status: a.status,
+      chainId: grant.chainId,
+      eas: a.eas,
+      schema: SCHEMA,
+      schemaUID: a.schemaUID,
+      attester: a.attester,
+      txHash: a.txHash,
+      txUrl: network?.txUrl(a.txHash),
+      uids: a.uids,
+      urls: network?.eas?.explorer ? a.uids.map(uid => `${network.eas.explorer}/attestation/view/${uid}`) : []
+    };
+  }
+
+  /**
+   * Check a grant against the chain: each attestation must exist with our
+   * schema and attester, unrevoked, and say what the record says; the payout
+   * txs must have succeeded from the attester. Returns { verified, checks }.
+   */
+  async function verify(grant) {
+    const network = networks.get(grant.chainId);
+    const a = grant.attestation;
+    if (!a?.uids?.length) {
+      return { verified: false, checks: [{ check: 'attested', ok: false, detail: a ? `Attestation ${a.status}` : 'Not attested' }] };
+    }
+    const checks = [];
+    const expected = grantTransfers(grant);
+    const records = [];
+    for (const uid of a.uids) {
+      const attestation = await readAttestation(network, uid);
+      const ok = attestation.uid === uid && attestation.schema === SCHEMA_UID &&
+        attestation.attester.toLowerCase() === a.attester && attestation.revocationTime === 0n;
+      checks.push({ check: `attestation ${uid}`, ok, detail: ok ? null : 'Missing, revoked, or not ours' });
+      if (ok) records.push({ recipient: attestation.recipient.toLowerCase(), ...decodeRecord(attestation.data) });
+    }
+
+    for (const [i, transfer] of expected.entries()) {
+      const record = records.find(r => r.recipient === transfer.recipient.toLowerCase() && r.amount === BigInt(transfer.amount).toString() &&
+        r.payoutTxHash === (transfer.txHash || null));
+      const fields = record && record.grantId === grant.id && record.grantor === grant.grantor &&
+        record.token === (grant.tokenAddress || ethers.ZeroAddress).toLowerCase() && record.reasonHash === ethers.id(grant.reason || '') &&
+        record.fundingTxHash === (ethers.isHexString(grant.fundingTxHash, 32) ? grant.fundingTxHash : null);
+      checks.push({ check: `transfer ${i + 1} attested`, ok: !!fields, detail: fields ? null : `No attestation matches ${transfer.amount} to ${transfer.recipient}` });
+
+      const receipt = transfer.txHash && await network.getProvider().getTransactionReceipt(transfer.txHash);
+      const paid = !!receipt && receipt.status === 1 && receipt.from.toLowerCase() === a.attester;
+      checks.push({ check: `transfer ${i + 1} paid`, ok: paid, detail: paid ? null : 'Payout tx missing, reverted, or not from the attester' });
+    }
+    if (grant.fundingTxHash && ethers.isHexString(grant.fundingTxHash, 32)) {
+      const receipt = await network.getProvider().getTransactionReceipt(grant.fundingTxHash);
+      const funded = !!receipt && receipt.status === 1;
+      checks.push({ check: 'funding tx', ok: funded, detail: funded ? null : 'Funding tx missing or reverted' });
+    }
+    return { verified: checks.every(c => c.ok), checks };
+  }
+
+  /**
+   * Rebuild grants from the chain alone: Attested events of our schema by
+   * `attester` in [fromBlock, toBlock] (at most MAX_BLOCK_RANGE blocks; the
+   * latest ones by default), read back from EAS.
+   * Returns { grants, fromBlock, toBlock, nextFromBlock }.
+   */
+  async function history(network, { attester = network.payoutWallet, fromBlock = null, toBlock = null, grantId = null }) {
+    const provider = network.getProvider();
+    const head = await provider.getBlockNumber();
+    const last = Math.min(toBlock ?? head, head);
+    if (fromBlock === null) fromBlock = Math.max(0, last - MAX_BLOCK_RANGE + 1);
+    const to = Math.min(last, fromBlock + MAX_BLOCK_RANGE - 1);
+    const logs = await provider.getLogs({
+      address: network.eas.address,
+      topics: [easAbi.getEvent('Attested').topicHash, null, ethers.zeroPadValue(attester, 32), SCHEMA_UID],
+      fromBlock,
+      toBlock: to
+    });
+
+    const grants = new Map();
+    for (const log of logs) {
+      const { uid } = easAbi.parseLog(log).args;
+      const attestation = await readAttestation(network, uid);
+      const record = decodeRecord(attestation.data);
+      if (grantId && record.grantId !== grantId) continue;
+      const entry = grants.get(record.grantId) || {
+        grantId: record.grantId,
+        grantor: record.grantor,
+        token: record.token,
+        reasonHash: record.reasonHash,
+        fundingTxHash: record.fundingTxHash,
+        attestedAt: Number(attestation.time) * 1000,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+        revoked: false,
+        transfers: []
+      };
+      entry.transfers.push({ uid, recipient: attestation.recipient.toLowerCase(), amount: record.amount, payoutTxHash: record.payoutTxHash });
+      entry.revoked = entry.revoked || attestation.revocationTime !== 0n;
+      grants.set(record.grantId, entry);
+    }
+    return {
+      grants: Array.from(grants.values()),
+      fromBlock,
+      toBlock: to,
+      nextFromBlock: to < last ? to + 1 : null
+    };
+  }
+
+  return {
+    SCHEMA,
+    SCHEMA_UID,
+    attest,
+    syncPayout,
+    proof,
+    verify,
+    history,
+
+    /** Networks grants are attested on, for /agent and /health. */
+    describe() {
+      if (!enabled) return null;
+      return {
+        schema: SCHEMA,
+        schemaUID: SCHEMA_UID,
+        networks: networks.list().filter(n => n.eas).map(n => ({ chainId: n.chainId, eas: n.eas.address, attester: n.payoutWallet }))
+      };
+    },
+
+    start() {
+      if (enabled) registerSchemas();
+    }
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  SCHEMA_UID,
+  grantIdToBytes32,
+  bytes32ToGrantId,
+  createAttestations
+};
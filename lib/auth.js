@@ -0,0 +1,187 @@
+/**
+ * Request signatures
+ *
+ * Requests that move or direct funds are signed by the account making them,
+ * as EIP-712 typed data:
+ *
+ *   Authorization(string action, address signer, string params, uint256 nonce, uint256 expiry)
+ *
+ * `params` is the canonical JSON (sorted keys) of the request parameters the
+ * server acts on, so a signature can't be reused with different ones. Each
+ * nonce is accepted once per signer and `expiry` (unix seconds) bounds how
+ * long a signature is valid. Wallets without typed-data support can sign the
+ * same fields as a plain EIP-191 message instead (`auth.type: 'personal'`).
+ *
+ * Clients send `auth: { signer, nonce, expiry, signature }` in the body, or
+ * as JSON in an `X-Auth` header (for GET and DELETE). An unsigned (or badly
+ * signed) request is answered with the data to sign.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const TYPES = {
+  Authorization: [
+    { name: 'action', type: 'string' },
+    { name: 'signer', type: 'address' },
+    { name: 'params', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+/** Parameters as the string that goes into `Authorization.params`. */
+function canonicalParams(params) {
+  return JSON.stringify(canonicalize(params));
+}
+
+/** EIP-191 rendering of an Authorization, for `auth.type: 'personal'`. */
+function personalMessage(message) {
+  return [
+    'Direct Grants',
+    `Action: ${message.action}`,
+    `Signer: ${message.signer}`,
+    `Params: ${message.params}`,
+    `Nonce: ${message.nonce}`,
+    `Expiry: ${message.expiry}`
+  ].join('\n');
+}
+
+/**
+ * `chainId` goes into the EIP-712 domain. Signatures may be valid for at
+ * most `maxTtl` seconds; requests for data to sign get `ttl` seconds.
+ */
+function createAuth({ store, chainId, ttl = 600, maxTtl = 3600 }) {
+  const domain = { name: 'Direct Grants', version: '1', chainId };
+  let lastPrune = 0;
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  /** Typed data (and its EIP-191 form) for a client to sign. */
+  function request(action, signer, params) {
+    const message = {
+      action,
+      signer: signer && ethers.isAddress(signer) ? ethers.getAddress(signer) : null,
+      params: canonicalParams(params),
+      nonce: BigInt('0x' + crypto.randomBytes(16).toString('hex')).toString(),
+      expiry: now() + ttl
+    };
+    return { domain, types: TYPES, primaryType: 'Authorization', message, personalMessage: personalMessage(message) };
+  }
+
+  /** Forget used nonces whose signatures have expired anyway. */
+  function prune() {
+    if (Date.now() - lastPrune < 60 * 1000) return;
+    lastPrune = Date.now();
+    const expired = store.authNonces.all().filter(entry => entry.expiresAt <= Date.now());
+    store.batch(() => {
+      for (const entry of expired) store.authNonces.remove(entry.id);
+    });
+  }
+
+  /**
+   * Check `auth` against an action and its params, consuming the nonce.
+   * Returns { signer } (lowercased) or { status, error }.
+   */
+  function verify(action, params, auth) {
+    if (!auth?.signature) {
+      return { status: 401, error: 'Signature required' };
+    }
+    if (!auth.signer || !ethers.isAddress(auth.signer)) {
+      return { status: 400, error: 'auth.signer must be an address' };
+    }
+
+    let nonce;
+    let expiry;
+    try {
+      nonce = BigInt(auth.nonce);
+      expiry = BigInt(auth.expiry);
+    } catch {
+      return { status: 400, error: 'auth.nonce and auth.expiry must be integers' };
+    }
+    if (expiry <= BigInt(now())) {
+      return { status: 401, error: 'Signature expired' };
+    }
+    if (expiry > BigInt(now() + maxTtl)) {
+      return { status: 400, error: `auth.expiry may be at most ${maxTtl}s ahead` };
+    }
+
+    const message = {
+      action,
+      signer: ethers.getAddress(auth.signer),
+      params: canonicalParams(params),
+      nonce: nonce.toString(),
+      expiry: Number(expiry)
+    };
+    let recovered;
+    try {
+      recovered = auth.type === 'personal'
+        ? ethers.verifyMessage(personalMessage(message), auth.signature)
+        : ethers.verifyTypedData(domain, TYPES, message, auth.signature);
+    } catch {
+      return { status: 401, error: 'Invalid signature' };
+    }
+    if (recovered !== message.signer) {
+      return { status: 401, error: 'Signature does not match signer and params' };
+    }
+
+    const signer = message.signer.toLowerCase();
+    try {
+      store.authNonces.insert({ id: `${signer}:${message.nonce}`, signer, expiresAt: Number(expiry) * 1000 });
+    } catch (err) {
+      if (err.code !== 'DUPLICATE') throw err;
+      return { status: 401, error: 'Nonce already used' };
+    }
+    prune();
+    return { signer };
+  }
+
+  /**
+   * Middleware requiring a signature for `action` over `paramsOf(req)`.
+   * Sets `req.signer`.
+   */
+  function requireSignature(action, paramsOf) {
+    return (req, res, next) => {
+      let credentials = req.body?.auth;
+      if (!credentials && req.get('x-auth')) {
+        try {
+          credentials = JSON.parse(req.get('x-auth'));
+        } catch {
+          return res.status(400).json({ error: 'X-Auth header must be JSON' });
+        }
+      }
+      const params = paramsOf(req);
+      const result = verify(action, params, credentials);
+      if (result.error) {
+        const signer = credentials?.signer || req.body?.grantor || req.body?.address;
+        return res.status(result.status).json({ error: result.error, sign: request(action, signer, params) });
+      }
+      req.signer = result.signer;
+      next();
+    };
+  }
+
+  return {
+    domain,
+    request,
+    verify,
+    requireSignature
+  };
+}
+
+module.exports = {
+  TYPES,
+  canonicalParams,
+  personalMessage,
+  createAuth
+};
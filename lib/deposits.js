@@ -0,0 +1,347 @@
+/**
+ * Deposit indexer
+ *
+ * Scans blocks for transfers into the treasury and records every one as a
+ * deposit, so funds sent without a POST /grants (or with a mistyped txHash)
+ * can be found and then claimed with a grant or refunded:
+ *
+ *   unclaimed ──> claimed    a grant (or a recurring grant schedule, see
+ *       │                    lib/schedules.js) was funded by its tx
+ *       │  ▲
+ *       └──┴────> refunded   sent back to the sender (back to unclaimed if
+ *                            the refund payout fails)
+ *
+ * ETH deposits are top-level transactions to the treasury carrying value
+ * (read from full blocks); token deposits are Transfer logs of allowlisted
+ * tokens (eth_getLogs). ETH forwarded by a contract call (an internal
+ * transfer) shows up in neither.
+ *
+ * A deposit tagged with calldata (see memoOf) keeps the tag as `memo`, so
+ * a payment can reference what it is for (grant intents use this).
+ *
+ * Every enabled network is scanned for its own treasury and tokens, and
+ * deposits record their `chainId`. Scan positions are kept per chain in the
+ * `cursors` collection ('deposits:<chainId>'). A fresh install starts at
+ * the network's `startBlock`, or at the chain head when none is given, and
+ * only blocks with the network's `confirmations` are read.
+ */
+
+const { ethers } = require('ethers');
+const { erc20 } = require('./tokens');
+
+const TRANSFER_TOPIC = erc20.getEvent('Transfer').topicHash;
+const TRANSFER_SELECTOR = erc20.getFunction('transfer').selector;
+const STATUSES = ['unclaimed', 'claimed', 'refunded'];
+
+// Longest calldata tag (bytes) recorded as a deposit memo
+const MAX_MEMO_BYTES = 32;
+
+/**
+ * Bytes a sender tagged a deposit with: the whole calldata of an ETH
+ * transfer, or whatever follows the arguments of a token transfer() call.
+ */
+function memoOf(data, isToken = false) {
+  if (!data || data === '0x') return null;
+  let memo = data;
+  if (isToken) {
+    const argsEnd = 2 + 8 + 128;
+    if (!data.startsWith(TRANSFER_SELECTOR) || data.length <= argsEnd) return null;
+    memo = '0x' + data.slice(argsEnd);
+  }
+  return ethers.dataLength(memo) <= MAX_MEMO_BYTES ? memo.toLowerCase() : null;
+}
+
+function depositToken(deposit) {
+  return { symbol: deposit.token, address: deposit.tokenAddress, decimals: deposit.decimals };
+}
+
+const cursorName = chainId => `deposits:${chainId}`;
+
+/**
+ * `networks` are the enabled networks (see lib/networks.js): chainId,
+ * getProvider, tokens, treasury, startBlock and confirmations of each.
+ */
+function createDepositIndexer({
+  store,
+  networks,
+  tokens,
+  payoutQueue,
+  batchSize = 100,
+  interval = 15000,
+  onDeposit = () => {}
+}) {
+  let timer = null;
+  let scanning = null;
+  const lastErrors = new Map();
+
+  /** Block timestamps (ms) for one scan, fetched once per block. */
+  function blockTimes(provider) {
+    const cache = new Map();
+    return async n => {
+      if (!cache.has(n)) cache.set(n, provider.getBlock(n).then(b => b.timestamp * 1000));
+      return cache.get(n);
+    };
+  }
+
+  async function ethDeposits(network, provider, fromBlock, toBlock) {
+    const treasuryAddress = network.treasury.toLowerCase();
+    const found = [];
+    for (let n = fromBlock; n <= toBlock; n++) {
+      const block = await provider.getBlock(n, true);
+      if (!block) continue;
+      for (const tx of block.prefetchedTransactions) {
+        if (tx.to?.toLowerCase() !== treasuryAddress || tx.value === 0n) continue;
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        if (!receipt || receipt.status !== 1) continue;
+        found.push({
+          id: `${tx.hash}:eth`,
+          txHash: tx.hash,
+          from: tx.from,
+          token: network.tokens.native,
+          amount: tx.value,
+          memo: memoOf(tx.data),
+          blockNumber: n,
+          timestamp: block.timestamp * 1000
+        });
+      }
+    }
+    return found;
+  }
+
+  async function tokenDeposits(network, provider, fromBlock, toBlock) {
+    const addresses = network.tokens.list().filter(t => t.address).map(t => t.address);
+    if (!addresses.length) return [];
+    const logs = await provider.getLogs({
+      address: addresses,
+      topics: [TRANSFER_TOPIC, null, ethers.zeroPadValue(network.treasury, 32)],
+      fromBlock,
+      toBlock
+    });
+    const timeOf = blockTimes(provider);
+    const found = [];
+    for (const log of logs) {
+      const token = network.tokens.get(log.address);
+      if (!token) continue;
+      const { args } = erc20.parseLog(log);
+      const tx = await provider.getTransaction(log.transactionHash);
+      found.push({
+        id: `${log.transactionHash}:${log.index}`,
+        txHash: log.transactionHash,
+        from: args.from,
+        token,
+        amount: args.value,
+        memo: tx?.to?.toLowerCase() === token.address.toLowerCase() ? memoOf(tx.data, true) : null,
+        blockNumber: log.blockNumber,
+        timestamp: await timeOf(log.blockNumber)
+      });
+    }
+    return found;
+  }
+
+  /** What claimed a funding tx: { grantId } once past verification, or { scheduleId }. */
+  function claimant(txHash) {
+    const grant = store.grants.findBy('fundingTxHash', txHash).find(g => g.status !== 'pending');
+    if (grant) return { grantId: grant.id };
+    const [schedule] = store.schedules.findBy('fundingTxHash', txHash);
+    return schedule ? { scheduleId: schedule.id } : null;
+  }
+
+  function record(network, found) {
+    if (store.deposits.has(found.id)) return null;
+    const owner = claimant(found.txHash);
+    const deposit = store.deposits.insert({
+      id: found.id,
+      chainId: network.chainId,
+      txHash: found.txHash,
+      from: found.from.toLowerCase(),
+      token: found.token.symbol,
+      tokenAddress: found.token.address,
+      decimals: found.token.decimals,
+      amount: found.amount.toString(),
+      amountFormatted: tokens.format(found.amount, found.token),
+      memo: found.memo || undefined,
+      blockNumber: found.blockNumber,
+      timestamp: found.timestamp,
+      status: owner ? 'claimed' : 'unclaimed',
+      grantId: owner?.grantId || null,
+      scheduleId: owner?.scheduleId,
+      indexedAt: Date.now()
+    });
+    console.log(`[DEPOSITS] ${deposit.amountFormatted} from ${deposit.from} in ${deposit.txHash} on ${network.name} (${deposit.status})`);
+    return deposit;
+  }
+
+  /** Index the network's next range of confirmed blocks. Returns the number of deposits found. */
+  async function scanOnce(network) {
+    const provider = network.getProvider();
+    const name = cursorName(network.chainId);
+    const safeHead = (await provider.getBlockNumber()) - network.confirmations + 1;
+    const cursor = store.cursors.get(name);
+    const fromBlock = cursor ? cursor.nextBlock : (network.startBlock ?? safeHead);
+    const toBlock = Math.min(safeHead, fromBlock + batchSize - 1);
+    if (toBlock < fromBlock) return 0;
+
+    const found = [
+      ...await ethDeposits(network, provider, fromBlock, toBlock),
+      ...await tokenDeposits(network, provider, fromBlock, toBlock)
+    ];
+    const recorded = found.map(f => record(network, f)).filter(Boolean);
+    if (recorded.some(d => d.status === 'unclaimed')) onDeposit();
+
+    const patch = { nextBlock: toBlock + 1, headBlock: safeHead, scannedAt: Date.now() };
+    if (cursor) store.cursors.update(name, patch);
+    else store.cursors.insert({ name, ...patch });
+    return recorded.length;
+  }
+
+  async function run() {
+    // One network's RPC being down doesn't hold up the others
+    for (const network of networks) {
+      try {
+        // Catch up in batches; a fresh cursor lands on the head after one pass
+        let cursor;
+        do {
+          await scanOnce(network);
+          cursor = store.cursors.get(cursorName(network.chainId));
+        } while (cursor && cursor.nextBlock <= cursor.headBlock);
+        lastErrors.delete(network.chainId);
+      } catch (err) {
+        lastErrors.set(network.chainId, err.message);
+        console.error(`[DEPOSITS ERROR] ${network.name}:`, err.message);
+      }
+    }
+  }
+
+  /** Scan every network up to its confirmed head; concurrent calls share one run. */
+  function scan() {
+    if (!scanning) {
+      scanning = run().finally(() => {
+        scanning = null;
+      });
+    }
+    return scanning;
+  }
+
+  /** Mark the deposits in a funding tx as claimed by `owner` ({ grantId } or { scheduleId }). */
+  function claimTx(txHash, owner) {
+    for (const deposit of store.deposits.findBy('txHash', txHash)) {
+      if (deposit.status !== 'unclaimed') continue;
+      store.deposits.update(deposit.id, { status: 'claimed', ...owner, claimedAt: Date.now() });
+    }
+  }
+
+  /** Mark the deposits in a grant's funding tx as claimed by it. */
+  function claim(grant) {
+    claimTx(grant.fundingTxHash, { grantId: grant.id });
+  }
+
+  /** Whether a funding tx was (or is being) refunded and can't fund a grant. */
+  function isRefunded(txHash) {
+    return store.deposits.findBy('txHash', txHash).some(d => d.status === 'refunded');
+  }
+
+  /** Send an unclaimed deposit back to its sender. Returns { deposit, payout } or { status, error }. */
+  function refund(deposit) {
+    if (deposit.status !== 'unclaimed') {
+      return { status: 409, error: `Deposit is ${deposit.status}` };
+    }
+    // A grant holding the tx (even one still being verified) wins
+    if (store.grants.findBy('fundingTxHash', deposit.txHash).length) {
+      return { status: 409, error: 'Deposit has been claimed by a grant' };
+    }
+    if (store.schedules.findBy('fundingTxHash', deposit.txHash).length) {
+      return { status: 409, error: 'Deposit funds a recurring grant schedule' };
+    }
+
+    const token = depositToken(deposit);
+    const amount = BigInt(deposit.amount);
+    const payout = payoutQueue.enqueue({
+      kind: 'refund',
+      chainId: deposit.chainId,
+      depositId: deposit.id,
+      ...tokens.buildTransfer({ token, recipient: deposit.from, amount }),
+      recipient: deposit.from,
+      amount,
+      token: token.symbol
+    });
+    console.log(`[DEPOSITS] Refunding ${deposit.amountFormatted} to ${deposit.from} (${deposit.id})`);
+    return {
+      payout,
+      deposit: store.deposits.update(deposit.id, {
+        status: 'refunded',
+        refundPayoutId: payout.id,
+        refundStatus: payout.status,
+        refundTxHash: null,
+        refundRequestedAt: Date.now()
+      })
+    };
+  }
+
+  /** Mirror a deposit refund payout; a failed refund leaves the deposit unclaimed again. */
+  function syncPayout(payout) {
+    if (payout.kind !== 'refund' || !payout.depositId) return;
+    const deposit = store.deposits.get(payout.depositId);
+    if (!deposit || deposit.refundPayoutId !== payout.id) return;
+    const failed = payout.status === 'failed' || payout.status === 'replaced';
+    store.deposits.update(deposit.id, {
+      status: failed ? 'unclaimed' : 'refunded',
+      refundStatus: payout.status,
+      refundTxHash: payout.txHash || null,
+      refundedAt: payout.status === 'confirmed' ? Date.now() : deposit.refundedAt
+    });
+  }
+
+  /** Deposits matching { from, status, token, chainId }, newest first. */
+  function list({ from, status, token, chainId, limit = 100 } = {}) {
+    let deposits = from ? store.deposits.findBy('from', from.toLowerCase())
+      : status ? store.deposits.findBy('status', status)
+        : store.deposits.all();
+    deposits = deposits
+      .filter(d => !status || d.status === status)
+      .filter(d => !token || d.token.toUpperCase() === token.toUpperCase())
+      .filter(d => !chainId || d.chainId === chainId)
+      .sort((a, b) => b.blockNumber - a.blockNumber || (a.id < b.id ? -1 : 1));
+    return { deposits: deposits.slice(0, limit), total: deposits.length };
+  }
+
+  return {
+    STATUSES,
+    scan,
+    claim,
+    claimTx,
+    isRefunded,
+    refund,
+    syncPayout,
+    list,
+
+    /** Scan position per network. */
+    status() {
+      return networks.map(network => {
+        const cursor = store.cursors.get(cursorName(network.chainId));
+        return {
+          chainId: network.chainId,
+          nextBlock: cursor?.nextBlock ?? null,
+          headBlock: cursor?.headBlock ?? null,
+          scannedAt: cursor?.scannedAt ?? null,
+          lastError: lastErrors.get(network.chainId) || null
+        };
+      });
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(scan, interval);
+      timer.unref?.();
+      scan();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  createDepositIndexer
+};
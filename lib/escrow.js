@@ -0,0 +1,268 @@
+/**
+ * Milestone escrow
+ *
+ * An escrowed grant keeps its net amount in the treasury and pays it out in
+ * tranches, one per milestone. Each tranche is released by a request signed
+ * by the grantor (see lib/auth.js). Cancelling — also signed — or letting the
+ * grant pass `expiresAt` refunds every milestone that is still locked to the
+ * depositor in a single payout. The fee is not refunded.
+ *
+ * A tranche whose payout fails or is replaced never reached the recipient:
+ * its milestone can be released again, and is refunded like a locked one.
+ * If the grant was cancelled (or expired) while the tranche was in flight,
+ * that milestone is refunded on its own once the failure is known.
+ *
+ *   milestone: locked ──> released (tranche payout queued)
+ *                 │          └──> released again (tranche payout failed)
+ *                 └─────> refunded (refund payout queued)
+ *
+ *   grant:     escrowed ──> confirmed (every tranche released and confirmed)
+ *                 └───────> cancelled (cancelled or expired, rest refunded)
+ */
+
+const { allocate } = require('./splits');
+const { transitionGrant, grantToken } = require('./grants');
+
+const MAX_MILESTONES = 20;
+
+const UNDELIVERED = ['failed', 'replaced'];
+
+/** Milestones whose funds are still in the treasury: locked, or released with a failed tranche. */
+function isUndelivered(milestone) {
+  return milestone.status === 'locked'
+    || (milestone.status === 'released' && UNDELIVERED.includes(milestone.payoutStatus));
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null) return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+/**
+ * Check the shape of `milestones` (and `expiresAt`) from a request body.
+ * Returns { milestones, expiresAt } normalized, or { error }.
+ */
+function validateMilestones(milestones, expiresAt) {
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    return { error: 'milestones must be a non-empty array' };
+  }
+  if (milestones.length > MAX_MILESTONES) {
+    return { error: `At most ${MAX_MILESTONES} milestones per grant` };
+  }
+
+  const expires = parseTime(expiresAt);
+  if (Number.isNaN(expires) || (expires !== null && expires <= Date.now())) {
+    return { error: 'expiresAt must be a future timestamp or ISO date' };
+  }
+
+  const normalized = [];
+  for (const [i, m] of milestones.entries()) {
+    const hasShare = m?.share !== undefined;
+    const hasAmount = m?.amount !== undefined;
+    if (hasShare === hasAmount) {
+      return { error: `milestones[${i}]: give exactly one of share or amount` };
+    }
+    if (hasShare && !(Number(m.share) > 0)) {
+      return { error: `milestones[${i}]: share must be a positive number` };
+    }
+    if (hasAmount && !(Number(m.amount) > 0)) {
+      return { error: `milestones[${i}]: amount must be a positive number` };
+    }
+    const dueAt = parseTime(m.dueAt);
+    if (Number.isNaN(dueAt)) {
+      return { error: `milestones[${i}]: invalid dueAt` };
+    }
+    normalized.push({
+      n: i + 1,
+      description: m.description || `Milestone ${i + 1}`,
+      share: hasShare ? Number(m.share) : undefined,
+      requestedAmount: hasAmount ? m.amount.toString() : undefined,
+      dueAt
+    });
+  }
+  return { milestones: normalized, expiresAt: expires };
+}
+
+/**
+ * Escrow operations. Tranches and refunds go out through `payoutQueue`;
+ * `interval` is how often expired escrows are refunded.
+ */
+function createEscrow({ store, payoutQueue, tokens, interval = 60 * 1000 }) {
+  let timer = null;
+
+  /** Fill in milestone amounts from the verified net amount. */
+  function allocateMilestones(grant) {
+    const token = grantToken(grant);
+    let result;
+    try {
+      result = allocate(BigInt(grant.netAmount), grant.milestones, amount => tokens.parse(amount, token));
+    } catch (err) {
+      return { error: `Invalid milestone amount: ${err.shortMessage || err.message}` };
+    }
+    if (result.error) return result;
+
+    const milestones = result.allocations.map(({ share, requestedAmount, ...m }) => ({
+      ...m,
+      amount: m.amount.toString(),
+      amountFormatted: tokens.format(m.amount, token),
+      status: 'locked'
+    }));
+    return { grant: store.grants.update(grant.id, { milestones }) };
+  }
+
+  function queueTransfer(grant, kind, recipient, amount, extra = {}) {
+    if (grant.mock) return null;
+    const token = grantToken(grant);
+    return payoutQueue.enqueue({
+      kind,
+      chainId: grant.chainId,
+      grantId: grant.id,
+      ...tokens.buildTransfer({ token, recipient, amount }),
+      recipient,
+      amount,
+      token: token.symbol,
+      ...extra
+    });
+  }
+
+  /** Queue the tranche for milestone `n`. Returns { grant } or { status, error }. */
+  function release(grant, n) {
+    if (grant.status !== 'escrowed') {
+      return { status: 409, error: `Grant is ${grant.status}, not escrowed` };
+    }
+    const milestone = grant.milestones.find(m => m.n === n);
+    if (!milestone) {
+      return { status: 404, error: 'Milestone not found' };
+    }
+    if (!isUndelivered(milestone)) {
+      return { status: 409, error: `Milestone already ${milestone.status}` };
+    }
+
+    const payout = queueTransfer(grant, 'tranche', grant.recipient, BigInt(milestone.amount), { milestone: n });
+    const milestones = grant.milestones.map(m => {
+      if (m.n !== n) return m;
+      const released = {
+        ...m,
+        status: 'released',
+        releasedAt: Date.now(),
+        payoutId: payout?.id || null,
+        payoutStatus: payout ? payout.status : 'confirmed',
+        txHash: null
+      };
+      if (m.payoutId) released.previousPayoutIds = [...(m.previousPayoutIds || []), m.payoutId];
+      return released;
+    });
+    const again = milestone.status === 'released' ? ' again' : '';
+    console.log(`[ESCROW] Grant ${grant.id} milestone ${n} released${again} (${milestone.amountFormatted})`);
+    return { grant: settle(store.grants.update(grant.id, { milestones })) };
+  }
+
+  /**
+   * Refund every locked milestone (and every released one whose tranche
+   * failed) to the depositor and close the escrow. `reason` is 'cancelled'
+   * or 'expired'.
+   */
+  function refundLocked(grant, reason) {
+    if (grant.status !== 'escrowed') {
+      return { status: 409, error: `Grant is ${grant.status}, not escrowed` };
+    }
+    const token = grantToken(grant);
+    const undelivered = grant.milestones.filter(isUndelivered);
+    const total = undelivered.reduce((sum, m) => sum + BigInt(m.amount), 0n);
+
+    const payout = total > 0n ? queueTransfer(grant, 'refund', grant.depositor, total) : null;
+    const milestones = grant.milestones.map(m => {
+      if (!isUndelivered(m)) return m;
+      const refunded = {
+        ...m,
+        status: 'refunded',
+        refundedAt: Date.now(),
+        payoutId: payout?.id || null,
+        payoutStatus: payout ? payout.status : 'confirmed'
+      };
+      if (m.payoutId) refunded.previousPayoutIds = [...(m.previousPayoutIds || []), m.payoutId];
+      return refunded;
+    });
+    console.log(`[ESCROW] Grant ${grant.id} ${reason}, refunding ${tokens.format(total, token)} to ${grant.depositor}`);
+    return {
+      grant: transitionGrant(store, grant.id, 'cancelled', {
+        milestones,
+        cancelReason: reason,
+        refundAmount: total.toString(),
+        refundAmountFormatted: tokens.format(total, token),
+        refundPayoutId: payout?.id || null,
+        refundStatus: payout ? payout.status : 'confirmed'
+      })
+    };
+  }
+
+  /** Confirm the grant once every milestone is released and paid. */
+  function settle(grant) {
+    if (grant.status !== 'escrowed') return grant;
+    const done = grant.milestones.every(m => m.status === 'released' && m.payoutStatus === 'confirmed');
+    return done ? transitionGrant(store, grant.id, 'confirmed', { confirmedAt: Date.now() }) : grant;
+  }
+
+  /** Refund the milestone of a cancelled grant whose in-flight tranche didn't get through. */
+  function refundTranche(grant, milestone) {
+    const payout = queueTransfer(grant, 'refund', grant.depositor, BigInt(milestone.amount), { milestone: milestone.n });
+    console.log(`[ESCROW] Grant ${grant.id} milestone ${milestone.n} tranche ${milestone.payoutStatus} after ${grant.cancelReason}, refunding ${milestone.amountFormatted} to ${grant.depositor}`);
+    return {
+      ...milestone,
+      status: 'refunded',
+      refundedAt: Date.now(),
+      payoutId: payout?.id || null,
+      payoutStatus: payout ? payout.status : 'confirmed',
+      txHash: null,
+      previousPayoutIds: [...(milestone.previousPayoutIds || []), milestone.payoutId]
+    };
+  }
+
+  /** Mirror tranche/refund payout progress onto the grant's milestones. */
+  function syncPayout(payout) {
+    if (payout.kind !== 'tranche' && payout.kind !== 'refund') return;
+    const grant = payout.grantId && store.grants.get(payout.grantId);
+    if (!grant?.milestones) return;
+    const milestones = grant.milestones.map(m => {
+      if (m.payoutId !== payout.id) return m;
+      const synced = { ...m, payoutStatus: payout.status, txHash: payout.txHash || null };
+      // Released before the cancel, so refundLocked couldn't take it back then
+      return grant.status === 'cancelled' && isUndelivered(synced) ? refundTranche(grant, synced) : synced;
+    });
+    settle(store.grants.update(grant.id, { milestones }));
+  }
+
+  function expireDue() {
+    const now = Date.now();
+    for (const grant of store.grants.findBy('status', 'escrowed')) {
+      if (grant.expiresAt && grant.expiresAt <= now) {
+        refundLocked(grant, 'expired');
+      }
+    }
+  }
+
+  return {
+    allocateMilestones,
+    release,
+    refundLocked,
+    syncPayout,
+    expireDue,
+    start() {
+      if (timer) return;
+      timer = setInterval(expireDue, interval);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  MAX_MILESTONES,
+  isUndelivered,
+  validateMilestones,
+  createEscrow
+};
@@ -0,0 +1,231 @@
+/**
+ * Accounting export
+ *
+ * One row per grant with amounts in base units and as exact decimals, the
+ * funding and distribution transactions with their block timestamps, and
+ * USD values at the time of payout from the configured price source (see
+ * lib/prices.js). Rows are produced one at a time so routes can stream them.
+ *
+ * Block timestamps are looked up once and cached; a grant created before
+ * fundingBlockNumber was recorded gets it filled in on first export.
+ */
+
+const { ethers } = require('ethers');
+
+const COLUMNS = [
+  'id',
+  'createdAt',
+  'status',
+  'mock',
+  'chainId',
+  'grantor',
+  'depositor',
+  'recipients',
+  'reason',
+  'token',
+  'tokenAddress',
+  'decimals',
+  'grossAmount',
+  'grossAmountDecimal',
+  'fee',
+  'feeDecimal',
+  'netAmount',
+  'netAmountDecimal',
+  'refundAmount',
+  'refundAmountDecimal',
+  'refundTxHash',
+  'fundingTxHash',
+  'fundingBlockNumber',
+  'fundingTimestamp',
+  'distributionTxHashes',
+  'distributionBlockNumber',
+  'distributionTimestamp',
+  'usdPrice',
+  'grossUsd',
+  'feeUsd',
+  'netUsd'
+];
+
+// Grants whose fee the treasury kept
+const FEE_STATUSES = ['queued', 'escrowed', 'sent', 'confirmed', 'cancelled'];
+
+const PERIODS = ['day', 'week', 'month', 'year'];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating user-supplied text as a formula
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\n';
+}
+
+function periodKey(timestamp, period) {
+  const iso = new Date(timestamp).toISOString();
+  switch (period) {
+    case 'day':
+      return iso.slice(0, 10);
+    case 'week': {
+      const d = new Date(timestamp);
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      return d.toISOString().slice(0, 10);
+    }
+    case 'month':
+      return iso.slice(0, 7);
+    default:
+      return iso.slice(0, 4);
+  }
+}
+
+function usd(amount, decimals, price) {
+  if (price === null || amount === null) return null;
+  return (parseFloat(ethers.formatUnits(amount, decimals)) * price).toFixed(2);
+}
+
+/** `networks` is the network registry; blocks are read from each grant's chain. */
+function createExporter({ store, networks, prices }) {
+  const blockTimes = new Map();
+
+  function providerFor(grant) {
+    return networks.get(grant.chainId)?.getProvider() || null;
+  }
+
+  async function blockTimestamp(grant, blockNumber) {
+    const provider = providerFor(grant);
+    if (blockNumber === null || blockNumber === undefined || !provider) return null;
+    const key = `${grant.chainId}:${blockNumber}`;
+    if (!blockTimes.has(key)) {
+      const block = await provider.getBlock(blockNumber);
+      if (!block) return null;
+      blockTimes.set(key, block.timestamp * 1000);
+    }
+    return blockTimes.get(key);
+  }
+
+  async function fundingBlock(grant) {
+    if (grant.fundingBlockNumber !== undefined || grant.mock || !providerFor(grant)) return grant.fundingBlockNumber ?? null;
+    const receipt = await providerFor(grant).getTransactionReceipt(grant.fundingTxHash);
+    if (!receipt) return null;
+    store.grants.update(grant.id, { fundingBlockNumber: receipt.blockNumber });
+    return receipt.blockNumber;
+  }
+
+  /** Transactions that paid the grant's recipients, and the last block among them. */
+  function distribution(grant) {
+    const payouts = store.payouts.findBy('grantId', grant.id)
+      .filter(p => (p.kind === 'grant' || p.kind === 'tranche') && p.txHash && (p.status === 'sent' || p.status === 'confirmed'));
+    const hashes = new Set(payouts.map(p => p.txHash));
+    if (grant.distributionTxHash) hashes.add(grant.distributionTxHash);
+    const blocks = payouts.map(p => p.blockNumber).filter(n => n !== undefined && n !== null);
+    return {
+      txHashes: Array.from(hashes),
+      blockNumber: blocks.length ? Math.max(...blocks) : (grant.blockNumber ?? null)
+    };
+  }
+
+  /** The export row for one grant, keyed by COLUMNS. */
+  async function row(grant) {
+    const decimals = grant.decimals ?? 18;
+    const amount = key => (grant[key] !== undefined ? BigInt(grant[key]) : null);
+    const decimal = value => (value === null ? null : ethers.formatUnits(value, decimals));
+    const wei = value => (value === null ? null : value.toString());
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+
+    const [fundingBlockNumber, paid] = [await fundingBlock(grant), distribution(grant)];
+    const fundingTime = await blockTimestamp(grant, fundingBlockNumber);
+    const distributionTime = await blockTimestamp(grant, paid.blockNumber);
+    const pricedAt = distributionTime || grant.confirmedAt || grant.createdAt;
+    const price = grant.token ? await prices.usd(grant.token, pricedAt) : null;
+
+    const gross = amount('grossAmount');
+    const fee = amount('fee');
+    const net = amount('netAmount');
+    const refund = amount('refundAmount');
+    return {
+      id: grant.id,
+      createdAt: iso(grant.createdAt),
+      status: grant.status,
+      mock: !!grant.mock,
+      chainId: grant.chainId,
+      grantor: grant.grantor,
+      depositor: grant.depositor,
+      recipients: grant.recipients ? grant.recipients.map(r => r.address).join(';') : grant.recipient,
+      reason: grant.reason,
+      token: grant.token,
+      tokenAddress: grant.tokenAddress,
+      decimals,
+      grossAmount: wei(gross),
+      grossAmountDecimal: decimal(gross),
+      fee: wei(fee),
+      feeDecimal: decimal(fee),
+      netAmount: wei(net),
+      netAmountDecimal: decimal(net),
+      refundAmount: wei(refund),
+      refundAmountDecimal: decimal(refund),
+      refundTxHash: grant.refundTxHash,
+      fundingTxHash: grant.fundingTxHash,
+      fundingBlockNumber,
+      fundingTimestamp: iso(fundingTime),
+      distributionTxHashes: paid.txHashes.join(';'),
+      distributionBlockNumber: paid.blockNumber,
+      distributionTimestamp: iso(distributionTime),
+      usdPrice: price,
+      grossUsd: usd(gross, decimals, price),
+      feeUsd: usd(fee, decimals, price),
+      netUsd: usd(net, decimals, price)
+    };
+  }
+
+  /**
+   * Fees kept by the treasury per period ('day' | 'week' | 'month' | 'year')
+   * and token, oldest period first.
+   */
+  async function feeSummary(grants, period = 'month') {
+    const buckets = new Map();
+    for (const grant of grants) {
+      if (!FEE_STATUSES.includes(grant.status) || grant.mock) continue;
+      const key = periodKey(grant.createdAt, period);
+      const bucket = buckets.get(key) || buckets.set(key, {}).get(key);
+      const t = bucket[grant.token] || (bucket[grant.token] = { decimals: grant.decimals, grants: 0, gross: 0n, fee: 0n, net: 0n, feeUsd: 0, unpriced: 0 });
+      t.grants += 1;
+      t.gross += BigInt(grant.grossAmount);
+      t.fee += BigInt(grant.fee);
+      t.net += BigInt(grant.netAmount);
+
+      const { feeUsd } = await row(grant);
+      if (feeUsd === null) t.unpriced += 1;
+      else t.feeUsd += parseFloat(feeUsd);
+    }
+
+    return Array.from(buckets.keys()).sort().map(key => ({
+      period: key,
+      tokens: Object.fromEntries(Object.entries(buckets.get(key)).map(([symbol, t]) => [symbol, {
+        grants: t.grants,
+        gross: t.gross.toString(),
+        grossDecimal: ethers.formatUnits(t.gross, t.decimals),
+        fee: t.fee.toString(),
+        feeDecimal: ethers.formatUnits(t.fee, t.decimals),
+        net: t.net.toString(),
+        netDecimal: ethers.formatUnits(t.net, t.decimals),
+        feeUsd: t.feeUsd.toFixed(2),
+        // Grants whose fee has no USD price (left out of feeUsd)
+        unpriced: t.unpriced
+      }]))
+    }));
+  }
+
+  return {
+    row,
+    feeSummary
+  };
+}
+
+module.exports = {
+  COLUMNS,
+  PERIODS,
+  csvLine,
+  createExporter
+};
@@ -0,0 +1,270 @@
+/**
+ * Fee policy
+ *
+ * The fee is taken once from each grant's deposit, in the deposit's token:
+ *
+ *   bps        base rate in basis points (500 = 5%)
+ *   tiers      rate by deposit size, per token: 'ETH:1=300,ETH:10=100'
+ *              charges 3% from 1 ETH and 1% from 10 ETH
+ *   min / max  fee bounds per token, decimal amounts ({ USDC: '0.5' })
+ *   discounts  percent off the fee for listed grantors ({ '0xabc...': 50 })
+ *   waived     recipients that pay no fee; a split grant is waived only
+ *              when every recipient is
+ *
+ * Rate, then bounds, then discount and waiver, so a 100% discount is free
+ * even with a minimum fee. A deposit that doesn't cover its fee is refused.
+ *
+ * Fees of grants that went through are forwarded to `recipient` as `fee`
+ * payouts. With no recipient (or the treasury itself) they stay in the
+ * treasury. A fee is forwarded once it can no longer be refunded: when the
+ * grant is confirmed or escrowed, or refunded without its fee. With a
+ * `sweepInterval` they are instead swept on a schedule: one `fee` payout per
+ * network and token for everything kept since the last sweep (at least
+ * `sweepMin`, per token), retried at the next sweep if it fails.
+ */
+
+const { ethers } = require('ethers');
+const { grantToken, grantRecipients } = require('./grants');
+
+// Grant statuses that may hold a kept fee
+const SETTLED_STATUSES = ['confirmed', 'escrowed', 'cancelled', 'failed', 'replaced'];
+
+const MAX_BPS = 10000n;
+
+/** 'ETH:1=300,ETH:10=100' -> { ETH: [{ from: '10', bps: 100 }, { from: '1', bps: 300 }] } */
+function parseTiers(spec) {
+  const tiers = {};
+  for (const entry of (spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = /^([^:=]+):([\d.]+)=(\d+)$/.exec(entry);
+    if (!match) throw new Error(`Invalid fee tier ${entry}: use SYMBOL:fromAmount=bps`);
+    (tiers[match[1]] = tiers[match[1]] || []).push({ from: match[2], bps: parseInt(match[3]) });
+  }
+  return tiers;
+}
+
+/** '0xabc:50,0xdef:100' -> { '0xabc': 50, '0xdef': 100 } (percent off) */
+function parseDiscounts(spec) {
+  return Object.fromEntries((spec || '').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [address, percent] = entry.split(':');
+    if (!ethers.isAddress(address?.toLowerCase()) || !(parseFloat(percent) >= 0 && parseFloat(percent) <= 100)) {
+      throw new Error(`Invalid fee discount ${entry}: use 0xaddress:percent`);
+    }
+    return [address.toLowerCase(), parseFloat(percent)];
+  }));
+}
+
+function createFees({
+  store,
+  tokens,
+  payoutQueue,
+  treasury,
+  bps = 500,
+  tiers = {},
+  min,
+  max,
+  discounts = {},
+  waived = [],
+  recipient = null,
+  sweepInterval = null,
+  sweepMin = {}
+}) {
+  if (!(bps >= 0 && bps <= 10000)) throw new Error(`Invalid fee bps ${bps}`);
+  const waivedRecipients = new Set(waived.map(a => a.toLowerCase()));
+  const feeRecipient = recipient && recipient.toLowerCase() !== treasury.toLowerCase()
+    ? ethers.getAddress(recipient)
+    : null;
+  let timer = null;
+
+  // Bounds and tier thresholds in base units, per token symbol
+  const parsedTiers = {};
+  for (const [symbol, list] of Object.entries(tiers)) {
+    const token = tokens.get(symbol);
+    if (!token) throw new Error(`Fee tier for unknown token ${symbol}`);
+    parsedTiers[token.symbol] = list
+      .map(t => ({ from: tokens.parse(t.from, token), bps: BigInt(t.bps) }))
+      .sort((a, b) => (a.from > b.from ? -1 : 1));
+  }
+  function bound(amounts, token) {
+    const value = amounts?.[token.symbol];
+    return value === undefined ? null : tokens.parse(value, token);
+  }
+
+  function rateFor(amount, token) {
+    const tier = (parsedTiers[token.symbol] || []).find(t => amount >= t.from);
+    return tier ? tier.bps : BigInt(bps);
+  }
+
+  /**
+   * The fee on a deposit of `amount` (base units) by `grantor` to
+   * `recipients` (addresses). Returns { fee, net, bps, ... } or { error }.
+   */
+  function quote({ amount, token = tokens.native, grantor = null, recipients = [] }) {
+    const rate = rateFor(amount, token);
+    let fee = (amount * rate) / MAX_BPS;
+    const minFee = bound(min, token);
+    const maxFee = bound(max, token);
+    if (minFee !== null && fee < minFee) fee = minFee;
+    if (maxFee !== null && fee > maxFee) fee = maxFee;
+
+    const discount = grantor ? discounts[grantor.toLowerCase()] || 0 : 0;
+    if (discount) fee -= (fee * BigInt(Math.round(discount * 100))) / 10000n;
+    const isWaived = recipients.length > 0 && recipients.every(r => waivedRecipients.has(r.toLowerCase()));
+    if (isWaived) fee = 0n;
+
+    if (fee >= amount && amount > 0n) {
+      return { error: `Amount does not cover the ${tokens.format(fee, token)} fee` };
+    }
+    return {
+      fee,
+      net: amount - fee,
+      bps: Number(rate),
+      discountPercent: discount || undefined,
+      waived: isWaived || undefined
+    };
+  }
+
+  /** The schedule in force, for /health, /agent and quotes. */
+  function describe() {
+    return {
+      bps,
+      percent: bps / 100,
+      tiers: Object.fromEntries(Object.entries(parsedTiers).map(([symbol, list]) => [symbol,
+        list.map(t => ({ from: ethers.formatUnits(t.from, tokens.get(symbol).decimals).replace(/\.0$/, ''), bps: Number(t.bps) })).reverse()])),
+      min,
+      max,
+      discountedGrantors: Object.keys(discounts).length,
+      waivedRecipients: Array.from(waivedRecipients),
+      recipient: feeRecipient || treasury,
+      // Fees forwarded per grant, or swept every `sweepIntervalMs`
+      sweepIntervalMs: feeRecipient ? sweepInterval : null
+    };
+  }
+
+  /** One-line schedule for people: '5%, 3% from 1 ETH, min 0.5 USDC' */
+  function summary() {
+    const parts = [`${bps / 100}%`];
+    for (const [symbol, list] of Object.entries(describe().tiers)) {
+      for (const t of list) parts.push(`${t.bps / 100}% from ${t.from} ${symbol}`);
+    }
+    for (const [symbol, amount] of Object.entries(min || {})) parts.push(`min ${amount} ${symbol}`);
+    for (const [symbol, amount] of Object.entries(max || {})) parts.push(`max ${amount} ${symbol}`);
+    return parts.join(', ');
+  }
+
+  /** Whether the grant keeps its fee for good. */
+  function feeKept(grant) {
+    if (grant.status === 'confirmed' || grant.status === 'escrowed' || grant.status === 'cancelled') return true;
+    return (grant.status === 'failed' || grant.status === 'replaced') && !!grant.refundStatus && grant.feeRefunded === false;
+  }
+
+  /** Whether the grant has a kept fee not yet forwarded. */
+  function owesFee(grant) {
+    return !grant.mock && !grant.feePayoutId && !!grant.fee && BigInt(grant.fee) > 0n && feeKept(grant);
+  }
+
+  /** Forward a grant's fee to the fee recipient once it is kept (unless fees are swept). */
+  function sync(grant) {
+    if (!feeRecipient || sweepInterval || !owesFee(grant)) return grant;
+
+    const token = grantToken(grant);
+    const amount = BigInt(grant.fee);
+    const payout = payoutQueue.enqueue({
+      kind: 'fee',
+      chainId: grant.chainId,
+      grantId: grant.id,
+      ...tokens.buildTransfer({ token, recipient: feeRecipient, amount }),
+      recipient: feeRecipient,
+      amount,
+      token: token.symbol
+    });
+    console.log(`[FEES] Forwarding ${grant.feeFormatted} of grant ${grant.id} to ${feeRecipient}`);
+    return store.grants.update(grant.id, { feePayoutId: payout.id, feeStatus: payout.status, feeRecipient });
+  }
+
+  /**
+   * Forward every kept fee not yet forwarded: one payout per network and
+   * token, when the total reaches `sweepMin`. Returns the payouts queued.
+   */
+  function sweep() {
+    if (!feeRecipient) return [];
+    const groups = new Map();
+    for (const status of SETTLED_STATUSES) {
+      for (const grant of store.grants.findBy('status', status).filter(owesFee)) {
+        const key = `${grant.chainId}:${grant.token}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(grant);
+      }
+    }
+
+    const swept = [];
+    for (const grants of groups.values()) {
+      const token = grantToken(grants[0]);
+      const amount = grants.reduce((sum, g) => sum + BigInt(g.fee), 0n);
+      const min = bound(sweepMin, token);
+      if (min !== null && amount < min) continue;
+
+      const payout = payoutQueue.enqueue({
+        kind: 'fee',
+        chainId: grants[0].chainId,
+        ...tokens.buildTransfer({ token, recipient: feeRecipient, amount }),
+        recipient: feeRecipient,
+        amount,
+        token: token.symbol
+      });
+      for (const grant of grants) {
+        store.grants.update(grant.id, { feePayoutId: payout.id, feeStatus: payout.status, feeRecipient, feeSweptAt: Date.now() });
+      }
+      console.log(`[FEES] Sweeping ${tokens.format(amount, token)} of fees from ${grants.length} grant(s) on chain ${grants[0].chainId} to ${feeRecipient}`);
+      swept.push(payout);
+    }
+    return swept;
+  }
+
+  /** Follow payout changes: mirror fee payouts, forward fees of settled grants. */
+  function syncPayout(payout) {
+    if (payout.kind === 'fee') {
+      // A failed sweep leaves its fees to the next one
+      const retry = sweepInterval && (payout.status === 'failed' || payout.status === 'replaced');
+      for (const grant of store.grants.findBy('feePayoutId', payout.id)) {
+        store.grants.update(grant.id, retry
+          ? { feePayoutId: null, feeStatus: null, feeSweptAt: null }
+          : { feeStatus: payout.status, feeTxHash: payout.txHash || null });
+      }
+      return;
+    }
+    const grant = payout.grantId && store.grants.get(payout.grantId);
+    if (grant) sync(grant);
+  }
+
+  return {
+    recipient: feeRecipient || treasury,
+    quote,
+    describe,
+    summary,
+    sync,
+    syncPayout,
+    sweep,
+
+    /** quote() for a grant being funded. */
+    quoteGrant(grant, amount, token) {
+      return quote({ amount, token, grantor: grant.grantor, recipients: grantRecipients(grant) });
+    },
+
+    start() {
+      if (timer || !sweepInterval || !feeRecipient) return;
+      timer = setInterval(sweep, sweepInterval);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  parseTiers,
+  parseDiscounts,
+  createFees
+};
@@ -0,0 +1,141 @@
+/**
+ * Grant lifecycle
+ *
+ *   pending ──> queued ──> sent ──> confirmed
+ *      │          ├─────────┴────> replaced
+ *      ├──────────┴─────────┴────> failed
+ *      ├──> escrowed ──────────────> confirmed
+ *      │       └───────────────────> cancelled
+ *      └──> pending_approval ──> queued
+ *              ├───────────────> escrowed (milestone grants)
+ *              └───────────────> expired
+ *
+ * pending   funding tx claimed, being verified
+ * pending_approval  verified, waiting for approvers to sign off (see
+ *           lib/approvals.js)
+ * queued    verified, payout waiting in the payout queue
+ * escrowed  verified, held in the treasury until milestones are released
+ *           (see lib/escrow.js)
+ * sent      payout broadcast, distributionTxHash recorded
+ * confirmed payout mined with the required number of confirmations
+ * replaced  payout nonce was consumed by a transaction we did not send (a
+ *           split grant can get there from queued, while other recipients'
+ *           payouts are still waiting)
+ * failed    payout reverted, or broadcast was rejected
+ * cancelled escrow cancelled or expired, locked milestones refunded
+ * expired   not approved in time, deposit refunded
+ *
+ * Failed, replaced and expired grants are refunded to the depositor (see
+ * lib/refunds.js); the refund is tracked in refund* fields, not the status.
+ *
+ * A grant never moves back towards `pending`, and its fundingTxHash stays
+ * claimed, so one deposit can only ever be paid once.
+ */
+
+const GRANT_TRANSITIONS = {
+  pending: ['queued', 'escrowed', 'pending_approval', 'failed'],
+  pending_approval: ['queued', 'escrowed', 'expired'],
+  queued: ['sent', 'failed', 'replaced'],
+  escrowed: ['confirmed', 'cancelled'],
+  sent: ['confirmed', 'failed', 'replaced'],
+  confirmed: [],
+  replaced: [],
+  failed: [],
+  cancelled: [],
+  expired: []
+};
+
+function transitionGrant(store, id, status, patch = {}) {
+  const grant = store.grants.get(id);
+  if (!GRANT_TRANSITIONS[grant.status]?.includes(status)) {
+    throw new Error(`Invalid grant transition ${grant.status} -> ${status}`);
+  }
+  return store.grants.update(id, { ...patch, status, updatedAt: Date.now() });
+}
+
+// Payout fields copied onto the grant so it reads on its own
+const MIRRORED_PAYOUT_FIELDS = [
+  'blockNumber',
+  'gasUsed',
+  'effectiveGasPrice',
+  'gasFee',
+  'confirmations',
+  'confirmedAt',
+  'error'
+];
+
+/**
+ * Overall status of a split grant from its recipients' payout statuses:
+ * any failure or replacement wins, then the least advanced payout.
+ */
+function aggregateStatus(statuses) {
+  if (statuses.includes('failed')) return 'failed';
+  if (statuses.includes('replaced')) return 'replaced';
+  if (statuses.every(s => s === 'confirmed')) return 'confirmed';
+  if (statuses.every(s => s === 'sent' || s === 'confirmed')) return 'sent';
+  return 'queued';
+}
+
+function syncSplitGrant(store, grant, payout) {
+  const payouts = new Map(store.payouts.findBy('grantId', grant.id).map(p => [p.id, p]));
+  const recipients = grant.recipients.map(r => {
+    const p = payouts.get(r.payoutId);
+    return p ? { ...r, status: p.status, txHash: p.txHash || null } : r;
+  });
+  const status = aggregateStatus(recipients.map(r => r.status || 'queued'));
+
+  const patch = { recipients };
+  if (grant.batched) patch.distributionTxHash = payout.txHash || null;
+  const failed = recipients.filter(r => r.status === 'failed' || r.status === 'replaced').length;
+  if (failed) patch.error = `${failed} of ${recipients.length} payouts did not go through`;
+
+  if (status !== grant.status && GRANT_TRANSITIONS[grant.status].includes(status)) {
+    return transitionGrant(store, grant.id, status, patch);
+  }
+  return store.grants.update(grant.id, patch);
+}
+
+/**
+ * Reflect a payout's progress on the grant it pays out. Called whenever the
+ * payout queue or reconciler changes a `grant` payout.
+ */
+function syncGrantWithPayout(store, payout) {
+  if (payout.kind !== 'grant' || !payout.grantId) return null;
+  const grant = store.grants.get(payout.grantId);
+  if (!grant) return null;
+  if (grant.recipients) return syncSplitGrant(store, grant, payout);
+
+  const patch = { distributionTxHash: payout.txHash || null };
+  for (const field of MIRRORED_PAYOUT_FIELDS) {
+    if (payout[field] !== undefined) patch[field] = payout[field];
+  }
+
+  if (payout.status !== grant.status && GRANT_TRANSITIONS[grant.status].includes(payout.status)) {
+    return transitionGrant(store, grant.id, payout.status, patch);
+  }
+  return store.grants.update(grant.id, patch);
+}
+
+/** Every address a grant pays (one for direct grants, several for splits). */
+function grantRecipients(grant) {
+  return grant.recipients ? grant.recipients.map(r => r.address) : [grant.recipient];
+}
+
+/** Token a grant is denominated in (kept on the grant, so it survives allowlist changes). */
+function grantToken(grant) {
+  return { symbol: grant.token, address: grant.tokenAddress, decimals: grant.decimals };
+}
+
+/** Grants whose payout has gone out (counted in totals and stats). */
+function isPaidOut(grant) {
+  return grant.status === 'sent' || grant.status === 'confirmed';
+}
+
+module.exports = {
+  GRANT_TRANSITIONS,
+  transitionGrant,
+  syncGrantWithPayout,
+  grantRecipients,
+  grantToken,
+  isPaidOut
+};
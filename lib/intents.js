@@ -0,0 +1,273 @@
+/**
+ * Grant intents
+ *
+ * The grant is described first and funded afterwards: POST /grant-intents
+ * returns an exact amount to send and a payment reference, and the deposit
+ * indexer's deposits are matched back to open intents, which are then
+ * executed as grants without a second API call.
+ *
+ *   open ──> matched ──> funded     grant created from the deposit
+ *    │          └──────> failed     grant rejected, deposit refunded
+ *    ├──> expired                   nothing arrived before expiresAt
+ *    └──> cancelled                 withdrawn by the grantor
+ *
+ * A deposit belongs to an intent when it is tagged with the intent's
+ * `reference` (calldata memo, see lib/deposits.js) or, untagged, when its
+ * amount equals the intent's exact amount: the requested amount plus a
+ * small suffix unique among open intents for that token and chain. Only
+ * deposits on the intent's chain count. Tagged deposits
+ * with the wrong token or amount, and deposits for an intent that is no
+ * longer open (late or duplicate payments), are refunded to their sender.
+ * Anything else is left alone for POST /grants.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const { erc20 } = require('./tokens');
+
+const STATUSES = ['open', 'matched', 'funded', 'failed', 'expired', 'cancelled'];
+
+// Suffixes are 1..MAX_SUFFIX units of the 8th decimal (base units for tokens
+// with fewer decimals), e.g. at most 0.0001 ETH or 0.009999 USDC
+const MAX_SUFFIX = 9999;
+const SUFFIX_DECIMALS = 8;
+
+function suffixUnit(decimals) {
+  return 10n ** BigInt(Math.max(0, decimals - SUFFIX_DECIMALS));
+}
+
+/** `networks` is the network registry (see lib/networks.js). */
+function createIntents({
+  store,
+  tokens,
+  depositIndexer,
+  networks,
+  execute,
+  interval = 30000
+}) {
+  let processing = null;
+  let timer = null;
+
+  function openIntents() {
+    return store.grantIntents.findBy('status', 'open');
+  }
+
+  function pickExactAmount(amount, intentToken, chainId) {
+    const unit = suffixUnit(intentToken.decimals);
+    const taken = new Set(openIntents()
+      .filter(i => i.token === intentToken.symbol && i.chainId === chainId)
+      .map(i => i.exactAmount));
+    for (let tries = 0; tries < 50; tries++) {
+      const exact = amount + BigInt(crypto.randomInt(1, MAX_SUFFIX + 1)) * unit;
+      if (!taken.has(exact.toString())) return exact;
+    }
+    return null;
+  }
+
+  /** How to pay an intent: EIP-681 URI, and raw tx fields carrying the reference. */
+  function payment(intent) {
+    const { treasury, chainId } = networks.get(intent.chainId);
+    const exact = BigInt(intent.exactAmount);
+    if (!intent.tokenAddress) {
+      return {
+        to: treasury,
+        value: exact.toString(),
+        data: intent.reference,
+        uri: `ethereum:${treasury}@${chainId}?value=${exact}`
+      };
+    }
+    const transfer = erc20.encodeFunctionData('transfer', [treasury, exact]);
+    return {
+      to: intent.tokenAddress,
+      value: '0',
+      data: transfer + intent.reference.slice(2),
+      uri: `ethereum:${intent.tokenAddress}@${chainId}/transfer?address=${treasury}&uint256=${exact}`
+    };
+  }
+
+  /**
+   * Record an intent. `grant` holds the validated grant fields (recipient
+   * or recipients, milestones, reason); `amount` is the gross amount in base
+   * units of `token` on chain `chainId`. Returns { intent } or { status, error }.
+   */
+  function create({ grantor, grant, chainId, token: intentToken, amount, ttl }) {
+    const exact = pickExactAmount(amount, intentToken, chainId);
+    if (exact === null) {
+      return { status: 503, error: 'Too many open intents for this amount, try a different amount' };
+    }
+    const now = Date.now();
+    const intent = store.grantIntents.insert({
+      id: uuidv4(),
+      grantor,
+      grant,
+      chainId,
+      token: intentToken.symbol,
+      tokenAddress: intentToken.address,
+      decimals: intentToken.decimals,
+      amount: amount.toString(),
+      amountFormatted: tokens.format(amount, intentToken),
+      exactAmount: exact.toString(),
+      exactAmountFormatted: ethers.formatUnits(exact, intentToken.decimals) + ' ' + intentToken.symbol,
+      reference: ethers.hexlify(crypto.randomBytes(8)),
+      status: 'open',
+      expiresAt: now + ttl * 1000,
+      createdAt: now
+    });
+    return { intent: store.grantIntents.update(intent.id, { payment: payment(intent) }) };
+  }
+
+  function cancel(intent) {
+    if (intent.status !== 'open') {
+      return { status: 409, error: `Intent is ${intent.status}` };
+    }
+    return { intent: store.grantIntents.update(intent.id, { status: 'cancelled', cancelledAt: Date.now() }) };
+  }
+
+  function expireDue(now = Date.now()) {
+    for (const intent of openIntents()) {
+      if (intent.expiresAt <= now) {
+        store.grantIntents.update(intent.id, { status: 'expired' });
+        console.log(`[INTENTS] Intent ${intent.id} expired`);
+      }
+    }
+  }
+
+  // Open, or expired only after the deposit was mined (indexing lags a little)
+  function accepts(intent, deposit) {
+    return intent.status === 'open' || (intent.status === 'expired' && deposit.timestamp <= intent.expiresAt);
+  }
+
+  /**
+   * The intent a deposit pays, and whether it can be executed:
+   * { intent, outcome: 'match' | 'late' | 'mismatch' } or null.
+   */
+  function classify(deposit) {
+    if (deposit.memo) {
+      const [intent] = store.grantIntents.findBy('reference', deposit.memo)
+        .filter(i => i.chainId === deposit.chainId);
+      if (intent) {
+        if (!accepts(intent, deposit)) return { intent, outcome: 'late' };
+        if (intent.token !== deposit.token || intent.exactAmount !== deposit.amount) return { intent, outcome: 'mismatch' };
+        return { intent, outcome: 'match' };
+      }
+    }
+
+    const sameAmount = store.grantIntents.all()
+      .filter(i => i.chainId === deposit.chainId && i.token === deposit.token && i.exactAmount === deposit.amount);
+    const accepting = sameAmount.find(i => i.status === 'open') || sameAmount.find(i => accepts(i, deposit));
+    if (accepting) return { intent: accepting, outcome: 'match' };
+    return sameAmount.length ? { intent: sameAmount[0], outcome: 'late' } : null;
+  }
+
+  function refundDeposit(deposit, intent, reason) {
+    // Checked either way: a refund that fails later is retried by hand
+    // (POST /deposits/:id/refund), not on every pass
+    store.deposits.update(deposit.id, { intentCheckedAt: Date.now() });
+    const refunded = depositIndexer.refund(deposit);
+    if (refunded.error) {
+      console.error(`[INTENTS] Could not refund deposit ${deposit.id}: ${refunded.error}`);
+      return;
+    }
+    console.log(`[INTENTS] Refunding ${deposit.amountFormatted} to ${deposit.from}: ${reason} (intent ${intent.id})`);
+    store.deposits.update(deposit.id, { intentId: intent.id, intentOutcome: reason });
+    store.grantIntents.update(intent.id, {
+      refundedDeposits: [...(intent.refundedDeposits || []), { depositId: deposit.id, reason, payoutId: refunded.payout.id }]
+    });
+  }
+
+  async function handle(deposit) {
+    // Re-read: an earlier deposit in this pass may have taken a while
+    deposit = store.deposits.get(deposit.id);
+    if (deposit.status !== 'unclaimed') return;
+    const match = classify(deposit);
+    if (!match) {
+      store.deposits.update(deposit.id, { intentCheckedAt: Date.now() });
+      return;
+    }
+    const { intent, outcome } = match;
+    if (outcome !== 'match') {
+      refundDeposit(deposit, intent, outcome);
+      return;
+    }
+
+    store.grantIntents.update(intent.id, { status: 'matched', depositId: deposit.id, matchedAt: Date.now() });
+    const result = await execute(store.grantIntents.get(intent.id), deposit);
+    if (result.grant) {
+      store.deposits.update(deposit.id, { intentId: intent.id, intentOutcome: 'funded' });
+      store.grantIntents.update(intent.id, { status: 'funded', grantId: result.grant.id, fundedAt: Date.now() });
+      console.log(`[INTENTS] Intent ${intent.id} funded by ${deposit.txHash}, grant ${result.grant.id}`);
+    } else if (result.retry) {
+      // e.g. whitelist or RPC unavailable: try again on the next pass
+      store.grantIntents.update(intent.id, { status: 'open', depositId: null, lastError: result.error });
+    } else {
+      store.grantIntents.update(intent.id, { status: 'failed', error: result.error });
+      refundDeposit(deposit, store.grantIntents.get(intent.id), 'rejected');
+    }
+  }
+
+  async function run() {
+    expireDue();
+    const pending = store.deposits.findBy('status', 'unclaimed')
+      .filter(d => !d.intentCheckedAt)
+      .sort((a, b) => a.blockNumber - b.blockNumber);
+    for (const deposit of pending) {
+      try {
+        await handle(deposit);
+      } catch (err) {
+        console.error('[INTENTS ERROR]', err.message);
+      }
+    }
+  }
+
+  /** Expire intents and match new deposits; concurrent calls share one run. */
+  function watch() {
+    if (!processing) {
+      processing = run().finally(() => {
+        processing = null;
+      });
+    }
+    return processing;
+  }
+
+  return {
+    STATUSES,
+    create,
+    cancel,
+    watch,
+
+    get(id) {
+      return store.grantIntents.get(id);
+    },
+
+    list(grantor, { status } = {}) {
+      return store.grantIntents.findBy('grantor', grantor)
+        .filter(i => !status || i.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    start() {
+      if (timer) return;
+      // An execution cut short by a restart: funded if its grant exists, else open again
+      for (const intent of store.grantIntents.findBy('status', 'matched')) {
+        const [grant] = store.grants.findBy('intentId', intent.id).filter(g => g.status !== 'pending');
+        store.grantIntents.update(intent.id, grant
+          ? { status: 'funded', grantId: grant.id, fundedAt: grant.createdAt }
+          : { status: 'open', depositId: null });
+      }
+      timer = setInterval(watch, interval);
+      timer.unref?.();
+      watch();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  createIntents
+};
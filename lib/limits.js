@@ -0,0 +1,250 @@
+/**
+ * Spending and rate limits
+ *
+ * Policies checked before anything is paid out:
+ *
+ *   maxAmount        largest single grant deposit, per token
+ *   daily / weekly   volume a grantor may commit per rolling 24h / 7d, per token
+ *   recipientGrants  grants one recipient may receive per period ('5/week')
+ *   rate             signed requests one address may make ('10/min')
+ *
+ * plus a per-IP request rate in front of signature checks. Amount limits are
+ * token maps ({ ETH: '1', USDC: '2500' }, decimal amounts); tokens without an
+ * entry are unlimited. A whitelist entry's `limits` override the defaults key
+ * by key.
+ *
+ * Volumes are computed from stored grants (gross deposit, less anything
+ * refunded), so they survive restarts; request rates are in-memory counters.
+ * Amount caps answer 403, frequency limits 429 with `retryAfter` (seconds).
+ */
+
+const { grantToken, grantRecipients } = require('./grants');
+
+const PERIODS = {
+  sec: 1000,
+  min: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const WINDOWS = { daily: PERIODS.day, weekly: PERIODS.week };
+
+// Grants whose deposit counts against volume limits
+const COUNTED_STATUSES = ['pending_approval', 'queued', 'escrowed', 'sent', 'confirmed', 'cancelled'];
+
+/** 'ETH:1,USDC:2500' -> { ETH: '1', USDC: '2500' } */
+function parseAmounts(spec) {
+  if (!spec) return undefined;
+  return Object.fromEntries(spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [symbol, amount] = entry.split(':');
+    return [symbol, amount];
+  }));
+}
+
+/** '10/min' -> { count: 10, period: 'min', ms: 60000 }; null for bad specs. */
+function parseRate(spec) {
+  if (!spec) return null;
+  const match = /^(\d+)\s*\/\s*(\w+)$/.exec(spec.toString().trim());
+  if (!match || !PERIODS[match[2]]) return null;
+  return { count: parseInt(match[1]), period: match[2], ms: PERIODS[match[2]] };
+}
+
+function isCounted(grant) {
+  return COUNTED_STATUSES.includes(grant.status) && !grant.mock;
+}
+
+function committedAmount(grant) {
+  return BigInt(grant.grossAmount || '0') - BigInt(grant.refundAmount || '0');
+}
+
+/**
+ * `policy` holds the default limits in the shape above (amount maps, rate
+ * strings). The per-IP limiter is set up with rateLimit().
+ */
+function createLimits({ store, tokens, policy = {} }) {
+  const counters = new Map();
+
+  /** Limits that apply to a whitelist entry (defaults overridden by its own). */
+  function effective(entry) {
+    const own = entry?.limits || {};
+    const limits = {};
+    for (const key of ['maxAmount', 'daily', 'weekly', 'recipientGrants', 'rate']) {
+      const value = own[key] !== undefined ? own[key] : policy[key];
+      if (value !== undefined && value !== null) limits[key] = value;
+    }
+    return limits;
+  }
+
+  /** Committed volume per token over each window: { daily: { ETH: { amount, grants } }, weekly }. */
+  function volume(grantor, now = Date.now()) {
+    const usage = { daily: {}, weekly: {} };
+    for (const grant of store.grants.findBy('grantor', grantor)) {
+      if (!isCounted(grant)) continue;
+      for (const [window, ms] of Object.entries(WINDOWS)) {
+        if (grant.createdAt < now - ms) continue;
+        const entry = usage[window][grant.token] || (usage[window][grant.token] = { amount: 0n, grants: 0 });
+        entry.amount += committedAmount(grant);
+        entry.grants += 1;
+      }
+    }
+    return usage;
+  }
+
+  function recipientGrants(recipient, ms, now = Date.now()) {
+    return store.grants.findBy('recipient', recipient)
+      .filter(g => isCounted(g) && g.createdAt >= now - ms);
+  }
+
+  /**
+   * Check a verified (still pending) grant against the grantor's limits.
+   * Returns null when it may proceed, otherwise { status, error, code, ... }.
+   */
+  function check(grant, entry) {
+    const limits = effective(entry);
+    const token = grantToken(grant);
+    const amount = BigInt(grant.grossAmount);
+    const format = value => tokens.format(value, token);
+
+    const max = limits.maxAmount?.[grant.token];
+    if (max !== undefined && amount > tokens.parse(max, token)) {
+      return {
+        status: 403,
+        code: 'MAX_GRANT_EXCEEDED',
+        error: 'Grant exceeds the per-grant limit',
+        limit: `${max} ${grant.token}`,
+        requested: format(amount)
+      };
+    }
+
+    const usage = volume(grant.grantor);
+    for (const window of Object.keys(WINDOWS)) {
+      const cap = limits[window]?.[grant.token];
+      if (cap === undefined) continue;
+      const used = usage[window][grant.token]?.amount || 0n;
+      if (used + amount > tokens.parse(cap, token)) {
+        return {
+          status: 403,
+          code: window === 'daily' ? 'DAILY_CAP_EXCEEDED' : 'WEEKLY_CAP_EXCEEDED',
+          error: `Grant would exceed your ${window} ${grant.token} cap`,
+          limit: `${cap} ${grant.token}`,
+          used: format(used),
+          requested: format(amount)
+        };
+      }
+    }
+
+    const rate = parseRate(limits.recipientGrants);
+    if (rate) {
+      for (const recipient of grantRecipients(grant)) {
+        const received = recipientGrants(recipient, rate.ms);
+        if (received.length >= rate.count) {
+          const oldest = Math.min(...received.map(g => g.createdAt));
+          return {
+            status: 429,
+            code: 'RECIPIENT_LIMIT',
+            error: `Recipient ${recipient} already received ${received.length} grants this ${rate.period}`,
+            limit: limits.recipientGrants,
+            retryAfter: Math.max(1, Math.ceil((oldest + rate.ms - Date.now()) / 1000))
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  /** Count a hit on `key`; returns seconds to wait if over `rate`, else 0. */
+  function hit(key, rate, now = Date.now()) {
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + rate.ms };
+      counters.set(key, counter);
+      if (counters.size > 10000) {
+        for (const [k, c] of counters) if (c.resetAt <= now) counters.delete(k);
+      }
+    }
+    counter.count += 1;
+    return counter.count > rate.count ? Math.ceil((counter.resetAt - now) / 1000) : 0;
+  }
+
+  /**
+   * Request rate middleware. `key(req)` names the caller (IP, signer) and
+   * `spec(req)` gives its rate ('30/min'); either returning null skips it.
+   */
+  function rateLimit(name, key, spec) {
+    return (req, res, next) => {
+      const id = key(req);
+      const rate = parseRate(spec(req));
+      if (!id || !rate) return next();
+      const retryAfter = hit(`${name}:${id}`, rate);
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          code: 'RATE_LIMITED',
+          error: `Too many requests, limit is ${rate.count}/${rate.period} per ${name}`,
+          retryAfter
+        });
+      }
+      next();
+    };
+  }
+
+  /** Error string for entry limits that can't be enforced, else null. */
+  function validate(limits) {
+    for (const key of ['maxAmount', 'daily', 'weekly']) {
+      if (limits[key] === undefined) continue;
+      if (!limits[key] || typeof limits[key] !== 'object') return `limits.${key} must be an object of token amounts`;
+      for (const [symbol, max] of Object.entries(limits[key])) {
+        const token = tokens.get(symbol);
+        if (!token) return `limits.${key}: token ${symbol} not allowlisted`;
+        try {
+          tokens.parse(max, token);
+        } catch {
+          return `limits.${key}.${symbol}: invalid amount`;
+        }
+      }
+    }
+    for (const key of ['recipientGrants', 'rate']) {
+      if (limits[key] !== undefined && !parseRate(limits[key])) {
+        return `limits.${key} must look like '10/day' (${Object.keys(PERIODS).join(', ')})`;
+      }
+    }
+    return null;
+  }
+
+  /** Current usage against the limits that apply to `entry`, for display. */
+  function usage(grantor, entry) {
+    const limits = effective(entry);
+    const current = volume(grantor);
+    const view = {};
+    for (const window of Object.keys(WINDOWS)) {
+      view[window] = {};
+      const symbols = new Set([...Object.keys(current[window]), ...Object.keys(limits[window] || {})]);
+      for (const symbol of symbols) {
+        const token = tokens.get(symbol) || { symbol, decimals: 18 };
+        const used = current[window][symbol]?.amount || 0n;
+        view[window][symbol] = {
+          grants: current[window][symbol]?.grants || 0,
+          used: used.toString(),
+          usedFormatted: tokens.format(used, token),
+          limit: limits[window]?.[symbol] ?? null
+        };
+      }
+    }
+    return { limits, ...view };
+  }
+
+  return {
+    effective,
+    check,
+    rateLimit,
+    validate,
+    usage
+  };
+}
+
+module.exports = {
+  parseAmounts,
+  parseRate,
+  createLimits
+};
@@ -0,0 +1,193 @@
+/**
+ * Networks
+ *
+ * Grants are funded and paid out on one chain each (`chainId` on the
+ * grant). Every enabled network has its own RPC, treasury, payout wallet,
+ * confirmation depth, explorer and token allowlist; anything not set for a
+ * chain falls back to the global setting:
+ *
+ *   RPC_URL_<chainId>                RPC endpoint (default: public RPC below)
+ *   TREASURY_ADDRESS_<chainId>       where deposits go
+ *   SIGNER_<chainId>                 payout signer: local | keystore | remote
+ *   TREASURY_PRIVATE_KEY_<chainId>   payout wallet key (local signer)
+ *   SIGNER_KEYSTORE_<chainId>        keystore file (and SIGNER_KEYSTORE_PASSWORD_<chainId>)
+ *   SIGNER_URL_<chainId>             remote signer (and SIGNER_ADDRESS_<chainId>)
+ *   CONFIRMATIONS_<chainId>          blocks before a payout or deposit counts
+ *   TREASURY_MIN_BALANCE_<chainId>   native balance that pauses payouts below it
+ *   EXPLORER_URL_<chainId>           block explorer
+ *   TOKEN_ALLOWLIST_<chainId>        tokens accepted on that chain
+ *   DEPOSIT_START_BLOCK_<chainId>    where the deposit indexer starts
+ *   EAS_ADDRESS_<chainId>            EAS contract for grant attestations (and
+ *                                    EAS_SCHEMA_REGISTRY_<chainId>; default:
+ *                                    the OP Stack predeploys below)
+ *
+ * The RPC is checked to really serve the chain it is configured for before
+ * any funding tx is trusted.
+ *
+ * When the payout wallet isn't the treasury address, the treasury is cold
+ * (a multisig, say): deposits land there, and the hot payout wallet is
+ * topped up from it on demand (see lib/signers.js and lib/treasury.js).
+ */
+
+const { ethers } = require('ethers');
+const { createTokenRegistry } = require('./tokens');
+const { createSigner } = require('./signers');
+
+// EAS and its schema registry are predeployed at the same addresses on OP Stack chains
+const OP_STACK_EAS = {
+  address: '0x4200000000000000000000000000000000000021',
+  schemaRegistry: '0x4200000000000000000000000000000000000020'
+};
+
+const KNOWN_NETWORKS = {
+  8453: { name: 'Base', slug: 'base', rpc: 'https://mainnet.base.org', explorer: 'https://basescan.org', eas: { ...OP_STACK_EAS, explorer: 'https://base.easscan.org' } },
+  84532: { name: 'Base Sepolia', slug: 'base-sepolia', rpc: 'https://sepolia.base.org', explorer: 'https://sepolia.basescan.org', testnet: true, eas: { ...OP_STACK_EAS, explorer: 'https://base-sepolia.easscan.org' } },
+  10: { name: 'Optimism', slug: 'optimism', rpc: 'https://mainnet.optimism.io', explorer: 'https://optimistic.etherscan.io', eas: { ...OP_STACK_EAS, explorer: 'https://optimism.easscan.org' } },
+  42161: { name: 'Arbitrum One', slug: 'arbitrum', rpc: 'https://arb1.arbitrum.io/rpc', explorer: 'https://arbiscan.io' },
+  1: { name: 'Ethereum', slug: 'mainnet', rpc: 'https://ethereum-rpc.publicnode.com', explorer: 'https://etherscan.io' }
+};
+
+/** '8453,optimism,42161' -> [8453, 10, 42161] */
+function parseNetworkList(spec) {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const chainId = /^\d+$/.test(entry)
+      ? parseInt(entry)
+      : parseInt(Object.keys(KNOWN_NETWORKS).find(id => KNOWN_NETWORKS[id].slug === entry.toLowerCase()));
+    if (!KNOWN_NETWORKS[chainId]) {
+      throw new Error(`Unknown network ${entry}: use one of ${Object.entries(KNOWN_NETWORKS).map(([id, n]) => `${id} (${n.slug})`).join(', ')}`);
+    }
+    return chainId;
+  });
+}
+
+function createNetwork(chainId, { env, defaults }) {
+  const known = KNOWN_NETWORKS[chainId];
+  const setting = name => env[`${name}_${chainId}`]?.trim() || undefined;
+  const explorer = (setting('EXPLORER_URL') || known.explorer).replace(/\/$/, '');
+  const startBlock = setting('DEPOSIT_START_BLOCK');
+  const signer = createSigner({
+    kind: setting('SIGNER') || defaults.signer?.kind,
+    privateKey: setting('TREASURY_PRIVATE_KEY') || defaults.privateKey,
+    keystore: setting('SIGNER_KEYSTORE') || defaults.signer?.keystore,
+    password: setting('SIGNER_KEYSTORE_PASSWORD') || defaults.signer?.password,
+    url: setting('SIGNER_URL') || defaults.signer?.url,
+    address: setting('SIGNER_ADDRESS') || defaults.signer?.address,
+    token: setting('SIGNER_TOKEN') || defaults.signer?.token
+  }, () => network.getProvider());
+  const treasury = ethers.getAddress(setting('TREASURY_ADDRESS') || defaults.treasury);
+  const easAddress = setting('EAS_ADDRESS') || known.eas?.address;
+  const schemaRegistry = setting('EAS_SCHEMA_REGISTRY') || known.eas?.schemaRegistry;
+  let provider = null;
+  let checked = null;
+
+  const network = {
+    chainId,
+    name: known.name,
+    slug: known.slug,
+    testnet: !!known.testnet,
+    rpc: setting('RPC_URL') || (chainId === defaults.chainId && defaults.rpc) || known.rpc,
+    explorer,
+    treasury,
+    // Address that signs payouts, and whether it is a hot wallet apart from the treasury
+    payoutWallet: signer?.address || null,
+    coldTreasury: !!signer && signer.address !== treasury,
+    confirmations: parseInt(setting('CONFIRMATIONS') || defaults.confirmations),
+    startBlock: startBlock ? parseInt(startBlock) : (chainId === defaults.chainId ? defaults.startBlock : null),
+    minBalance: ethers.parseEther(setting('TREASURY_MIN_BALANCE') || defaults.minBalance || '0'),
+    tokens: createTokenRegistry(setting('TOKEN_ALLOWLIST') ?? defaults.tokenAllowlist, chainId),
+    // Where grants are attested (see lib/attestations.js); null if EAS isn't known here
+    eas: easAddress && schemaRegistry
+      ? { address: ethers.getAddress(easAddress), schemaRegistry: ethers.getAddress(schemaRegistry), explorer: known.eas?.explorer || null }
+      : null,
+    payoutsEnabled: !!signer,
+
+    getProvider() {
+      if (!provider) provider = new ethers.JsonRpcProvider(network.rpc);
+      return provider;
+    },
+
+    /** The payout signer; null with none configured or a keystore still locked. */
+    getWallet() {
+      return signer?.get() || null;
+    },
+
+    /** Unlock the payout signer (decrypts a keystore; nothing to do for the others). */
+    async unlock() {
+      if (signer) await signer.unlock();
+    },
+
+    /** Whether the RPC serves this chain: null when it does, else an error message. */
+    async checkChain() {
+      if (!checked) {
+        checked = network.getProvider().getNetwork().then(n => (n.chainId === BigInt(chainId)
+          ? null
+          : `RPC for ${known.name} (${chainId}) serves chain ${n.chainId}`));
+        // Ask again next time if the RPC couldn't be reached
+        checked.catch(() => { checked = null; });
+      }
+      return checked;
+    },
+
+    txUrl(hash) {
+      return hash ? `${explorer}/tx/${hash}` : undefined;
+    },
+
+    addressUrl(address) {
+      return `${explorer}/address/${address}`;
+    },
+
+    /** Public description for /health, /agent and GET /networks. */
+    describe() {
+      return {
+        chainId,
+        name: known.name,
+        slug: known.slug,
+        testnet: network.testnet,
+        treasury: network.treasury,
+        payoutWallet: network.payoutWallet,
+        coldTreasury: network.coldTreasury,
+        confirmations: network.confirmations,
+        explorer,
+        tokens: network.tokens.list().map(t => t.symbol),
+        eas: network.eas?.address || null,
+        payoutsEnabled: network.payoutsEnabled
+      };
+    }
+  };
+  return network;
+}
+
+/**
+ * The enabled networks. `chainIds` lists them, `defaults.chainId` is the one
+ * used when a request doesn't name a chain (it is always enabled).
+ * `defaults` holds the global settings: rpc (default chain only), treasury,
+ * privateKey, signer ({ kind, keystore, password, url, address, token }, see
+ * lib/signers.js), confirmations, tokenAllowlist, startBlock (default chain
+ * only), minBalance (native units, see lib/treasury.js).
+ */
+function createNetworks({ chainIds = [], defaults, env = process.env }) {
+  const ids = Array.from(new Set([defaults.chainId, ...chainIds]));
+  const byId = new Map(ids.map(id => {
+    if (!KNOWN_NETWORKS[id]) throw new Error(`Unknown network ${id}`);
+    return [id, createNetwork(id, { env, defaults })];
+  }));
+
+  return {
+    default: byId.get(defaults.chainId),
+
+    list() {
+      return Array.from(byId.values());
+    },
+
+    /** Network for a chain id (number or numeric string); null if not enabled. */
+    get(chainId) {
+      return byId.get(Number(chainId)) || null;
+    }
+  };
+}
+
+module.exports = {
+  KNOWN_NETWORKS,
+  parseNetworkList,
+  createNetworks
+};
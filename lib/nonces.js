@@ -0,0 +1,34 @@
+/**
+ * Nonce manager for the payout wallet
+ *
+ * Hands out consecutive nonces locally instead of asking the node for every
+ * transaction, so payouts signed back-to-back never collide. The local
+ * counter never goes below the node's pending count, and is dropped after
+ * a rejected broadcast so the next call resyncs from the chain.
+ */
+
+function createNonceManager({ getProvider }) {
+  let address = null;
+  let next = null;
+
+  return {
+    async next(forAddress) {
+      const pending = await getProvider().getTransactionCount(forAddress, 'pending');
+      if (address !== forAddress || next === null || pending > next) {
+        address = forAddress;
+        next = pending;
+      }
+      return next++;
+    },
+
+    reset() {
+      next = null;
+    },
+
+    peek() {
+      return next;
+    }
+  };
+}
+
+module.exports = { createNonceManager };
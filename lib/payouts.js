@@ -0,0 +1,347 @@
+/**
+ * Payout queue
+ *
+ * Every outgoing transfer from the treasury wallet is a payout record that
+ * goes through one serialized queue, so nonces are assigned in order and
+ * bursts of grants never race each other. Each network has its own queue
+ * (and wallet); a queue only touches payouts with its `chainId`.
+ *
+ *   queued ──> sending ──> sent ──> confirmed
+ *     ▲           │          ├────> replaced
+ *     └─ retry ───┤          └────> failed
+ *                 └─────────────────> failed (retries exhausted)
+ *
+ * queued    waiting its turn (or backing off after a rejected broadcast)
+ * sending   nonce assigned and tx signed, broadcast in progress
+ * sent      broadcast; the reconciler follows it from here
+ *
+ * A payout that is `sending` when the process dies is recovered as `sent`
+ * on startup (its signed tx is on record and the reconciler rebroadcasts it).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { signPayout, broadcast } = require('./transactions');
+const { createNonceManager } = require('./nonces');
+
+const PAYOUT_TRANSITIONS = {
+  queued: ['sending', 'failed'],
+  sending: ['sent', 'queued', 'failed'],
+  sent: ['confirmed', 'failed', 'replaced'],
+  confirmed: [],
+  replaced: [],
+  failed: []
+};
+
+// Node or signer unreachable. Before broadcast the payout just waits (no
+// retry used up); on broadcast they don't tell us whether the node took the tx.
+const AMBIGUOUS_ERRORS = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'];
+
+function transitionPayout(store, id, status, patch = {}) {
+  const payout = store.payouts.get(id);
+  if (!PAYOUT_TRANSITIONS[payout.status]?.includes(status)) {
+    throw new Error(`Invalid payout transition ${payout.status} -> ${status}`);
+  }
+  return store.payouts.update(id, { ...patch, status, updatedAt: Date.now() });
+}
+
+/** Payout record as shown in API responses (signed bytes left out). */
+function publicPayout(payout) {
+  const { attempts, ...rest } = payout;
+  return {
+    ...rest,
+    attempts: (attempts || []).map(({ raw, ...attempt }) => attempt)
+  };
+}
+
+function createPayoutQueue({
+  store,
+  chainId,
+  getProvider,
+  getWallet,
+  onChange = () => {},
+  maxFeePerGas = null,
+  maxRetries = 5,
+  retryBaseDelay = 5000,
+  interval = 5000,
+  preflight = null
+}) {
+  const nonces = createNonceManager({ getProvider });
+  let draining = null;
+  let timer = null;
+  let lastDrainError = null;
+
+  function transition(id, status, patch) {
+    const payout = transitionPayout(store, id, status, patch);
+    onChange(payout);
+    return payout;
+  }
+
+  /**
+   * Fee overrides that respect the gas ceiling, or null if the network is
+   * currently above it (payouts wait rather than overpay).
+   */
+  async function feeOverrides() {
+    if (maxFeePerGas === null) return {};
+    const feeData = await getProvider().getFeeData();
+    if (feeData.gasPrice !== null && feeData.gasPrice > maxFeePerGas) return null;
+    if (feeData.maxFeePerGas === null) return { gasPrice: feeData.gasPrice };
+    const cap = value => (value > maxFeePerGas ? maxFeePerGas : value);
+    return {
+      maxFeePerGas: cap(feeData.maxFeePerGas),
+      maxPriorityFeePerGas: cap(feeData.maxPriorityFeePerGas)
+    };
+  }
+
+  function retry(payout, err) {
+    const retries = (payout.retries || 0) + 1;
+    const message = err.shortMessage || err.message;
+    if (retries > maxRetries) {
+      console.error(`[QUEUE] Payout ${payout.id} failed after ${maxRetries} retries: ${message}`);
+      return transition(payout.id, 'failed', { retries, error: message });
+    }
+    const delay = retryBaseDelay * 2 ** (retries - 1);
+    console.error(`[QUEUE] Payout ${payout.id} rejected (${message}), retry ${retries} in ${delay}ms`);
+    setTimeout(drain, delay).unref?.();
+    const patch = { retries, lastError: message, nextAttemptAt: Date.now() + delay };
+    if (payout.status === 'queued') {
+      // Rejected before it was signed (pre-flight): it stays queued
+      const updated = store.payouts.update(payout.id, patch);
+      onChange(updated);
+      return updated;
+    }
+    return transition(payout.id, 'queued', patch);
+  }
+
+  /**
+   * Sign and broadcast one payout. Returns false when the queue should stop
+   * draining for now (no wallet, gas above ceiling, RPC or signer
+   * unreachable, pre-flight check failed: see lib/treasury.js). Any other
+   * error before broadcast, such as a gas estimate that reverts, is this
+   * payout's own: it is retried (and eventually failed) so it can't hold up
+   * the queue.
+   */
+  async function processPayout(payout) {
+    const wallet = getWallet();
+    if (!wallet) return false;
+
+    let overrides;
+    let blocked;
+    try {
+      overrides = await feeOverrides();
+      blocked = overrides !== null && preflight && await preflight(payout, wallet, overrides);
+    } catch (err) {
+      if (AMBIGUOUS_ERRORS.includes(err.code)) {
+        store.payouts.update(payout.id, { lastError: `RPC unavailable, waiting: ${err.shortMessage || err.message}` });
+        return false;
+      }
+      retry(payout, err);
+      return true;
+    }
+    if (overrides === null) {
+      store.payouts.update(payout.id, { lastError: 'Gas price above ceiling, waiting' });
+      return false;
+    }
+    if (blocked) {
+      store.payouts.update(payout.id, { lastError: blocked });
+      return false;
+    }
+
+    payout = transition(payout.id, 'sending');
+
+    let attempt;
+    try {
+      const nonce = await nonces.next(wallet.address);
+      attempt = await signPayout(wallet, {
+        to: payout.to,
+        value: BigInt(payout.value),
+        data: payout.data,
+        nonce,
+        ...overrides
+      });
+    } catch (err) {
+      nonces.reset();
+      if (AMBIGUOUS_ERRORS.includes(err.code)) {
+        // Nothing was signed or sent: wait for the RPC (or signer) without using up a retry
+        transition(payout.id, 'queued', { lastError: `RPC unavailable, waiting: ${err.shortMessage || err.message}` });
+        return false;
+      }
+      retry(payout, err);
+      return true;
+    }
+
+    // Persist the signed tx before it leaves the process
+    const previous = payout.attempts || [];
+    payout = store.payouts.update(payout.id, {
+      attempts: [...previous, attempt],
+      nonce: attempt.nonce,
+      txHash: attempt.hash
+    });
+
+    try {
+      await broadcast(getProvider(), attempt.raw);
+    } catch (err) {
+      if (AMBIGUOUS_ERRORS.includes(err.code)) {
+        console.error(`[QUEUE] Broadcast of ${attempt.hash} uncertain:`, err.message);
+        transition(payout.id, 'sent', { sentAt: attempt.sentAt });
+        return true;
+      }
+      // Definitely not in the mempool: forget this attempt and its nonce
+      nonces.reset();
+      store.payouts.update(payout.id, { attempts: previous, nonce: null, txHash: null });
+      retry(store.payouts.get(payout.id), err);
+      return true;
+    }
+
+    transition(payout.id, 'sent', { sentAt: attempt.sentAt, lastError: null });
+    console.log(`[QUEUE] Payout ${payout.id} sent: ${attempt.hash} (nonce ${attempt.nonce})`);
+    return true;
+  }
+
+  function ours(status) {
+    return store.payouts.findBy('status', status).filter(p => p.chainId === chainId);
+  }
+
+  function queued() {
+    return ours('queued').sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function nextDue() {
+    const now = Date.now();
+    return queued().find(p => (p.nextAttemptAt || 0) <= now) || null;
+  }
+
+  async function run() {
+    try {
+      let payout;
+      while ((payout = nextDue())) {
+        if (!(await processPayout(payout))) break;
+      }
+      lastDrainError = null;
+    } catch (err) {
+      lastDrainError = err.message;
+      console.error('[QUEUE ERROR]', err.message);
+    }
+  }
+
+  /** Process due payouts one at a time; concurrent calls share one run. */
+  function drain() {
+    if (!draining) {
+      draining = run().finally(() => {
+        draining = null;
+      });
+    }
+    return draining;
+  }
+
+  /** Pick up payouts left `sending` by a previous process. */
+  function recover() {
+    for (const payout of ours('sending')) {
+      if (payout.attempts?.length) {
+        transition(payout.id, 'sent', { sentAt: payout.attempts[payout.attempts.length - 1].sentAt });
+      } else {
+        transition(payout.id, 'queued');
+      }
+    }
+  }
+
+  return {
+    /**
+     * Add a payout to the end of the queue and start draining.
+     * `to`/`value`/`data` are the raw tx fields; `recipient`, `amount` and
+     * `token` describe the transfer (they differ from the tx fields for
+     * ERC-20 payouts). `kind` says what the payout is for (e.g. 'grant');
+     * `grantId` links it (or `depositId` for refunds of unclaimed deposits,
+     * `scheduleId` for refunds of a recurring grant's balance).
+     * The payout is recorded on this queue's chain.
+     */
+    enqueue({ kind, grantId = null, depositId = null, scheduleId = null, to, value, data, recipient = to, amount = value, token = 'ETH' }) {
+      const now = Date.now();
+      const payout = store.payouts.insert({
+        id: uuidv4(),
+        kind,
+        chainId,
+        grantId,
+        depositId: depositId || undefined,
+        scheduleId: scheduleId || undefined,
+        to: to.toLowerCase(),
+        value: value.toString(),
+        data: data || undefined,
+        recipient: recipient.toLowerCase(),
+        amount: amount.toString(),
+        token,
+        status: 'queued',
+        retries: 0,
+        nextAttemptAt: now,
+        createdAt: now
+      });
+      onChange(payout);
+      drain();
+      return payout;
+    },
+
+    drain,
+
+    status() {
+      const pending = queued();
+      const count = status => ours(status).length;
+      return {
+        chainId,
+        draining: !!draining,
+        depth: pending.length,
+        sending: count('sending'),
+        awaitingConfirmation: count('sent'),
+        failed: count('failed'),
+        nextNonce: nonces.peek(),
+        maxFeePerGas: maxFeePerGas === null ? null : maxFeePerGas.toString(),
+        lastError: lastDrainError,
+        queue: pending.slice(0, 50).map(p => ({
+          id: p.id,
+          kind: p.kind,
+          grantId: p.grantId,
+          recipient: p.recipient,
+          amount: p.amount,
+          token: p.token,
+          retries: p.retries,
+          nextAttemptAt: p.nextAttemptAt,
+          lastError: p.lastError || null,
+          createdAt: p.createdAt
+        }))
+      };
+    },
+
+    start() {
+      if (timer) return;
+      recover();
+      timer = setInterval(drain, interval);
+      timer.unref?.();
+      drain();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * enqueue() across the per-network queues (a Map of chainId -> queue): each
+ * payout goes to the queue of its `chainId`.
+ */
+function routePayouts(queues) {
+  return {
+    enqueue(payout) {
+      const queue = queues.get(payout.chainId);
+      if (!queue) throw new Error(`No payout queue for chain ${payout.chainId}`);
+      return queue.enqueue(payout);
+    }
+  };
+}
+
+module.exports = {
+  PAYOUT_TRANSITIONS,
+  transitionPayout,
+  publicPayout,
+  createPayoutQueue,
+  routePayouts
+};
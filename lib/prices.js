@@ -0,0 +1,92 @@
+/**
+ * USD prices
+ *
+ * Exports value grants in USD at the time they were paid out. Where prices
+ * come from is configurable:
+ *
+ *   none                        no USD columns are filled in
+ *   fixed:ETH=3000,USDC=1       constant prices (tests, stablecoin-only setups)
+ *   coingecko[:apiKey]          daily historical prices from CoinGecko
+ *
+ * A source is { name, usd(symbol, timestampMs) -> Promise<number|null> };
+ * anything with that shape can be passed instead of a spec. Lookups that
+ * fail return null rather than throwing, so one missing price doesn't stop
+ * an export.
+ */
+
+const COINGECKO_IDS = {
+  ETH: 'ethereum',
+  WETH: 'ethereum',
+  USDC: 'usd-coin',
+  USDBC: 'bridged-usd-coin-base',
+  DAI: 'dai'
+};
+
+function fixedSource(arg) {
+  const prices = Object.fromEntries(arg.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [symbol, price] = entry.split('=');
+    return [symbol.toUpperCase(), parseFloat(price)];
+  }));
+  return {
+    name: 'fixed',
+    async usd(symbol) {
+      return prices[symbol.toUpperCase()] ?? null;
+    }
+  };
+}
+
+function coingeckoSource(apiKey, fetch) {
+  const cache = new Map();
+  let lastError = null;
+
+  return {
+    name: 'coingecko',
+    get lastError() {
+      return lastError;
+    },
+    async usd(symbol, timestamp) {
+      const id = COINGECKO_IDS[symbol.toUpperCase()];
+      if (!id) return null;
+      const day = new Date(timestamp);
+      const date = `${String(day.getUTCDate()).padStart(2, '0')}-${String(day.getUTCMonth() + 1).padStart(2, '0')}-${day.getUTCFullYear()}`;
+      const key = `${id}:${date}`;
+      if (!cache.has(key)) {
+        cache.set(key, (async () => {
+          const url = `https://api.coingecko.com/api/v3/coins/${id}/history?date=${date}&localization=false`;
+          const res = await fetch(url, { headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {} });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const data = await res.json();
+          return data.market_data?.current_price?.usd ?? null;
+        })().catch(err => {
+          lastError = err.message;
+          console.error(`[PRICES] ${key} failed:`, err.message);
+          cache.delete(key);
+          return null;
+        }));
+      }
+      return cache.get(key);
+    }
+  };
+}
+
+function createPriceSource(spec = 'none', { fetch = globalThis.fetch } = {}) {
+  if (typeof spec === 'object') return spec;
+  const separator = spec.indexOf(':');
+  const type = separator === -1 ? spec : spec.slice(0, separator);
+  const arg = separator === -1 ? '' : spec.slice(separator + 1);
+
+  switch (type) {
+    case 'none':
+      return { name: 'none', async usd() { return null; } };
+    case 'fixed':
+      return fixedSource(arg);
+    case 'coingecko':
+      return coingeckoSource(arg || null, fetch);
+    default:
+      throw new Error(`Unknown price source ${spec}`);
+  }
+}
+
+module.exports = {
+  createPriceSource
+};
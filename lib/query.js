@@ -0,0 +1,184 @@
+/**
+ * Grant queries
+ *
+ * Filters, sorting and cursor pagination for GET /grants. Candidates come
+ * from a storage index where one applies (recipient, grantor, status), the
+ * rest are filtered in memory, and `total` counts every match before the
+ * page is cut.
+ *
+ * Pages are keyset-based: the cursor encodes the sort value and id of the
+ * last grant returned, so pages stay stable while new grants arrive.
+ * Amounts compare net amounts scaled to 18 decimals, so mixed-token results
+ * still sort sensibly (filter by token for exact comparisons).
+ */
+
+const { ethers } = require('ethers');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const SORTS = {
+  createdAt: g => BigInt(g.createdAt),
+  updatedAt: g => BigInt(g.updatedAt || g.createdAt),
+  amount: g => BigInt(g.netAmount || '0') * 10n ** BigInt(18 - (g.decimals ?? 18))
+};
+
+function parseTime(value) {
+  const ms = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value.toString(), id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return { value: BigInt(value), id: String(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate GET /grants query parameters. Returns { query } or { error }.
+ *
+ *   recipient, grantor, token    exact matches
+ *   chainId                      network the grant is on
+ *   status                       comma-separated statuses
+ *   mock                         'true' | 'false'
+ *   from, to                     createdAt range (ISO date or ms)
+ *   minAmount, maxAmount         net amount range, in token units
+ *   q                            case-insensitive text in reason
+ *   sort, order                  createdAt | updatedAt | amount, asc | desc
+ *   limit, cursor                page size and position
+ */
+function parseGrantQuery(params) {
+  const query = {
+    recipient: params.recipient?.toLowerCase(),
+    grantor: params.grantor?.toLowerCase(),
+    token: params.token?.toUpperCase(),
+    chainId: params.chainId === undefined ? null : parseInt(params.chainId),
+    statuses: params.status ? params.status.split(',').map(s => s.trim()).filter(Boolean) : null,
+    mock: params.mock === undefined ? null : params.mock === 'true',
+    q: params.q ? params.q.toString().toLowerCase() : null,
+    sort: params.sort || 'createdAt',
+    order: params.order || 'desc',
+    limit: params.limit === undefined ? DEFAULT_LIMIT : parseInt(params.limit)
+  };
+
+  if (Number.isNaN(query.chainId)) {
+    return { error: 'chainId must be a number' };
+  }
+  if (!SORTS[query.sort]) {
+    return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+  }
+  if (query.order !== 'asc' && query.order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  if (!(query.limit > 0)) {
+    return { error: 'limit must be a positive number' };
+  }
+  query.limit = Math.min(query.limit, MAX_LIMIT);
+
+  for (const key of ['from', 'to']) {
+    if (params[key] === undefined) continue;
+    query[key] = parseTime(params[key]);
+    if (query[key] === null) return { error: `${key} must be an ISO date or a timestamp in ms` };
+  }
+
+  for (const key of ['minAmount', 'maxAmount']) {
+    if (params[key] === undefined) continue;
+    try {
+      ethers.parseUnits(params[key], 18);
+    } catch {
+      return { error: `${key} must be a decimal amount` };
+    }
+    query[key] = params[key];
+  }
+
+  if (params.cursor) {
+    query.cursor = decodeCursor(params.cursor);
+    if (!query.cursor) return { error: 'Invalid cursor' };
+  }
+  return { query };
+}
+
+function candidates(store, query) {
+  if (query.recipient) return store.grants.findBy('recipient', query.recipient);
+  if (query.grantor) return store.grants.findBy('grantor', query.grantor);
+  if (query.statuses) return query.statuses.flatMap(status => store.grants.findBy('status', status));
+  return store.grants.all();
+}
+
+function matches(grant, query) {
+  if (query.grantor && grant.grantor !== query.grantor) return false;
+  if (query.statuses && !query.statuses.includes(grant.status)) return false;
+  if (query.token && grant.token?.toUpperCase() !== query.token) return false;
+  if (query.chainId !== null && grant.chainId !== query.chainId) return false;
+  if (query.mock !== null && !!grant.mock !== query.mock) return false;
+  if (query.from !== undefined && grant.createdAt < query.from) return false;
+  if (query.to !== undefined && grant.createdAt > query.to) return false;
+  if (query.q && !(grant.reason || '').toLowerCase().includes(query.q)) return false;
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    if (grant.netAmount === undefined) return false;
+    const amount = BigInt(grant.netAmount);
+    const decimals = grant.decimals ?? 18;
+    if (query.minAmount !== undefined && amount < ethers.parseUnits(query.minAmount, decimals)) return false;
+    if (query.maxAmount !== undefined && amount > ethers.parseUnits(query.maxAmount, decimals)) return false;
+  }
+  return true;
+}
+
+function comparator(query) {
+  const direction = query.order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+    return (a.grant.id < b.grant.id ? -1 : a.grant.id > b.grant.id ? 1 : 0) * direction;
+  };
+}
+
+function sortedMatches(store, query) {
+  const sortValue = SORTS[query.sort];
+  return candidates(store, query)
+    .filter(grant => matches(grant, query))
+    .map(grant => ({ grant, value: sortValue(grant) }))
+    .sort(comparator(query));
+}
+
+/** Every grant matching a parsed query, in sort order (no pagination). */
+function filterGrants(store, query) {
+  return sortedMatches(store, query).map(item => item.grant);
+}
+
+/** Run a parsed query. Returns { grants, total, nextCursor }. */
+function queryGrants(store, query) {
+  const compare = comparator(query);
+  const matched = sortedMatches(store, query);
+
+  let start = 0;
+  if (query.cursor) {
+    const after = { value: query.cursor.value, grant: { id: query.cursor.id } };
+    start = matched.findIndex(item => compare(item, after) > 0);
+    if (start === -1) start = matched.length;
+  }
+
+  const page = matched.slice(start, start + query.limit);
+  const last = page[page.length - 1];
+  const hasMore = start + page.length < matched.length;
+  return {
+    grants: page.map(item => item.grant),
+    total: matched.length,
+    nextCursor: hasMore && last ? encodeCursor(last.value, last.grant.id) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseGrantQuery,
+  filterGrants,
+  queryGrants
+};
@@ -0,0 +1,245 @@
+/**
+ * Recipients
+ *
+ * A grant can name its recipient by ENS name (alice.eth) or Basename
+ * (alice.base.eth) instead of an address. Names are resolved once, when the
+ * grant (or grant intent) is created: the grant pays the resolved address
+ * and keeps the name next to it, so a later change of the name's records
+ * doesn't redirect a grant. ENS names are resolved on Ethereum mainnet,
+ * Basenames through the Basenames registry on Base.
+ *
+ * Recipients may publish a profile (display name, links, GitHub handle)
+ * with a request signed by the recipient address (see lib/auth.js).
+ */
+
+const { ethers } = require('ethers');
+const { grantToken } = require('./grants');
+
+// Basenames registry on Base mainnet (an ENS registry deployment)
+const BASENAME_REGISTRY = '0xB94704422c2a1E396835A571837Aa5AE53285a95';
+const registryAbi = new ethers.Interface(['function resolver(bytes32 node) view returns (address)']);
+const resolverAbi = new ethers.Interface(['function addr(bytes32 node) view returns (address)']);
+
+const MAX_LINKS = 5;
+const GITHUB_HANDLE = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+
+/** Whether `value` looks like a name to resolve rather than an address. */
+function isName(value) {
+  return typeof value === 'string' && !value.startsWith('0x') && value.includes('.');
+}
+
+/**
+ * Check a profile from a request body: { name, links, github }, each
+ * optional. Returns { profile } normalized, or { error }.
+ */
+function validateProfile({ name, links, github } = {}) {
+  if (name !== undefined && name !== null && (typeof name !== 'string' || !name.trim() || name.length > 64)) {
+    return { error: 'name must be 1-64 characters' };
+  }
+  if (links !== undefined && links !== null) {
+    if (!Array.isArray(links) || links.length > MAX_LINKS) {
+      return { error: `links must be an array of at most ${MAX_LINKS} URLs` };
+    }
+    for (const [i, link] of links.entries()) {
+      let url;
+      try {
+        url = new URL(link);
+      } catch {
+        url = null;
+      }
+      if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:') || link.length > 200) {
+        return { error: `links[${i}]: must be an http(s) URL of at most 200 characters` };
+      }
+    }
+  }
+  if (github !== undefined && github !== null && (typeof github !== 'string' || !GITHUB_HANDLE.test(github.replace(/^@/, '')))) {
+    return { error: 'github must be a GitHub username' };
+  }
+  return {
+    profile: {
+      name: name?.trim() || null,
+      links: links || [],
+      github: github ? github.replace(/^@/, '') : null
+    }
+  };
+}
+
+/**
+ * `getEnsProvider` and `getBaseProvider` return providers for Ethereum
+ * mainnet and Base; resolved names are cached for `ttl` ms.
+ */
+function createRecipients({ store, tokens, getEnsProvider, getBaseProvider, ttl = 5 * 60 * 1000 }) {
+  const cache = new Map();
+
+  async function lookupBasename(name) {
+    const provider = getBaseProvider();
+    const node = ethers.namehash(name);
+    const [resolver] = registryAbi.decodeFunctionResult('resolver',
+      await provider.call({ to: BASENAME_REGISTRY, data: registryAbi.encodeFunctionData('resolver', [node]) }));
+    if (resolver === ethers.ZeroAddress) return null;
+    const [address] = resolverAbi.decodeFunctionResult('addr',
+      await provider.call({ to: resolver, data: resolverAbi.encodeFunctionData('addr', [node]) }));
+    return address === ethers.ZeroAddress ? null : address;
+  }
+
+  /**
+   * Resolve an address or name. Returns { address, name } (name null for
+   * plain addresses), or { status, error }.
+   */
+  async function resolve(value) {
+    if (!isName(value)) {
+      return ethers.isAddress(value)
+        ? { address: value.toLowerCase(), name: null }
+        : { status: 400, error: 'Invalid address or name' };
+    }
+
+    let name;
+    try {
+      name = ethers.ensNormalize(value);
+    } catch {
+      return { status: 400, error: `Invalid name ${value}` };
+    }
+    const cached = cache.get(name);
+    if (cached && cached.at > Date.now() - ttl) return { address: cached.address, name };
+
+    let address;
+    try {
+      address = name.endsWith('.base.eth')
+        ? await lookupBasename(name)
+        : await getEnsProvider().resolveName(name);
+    } catch (err) {
+      console.error(`[RECIPIENTS] Could not resolve ${name}: ${err.shortMessage || err.message}`);
+      return { status: 503, error: `Could not resolve ${name} right now, try again or use an address` };
+    }
+    if (!address) {
+      return { status: 400, error: `${name} does not resolve to an address` };
+    }
+    cache.set(name, { address: address.toLowerCase(), at: Date.now() });
+    return { address: address.toLowerCase(), name };
+  }
+
+  /**
+   * Resolve the recipient names in a grant request body. Returns the body's
+   * { recipient, recipients } with addresses in place of names, and `names`
+   * (address -> name), or { status, error }.
+   */
+  async function resolveGrant({ recipient, recipients }) {
+    const names = {};
+    if (isName(recipient)) {
+      const resolved = await resolve(recipient);
+      if (resolved.error) return resolved;
+      recipient = resolved.address;
+      names[resolved.address] = resolved.name;
+    }
+    if (Array.isArray(recipients)) {
+      const list = [];
+      for (const [i, entry] of recipients.entries()) {
+        if (!isName(entry?.address)) {
+          list.push(entry);
+          continue;
+        }
+        const resolved = await resolve(entry.address);
+        if (resolved.error) return { status: resolved.status, error: `recipients[${i}]: ${resolved.error}` };
+        list.push({ ...entry, address: resolved.address });
+        names[resolved.address] = resolved.name;
+      }
+      recipients = list;
+    }
+    return { recipient, recipients, names };
+  }
+
+  /** What a grant has paid `address` so far, in base units of its token. */
+  function received(grant, address) {
+    if (grant.recipients) {
+      const entry = grant.recipients.find(r => r.address === address);
+      return entry?.status === 'confirmed' ? BigInt(entry.amount) : 0n;
+    }
+    if (grant.milestones) {
+      return grant.milestones
+        .filter(m => m.status === 'released' && m.payoutStatus === 'confirmed')
+        .reduce((sum, m) => sum + BigInt(m.amount), 0n);
+    }
+    return grant.status === 'confirmed' ? BigInt(grant.netAmount) : 0n;
+  }
+
+  /** Totals, grantors and names of everything granted to `address`. */
+  function summary(address) {
+    const grants = store.grants.findBy('recipient', address)
+      .filter(g => g.status !== 'pending')
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    const totals = {};
+    const grantors = new Map();
+    const names = new Set();
+    let totalGrants = 0;
+    let inProgress = 0;
+    for (const grant of grants) {
+      const name = grant.recipients
+        ? grant.recipients.find(r => r.address === address)?.name
+        : grant.recipientName;
+      if (name) names.add(name);
+
+      const amount = received(grant, address);
+      if (amount === 0n) {
+        if (['pending_approval', 'queued', 'sent', 'escrowed'].includes(grant.status)) inProgress++;
+        continue;
+      }
+      totalGrants++;
+      const token = grantToken(grant);
+      const t = totals[token.symbol] || { totalGrants: 0, totalReceived: 0n, token };
+      t.totalGrants++;
+      t.totalReceived += amount;
+      totals[token.symbol] = t;
+      grantors.set(grant.grantor, (grantors.get(grant.grantor) || 0) + 1);
+    }
+
+    return {
+      totalGrants,
+      inProgress,
+      totalReceived: (totals.ETH?.totalReceived || 0n).toString(),
+      totalReceivedFormatted: tokens.format(totals.ETH?.totalReceived || 0n, tokens.native),
+      totals: Object.fromEntries(Object.entries(totals).map(([symbol, t]) => [symbol, {
+        totalGrants: t.totalGrants,
+        totalReceived: t.totalReceived.toString(),
+        totalReceivedFormatted: tokens.format(t.totalReceived, t.token)
+      }])),
+      grantors: Array.from(grantors, ([grantor, count]) => ({ address: grantor, totalGrants: count }))
+        .sort((a, b) => b.totalGrants - a.totalGrants),
+      names: Array.from(names),
+      recentGrants: grants.slice(0, 10)
+    };
+  }
+
+  return {
+    resolve,
+    resolveGrant,
+    summary,
+
+    profile(address) {
+      return store.recipientProfiles.get(address.toLowerCase());
+    },
+
+    /** Replace `address`'s profile. Returns { profile } or { error }. */
+    setProfile(address, fields) {
+      const validated = validateProfile(fields);
+      if (validated.error) return validated;
+      const key = address.toLowerCase();
+      const record = { ...validated.profile, updatedAt: Date.now() };
+      const profile = store.recipientProfiles.has(key)
+        ? store.recipientProfiles.update(key, record)
+        : store.recipientProfiles.insert({ address: key, ...record, createdAt: Date.now() });
+      return { profile };
+    },
+
+    removeProfile(address) {
+      return store.recipientProfiles.remove(address.toLowerCase());
+    }
+  };
+}
+
+module.exports = {
+  BASENAME_REGISTRY,
+  isName,
+  validateProfile,
+  createRecipients
+};
@@ -0,0 +1,202 @@
+/**
+ * Payout reconciler
+ *
+ * Background loop that follows every `sent` payout until it is settled
+ * on-chain:
+ *
+ * - mined + enough confirmations  -> confirmed (block, gas used, gas fee recorded)
+ * - mined but reverted            -> failed
+ * - nonce consumed by another tx  -> replaced (once that has held for
+ *                                   `replacedAfter` blocks, see below)
+ * - dropped from the mempool      -> raw tx rebroadcast
+ * - pending longer than stuckAfter -> re-signed with the same nonce and bumped fees
+ *
+ * Every signed attempt is kept in payout.attempts, so whichever one is
+ * mined is recognised as ours. Like the payout queue, there is one
+ * reconciler per network, following that chain's payouts. A payout is
+ * reconciled by one call at a time: concurrent calls share the run in
+ * flight, so two can't both bump it and drop each other's attempt.
+ *
+ * `replaced` leads to a refund, so it is only concluded slowly: a lagging or
+ * load-balanced RPC can report the wallet nonce as used before it serves
+ * the receipt of our own (mined) tx. The block where the nonce was first
+ * seen used is recorded, every attempt is re-checked on each pass, and the
+ * payout is only marked replaced when none of them has turned up
+ * `replacedAfter` blocks later.
+ */
+
+const { transitionPayout } = require('./payouts');
+const { broadcast, signReplacement } = require('./transactions');
+
+function createReconciler({
+  store,
+  chainId,
+  getProvider,
+  getWallet,
+  onChange = () => {},
+  confirmations = 2,
+  interval = 15000,
+  stuckAfter = 2 * 60 * 1000,
+  maxBumps = 5,
+  bumpPercent = 20,
+  maxFeePerGas = null,
+  replacedAfter = Math.max(confirmations, 3)
+}) {
+  let timer = null;
+  let running = false;
+  const inFlight = new Map(); // payout id -> reconcile run
+
+  function transition(id, status, patch) {
+    const payout = transitionPayout(store, id, status, patch);
+    onChange(payout);
+    return payout;
+  }
+
+  function update(id, patch) {
+    const payout = store.payouts.update(id, patch);
+    onChange(payout);
+    return payout;
+  }
+
+  /** Whether the node knows any attempt as mined, even without serving its receipt yet. */
+  async function anyAttemptMined(provider, attempts) {
+    for (const attempt of attempts) {
+      const tx = await provider.getTransaction(attempt.hash);
+      if (tx && tx.blockNumber !== null && tx.blockNumber !== undefined) return true;
+    }
+    return false;
+  }
+
+  async function settle(payout, attempt, receipt) {
+    const fields = {
+      txHash: attempt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      effectiveGasPrice: receipt.gasPrice.toString(),
+      gasFee: receipt.fee.toString()
+    };
+
+    if (receipt.status !== 1) {
+      console.log(`[RECONCILE] Payout ${payout.id} tx ${attempt.hash} reverted`);
+      return transition(payout.id, 'failed', { ...fields, error: 'Payout transaction reverted' });
+    }
+
+    const confirmed = await receipt.confirmations();
+    if (confirmed < confirmations) {
+      return update(payout.id, { ...fields, confirmations: confirmed });
+    }
+
+    console.log(`[RECONCILE] Payout ${payout.id} confirmed in block ${receipt.blockNumber}`);
+    return transition(payout.id, 'confirmed', {
+      ...fields,
+      confirmations: confirmed,
+      confirmedAt: Date.now()
+    });
+  }
+
+  /**
+   * Check one `sent` payout and advance it. Returns the (possibly updated) payout.
+   */
+  function reconcilePayout(payout) {
+    let run = inFlight.get(payout.id);
+    if (!run) {
+      // Work from the stored record: the caller's copy may predate a bump
+      run = reconcile(store.payouts.get(payout.id) || payout).finally(() => inFlight.delete(payout.id));
+      inFlight.set(payout.id, run);
+    }
+    return run;
+  }
+
+  async function reconcile(payout) {
+    if (payout.status !== 'sent') return payout;
+
+    const provider = getProvider();
+    const wallet = getWallet();
+    const attempts = payout.attempts || [];
+    if (!attempts.length) return payout;
+
+    // Read the wallet nonce before the receipts: if it has moved past ours
+    // and none of our attempts has a receipt, another tx took the nonce.
+    const nonce = attempts[0].nonce;
+    const minedNonce = wallet ? await provider.getTransactionCount(wallet.address, 'latest') : null;
+
+    for (const attempt of [...attempts].reverse()) {
+      const receipt = await provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        if (Number.isInteger(payout.nonceUsedAtBlock)) payout = update(payout.id, { nonceUsedAtBlock: null });
+        return settle(payout, attempt, receipt);
+      }
+    }
+
+    if (minedNonce !== null && minedNonce > nonce) {
+      if (await anyAttemptMined(provider, attempts)) return payout;
+      const head = await provider.getBlockNumber();
+      if (!Number.isInteger(payout.nonceUsedAtBlock)) {
+        console.log(`[RECONCILE] Payout ${payout.id} nonce ${nonce} used, no receipt yet; watching`);
+        return update(payout.id, { nonceUsedAtBlock: head });
+      }
+      if (head - payout.nonceUsedAtBlock < replacedAfter) return payout;
+      console.log(`[RECONCILE] Payout ${payout.id} nonce ${nonce} used by another tx`);
+      return transition(payout.id, 'replaced', {
+        error: `Payout nonce ${nonce} was used by another transaction`
+      });
+    }
+
+    const latest = attempts[attempts.length - 1];
+    if (!wallet) return payout;
+
+    if (Date.now() - latest.sentAt >= stuckAfter && attempts.length <= maxBumps) {
+      const replacement = await signReplacement(wallet, latest, bumpPercent);
+      const replacementFee = BigInt(replacement.maxFeePerGas ?? replacement.gasPrice);
+      if (maxFeePerGas !== null && replacementFee > maxFeePerGas) {
+        return update(payout.id, { lastError: 'Stuck, but bumping would exceed the gas ceiling' });
+      }
+      // Persist before broadcasting so a crash can't lose track of it
+      const updated = update(payout.id, {
+        attempts: [...attempts, replacement],
+        txHash: replacement.hash
+      });
+      await broadcast(provider, replacement.raw);
+      console.log(`[RECONCILE] Payout ${payout.id} stuck, replaced ${latest.hash} with ${replacement.hash}`);
+      return updated;
+    }
+
+    if (!(await provider.getTransaction(latest.hash))) {
+      await broadcast(provider, latest.raw);
+      console.log(`[RECONCILE] Payout ${payout.id} tx ${latest.hash} rebroadcast`);
+    }
+    return payout;
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      for (const payout of store.payouts.findBy('status', 'sent').filter(p => p.chainId === chainId)) {
+        try {
+          await reconcilePayout(payout);
+        } catch (err) {
+          console.error(`[RECONCILE ERROR] Payout ${payout.id}:`, err.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    reconcilePayout,
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, interval);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createReconciler };
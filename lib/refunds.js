@@ -0,0 +1,146 @@
+/**
+ * Refunds
+ *
+ * A verified deposit that could not be delivered goes back to whoever sent
+ * it (the funding tx's `from`, kept on the grant as `depositor`):
+ *
+ *   failed / replaced grants   whatever did not reach a recipient; the fee
+ *                              is refunded too unless part of the grant
+ *                              was delivered
+ *   escrowed grants            locked milestones, on cancel or expiry (see
+ *                              lib/escrow.js, which uses the same fields);
+ *                              retried here if that refund fails
+ *   expired grants             the whole deposit, fee included: the grant
+ *                              was never approved (see lib/approvals.js)
+ *
+ * A refund is a `refund` payout through the payout queue. Its progress is
+ * mirrored onto the grant as refundStatus / refundTxHash; the grant's own
+ * status keeps saying what happened to the payout. A refund whose payout
+ * fails can be requested again.
+ */
+
+const { grantToken } = require('./grants');
+
+// Grant statuses whose undelivered funds can be refunded
+const REFUNDABLE_STATUSES = ['failed', 'replaced', 'expired'];
+
+// Payout statuses that can't change any more
+const SETTLED_PAYOUT_STATUSES = ['confirmed', 'failed', 'replaced'];
+
+const UNDELIVERED = ['failed', 'replaced'];
+
+function createRefunds({ store, payoutQueue, tokens }) {
+  /**
+   * Amount owed back to the depositor of a failed grant, or { status, error }
+   * when there is nothing to refund (yet).
+   */
+  function refundable(grant) {
+    if (grant.status === 'cancelled' && grant.refundStatus === 'failed') {
+      // Escrow refund that didn't go through: send the same amount again
+      return { amount: BigInt(grant.refundAmount), includesFee: false };
+    }
+    if (!REFUNDABLE_STATUSES.includes(grant.status)) {
+      return { status: 409, error: `Grant is ${grant.status}; only failed, replaced or expired grants can be refunded` };
+    }
+    if (!grant.depositor || grant.grossAmount === undefined) {
+      return { status: 409, error: 'Grant has no verified deposit' };
+    }
+    if (grant.refundStatus && grant.refundStatus !== 'failed') {
+      return { status: 409, error: `Refund already ${grant.refundStatus}`, refundPayoutId: grant.refundPayoutId };
+    }
+    const payouts = store.payouts.findBy('grantId', grant.id).filter(p => p.kind === 'grant');
+    if (payouts.some(p => !SETTLED_PAYOUT_STATUSES.includes(p.status))) {
+      return { status: 409, error: 'Grant still has payouts in flight' };
+    }
+
+    let amount;
+    if (grant.recipients && grant.status !== 'expired') {
+      const undelivered = grant.recipients.filter(r => UNDELIVERED.includes(r.status));
+      amount = undelivered.reduce((sum, r) => sum + BigInt(r.amount), 0n);
+      if (undelivered.length === grant.recipients.length) amount += BigInt(grant.fee);
+    } else {
+      amount = BigInt(grant.grossAmount);
+    }
+    if (amount === 0n) {
+      return { status: 409, error: 'Nothing left to refund' };
+    }
+    return { amount, includesFee: amount === BigInt(grant.grossAmount) };
+  }
+
+  /**
+   * Queue a refund of a failed grant to its depositor. `reason` is recorded
+   * on the grant ('payout-failed', 'requested'). Returns { grant, payout }
+   * or { status, error }.
+   */
+  function refund(grant, reason) {
+    const owed = refundable(grant);
+    if (owed.error) return owed;
+
+    const token = grantToken(grant);
+    const payout = grant.mock
+      ? null
+      : payoutQueue.enqueue({
+        kind: 'refund',
+        chainId: grant.chainId,
+        grantId: grant.id,
+        ...tokens.buildTransfer({ token, recipient: grant.depositor, amount: owed.amount }),
+        recipient: grant.depositor,
+        amount: owed.amount,
+        token: token.symbol
+      });
+    const patch = {
+      refundReason: reason,
+      refundAmount: owed.amount.toString(),
+      refundAmountFormatted: tokens.format(owed.amount, token),
+      feeRefunded: owed.includesFee,
+      refundPayoutId: payout?.id || null,
+      refundStatus: payout ? payout.status : 'confirmed',
+      refundTxHash: null,
+      refundRequestedAt: Date.now()
+    };
+    if (grant.refundPayoutId) {
+      patch.previousRefundPayoutIds = [...(grant.previousRefundPayoutIds || []), grant.refundPayoutId];
+    }
+    if (grant.milestones) {
+      // Point refunded milestones at the new payout so escrow keeps tracking them
+      patch.milestones = grant.milestones.map(m => (m.status === 'refunded'
+        ? { ...m, payoutId: patch.refundPayoutId, payoutStatus: patch.refundStatus }
+        : m));
+    }
+    console.log(`[REFUND] Grant ${grant.id} (${reason}): ${tokens.format(owed.amount, token)} to ${grant.depositor}`);
+    return { payout, grant: store.grants.update(grant.id, patch) };
+  }
+
+  /**
+   * Follow payout changes: mirror the grant's refund payout, and refund a
+   * failed grant automatically once all its payouts have settled.
+   */
+  function syncPayout(payout, { auto = true } = {}) {
+    const grant = payout.grantId && store.grants.get(payout.grantId);
+    if (!grant) return;
+
+    if (payout.kind === 'refund' && payout.id === grant.refundPayoutId) {
+      store.grants.update(grant.id, {
+        refundStatus: payout.status,
+        refundTxHash: payout.txHash || null,
+        refundedAt: payout.status === 'confirmed' ? Date.now() : grant.refundedAt
+      });
+      return;
+    }
+
+    if (auto && payout.kind === 'grant' && !grant.refundStatus && !refundable(grant).error) {
+      refund(grant, 'payout-failed');
+    }
+  }
+
+  return {
+    refundable,
+    refund,
+    syncPayout
+  };
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  createRefunds
+};
@@ -0,0 +1,339 @@
+/**
+ * Recurring grants
+ *
+ * A schedule pays the same grant every week or month, `count` times or
+ * until cancelled, out of a prepaid balance: the grantor deposits to the
+ * treasury once (and tops up later), and each run turns `amount` of the
+ * balance into an ordinary grant through the same path as POST /grants,
+ * fee and limits included. Generated grants carry `scheduleId` and
+ * `scheduleRun`, and the schedule keeps the history of its runs.
+ *
+ *   active ──> paused ──> active       by the grantor, or automatically
+ *     │          │                     when the balance can't cover a run
+ *     ├──────────┴──> cancelled        remaining balance refunded
+ *     └──> completed                   `count` runs done, rest refunded
+ *
+ * Funding txs are claimed as firmly as a grant's: a tx funding a schedule
+ * can't fund a grant, and the other way round. Refunds of the balance go
+ * to the first depositor.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { grantToken } = require('./grants');
+
+const STATUSES = ['active', 'paused', 'completed', 'cancelled'];
+const INTERVALS = ['weekly', 'monthly'];
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+/** Start time of run `n` (0-based): monthly runs keep the start's day, clamped to short months. */
+function runAt(schedule, n) {
+  if (schedule.interval === 'weekly') return schedule.startAt + n * WEEK_MS;
+  const start = new Date(schedule.startAt);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + n;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay),
+    start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds());
+}
+
+/**
+ * Check the timing fields of a request body: { interval, count, startAt }.
+ * Returns { terms } normalized, or { error }.
+ */
+function validateTerms({ interval, count, startAt }) {
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${INTERVALS.join(', ')}` };
+  }
+  if (count !== undefined && count !== null && !(Number.isInteger(count) && count > 0)) {
+    return { error: 'count must be a positive integer (omit it to run until cancelled)' };
+  }
+  let start = Date.now();
+  if (startAt !== undefined && startAt !== null) {
+    start = typeof startAt === 'number' ? startAt : Date.parse(startAt);
+    if (!Number.isFinite(start)) {
+      return { error: 'startAt must be an ISO date or a timestamp in ms' };
+    }
+    start = Math.max(start, Date.now());
+  }
+  return { terms: { interval, count: count ?? null, startAt: start } };
+}
+
+/**
+ * `execute(schedule, n)` creates and funds the grant for run `n` and
+ * returns { grant }, { retry, error } or { error }.
+ */
+function createSchedules({ store, tokens, payoutQueue, execute, interval = 60000 }) {
+  let processing = null;
+  let timer = null;
+
+  /**
+   * Record a schedule funded by `deposit` ({ txHash, from, amount } in
+   * base units of `token`). `grant` holds the validated grant fields.
+   * Returns { schedule }, or { status, error } if the tx is already used.
+   */
+  function create({ grantor, grant, chainId, token, amount, terms, deposit }) {
+    if (store.grants.findBy('fundingTxHash', deposit.txHash).length) {
+      return { status: 400, error: 'Transaction already used for a grant' };
+    }
+    const now = Date.now();
+    try {
+      const schedule = store.schedules.insert({
+        id: uuidv4(),
+        grantor,
+        grant,
+        chainId,
+        token: token.symbol,
+        tokenAddress: token.address,
+        decimals: token.decimals,
+        amount: amount.toString(),
+        amountFormatted: tokens.format(amount, token),
+        ...terms,
+        runs: 0,
+        nextRunAt: terms.startAt,
+        status: 'active',
+        balance: deposit.amount.toString(),
+        balanceFormatted: tokens.format(deposit.amount, token),
+        depositor: deposit.from.toLowerCase(),
+        deposits: [{ txHash: deposit.txHash, from: deposit.from.toLowerCase(), amount: deposit.amount.toString(), at: now }],
+        history: [],
+        createdAt: now,
+        updatedAt: now
+      });
+      return { schedule };
+    } catch (err) {
+      if (err.code !== 'DUPLICATE') throw err;
+      return { status: 400, error: 'Transaction already used for a schedule', scheduleId: err.existingId };
+    }
+  }
+
+  function setBalance(schedule, balance, patch = {}) {
+    return store.schedules.update(schedule.id, {
+      ...patch,
+      balance: balance.toString(),
+      balanceFormatted: tokens.format(balance, grantToken(schedule)),
+      updatedAt: Date.now()
+    });
+  }
+
+  /** Add a verified deposit to the balance; resumes a schedule paused for lack of funds. */
+  function topUp(schedule, deposit) {
+    if (schedule.status === 'completed' || schedule.status === 'cancelled') {
+      return { status: 409, error: `Schedule is ${schedule.status}` };
+    }
+    if (store.grants.findBy('fundingTxHash', deposit.txHash).length) {
+      return { status: 400, error: 'Transaction already used for a grant' };
+    }
+    if (schedule.deposits.some(d => d.txHash.toLowerCase() === deposit.txHash.toLowerCase())) {
+      return { status: 400, error: 'Transaction already added to this schedule' };
+    }
+    const deposits = [...schedule.deposits, { txHash: deposit.txHash, from: deposit.from.toLowerCase(), amount: deposit.amount.toString(), at: Date.now() }];
+    const resume = schedule.status === 'paused' && schedule.pauseReason === 'insufficient-balance';
+    try {
+      const updated = setBalance(schedule, BigInt(schedule.balance) + deposit.amount, {
+        deposits,
+        ...(resume ? { status: 'active', pauseReason: null } : {})
+      });
+      return { schedule: updated };
+    } catch (err) {
+      if (err.code !== 'DUPLICATE') throw err;
+      return { status: 400, error: 'Transaction already used for a schedule', scheduleId: err.existingId };
+    }
+  }
+
+  function pause(schedule, reason = 'grantor') {
+    if (schedule.status !== 'active') {
+      return { status: 409, error: `Schedule is ${schedule.status}` };
+    }
+    return { schedule: store.schedules.update(schedule.id, { status: 'paused', pauseReason: reason, updatedAt: Date.now() }) };
+  }
+
+  /**
+   * Resume a paused schedule. Of the runs that fell due while it was
+   * paused only the latest is made; earlier ones are recorded as skipped.
+   */
+  function resume(schedule) {
+    if (schedule.status !== 'paused') {
+      return { status: 409, error: `Schedule is ${schedule.status}` };
+    }
+    const now = Date.now();
+    let runs = schedule.runs;
+    const skipped = [];
+    while (runAt(schedule, runs + 1) <= now && (schedule.count === null || runs + 1 < schedule.count)) {
+      skipped.push({ n: runs, at: runAt(schedule, runs), status: 'skipped' });
+      runs++;
+    }
+    return {
+      schedule: store.schedules.update(schedule.id, {
+        status: 'active',
+        pauseReason: null,
+        runs,
+        nextRunAt: runAt(schedule, runs),
+        history: [...schedule.history, ...skipped],
+        updatedAt: Date.now()
+      })
+    };
+  }
+
+  /** End a schedule, refunding what is left of the balance. */
+  function close(schedule, status) {
+    const token = grantToken(schedule);
+    const balance = BigInt(schedule.balance);
+    const payout = balance > 0n
+      ? payoutQueue.enqueue({
+        kind: 'refund',
+        chainId: schedule.chainId,
+        scheduleId: schedule.id,
+        ...tokens.buildTransfer({ token, recipient: schedule.depositor, amount: balance }),
+        recipient: schedule.depositor,
+        amount: balance,
+        token: token.symbol
+      })
+      : null;
+    if (payout) console.log(`[SCHEDULES] Refunding ${schedule.balanceFormatted} of schedule ${schedule.id} to ${schedule.depositor}`);
+    return {
+      schedule: setBalance(schedule, 0n, {
+        status,
+        nextRunAt: null,
+        refundAmount: balance.toString(),
+        refundAmountFormatted: tokens.format(balance, token),
+        refundPayoutId: payout?.id || null,
+        refundStatus: payout ? payout.status : null,
+        [`${status}At`]: Date.now()
+      })
+    };
+  }
+
+  function cancel(schedule) {
+    if (schedule.status !== 'active' && schedule.status !== 'paused') {
+      return { status: 409, error: `Schedule is ${schedule.status}` };
+    }
+    return close(schedule, 'cancelled');
+  }
+
+  /** Mirror balance refund payouts on their schedule. */
+  function syncPayout(payout) {
+    if (payout.kind !== 'refund' || !payout.scheduleId) return;
+    const schedule = store.schedules.get(payout.scheduleId);
+    if (!schedule || schedule.refundPayoutId !== payout.id) return;
+    store.schedules.update(schedule.id, { refundStatus: payout.status, refundTxHash: payout.txHash || null });
+  }
+
+  async function runOnce(schedule) {
+    const n = schedule.runs;
+    const amount = BigInt(schedule.amount);
+    const balance = BigInt(schedule.balance);
+    if (balance < amount) {
+      console.log(`[SCHEDULES] Schedule ${schedule.id} paused: balance ${schedule.balanceFormatted} is below ${schedule.amountFormatted}`);
+      pause(schedule, 'insufficient-balance');
+      return;
+    }
+
+    // Take the amount first, so nothing else spends it while the grant is made
+    schedule = setBalance(schedule, balance - amount);
+    let result;
+    try {
+      result = await execute(schedule, n);
+    } catch (err) {
+      result = { retry: true, error: err.message };
+    }
+    schedule = store.schedules.get(schedule.id);
+
+    if (result.retry) {
+      // e.g. whitelist or RPC unavailable: same run on the next pass
+      setBalance(schedule, BigInt(schedule.balance) + amount, { lastError: result.error });
+      return;
+    }
+    const entry = result.grant
+      ? { n, at: Date.now(), status: 'created', grantId: result.grant.id }
+      : { n, at: Date.now(), status: 'failed', error: result.error };
+    const balanceAfter = result.grant ? BigInt(schedule.balance) : BigInt(schedule.balance) + amount;
+    if (result.grant) {
+      console.log(`[SCHEDULES] Schedule ${schedule.id} run ${n + 1}: grant ${result.grant.id}`);
+    } else {
+      console.error(`[SCHEDULES] Schedule ${schedule.id} run ${n + 1} failed: ${result.error}`);
+    }
+
+    const runs = n + 1;
+    schedule = setBalance(schedule, balanceAfter, {
+      runs,
+      nextRunAt: runAt(schedule, runs),
+      history: [...schedule.history, entry],
+      lastError: result.error || null,
+      lastRunAt: Date.now()
+    });
+    if (schedule.count !== null && runs >= schedule.count) {
+      close(schedule, 'completed');
+    }
+  }
+
+  async function run() {
+    const now = Date.now();
+    const due = store.schedules.findBy('status', 'active')
+      .filter(s => s.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+    for (const schedule of due) {
+      try {
+        await runOnce(schedule);
+      } catch (err) {
+        console.error('[SCHEDULES ERROR]', err.message);
+      }
+    }
+  }
+
+  /** Execute due runs; concurrent calls share one pass. */
+  function tick() {
+    if (!processing) {
+      processing = run().finally(() => {
+        processing = null;
+      });
+    }
+    return processing;
+  }
+
+  return {
+    STATUSES,
+    INTERVALS,
+    create,
+    topUp,
+    pause,
+    resume,
+    cancel,
+    syncPayout,
+    tick,
+
+    get(id) {
+      return store.schedules.get(id);
+    },
+
+    list(grantor, { status } = {}) {
+      return store.schedules.findBy('grantor', grantor)
+        .filter(s => !status || s.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    /** Whether a funding tx holds a schedule's balance. */
+    funds(txHash) {
+      return store.schedules.findBy('fundingTxHash', txHash)[0] || null;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, interval);
+      timer.unref?.();
+      tick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  INTERVALS,
+  runAt,
+  validateTerms,
+  createSchedules
+};
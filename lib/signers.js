@@ -0,0 +1,178 @@
+/**
+ * Payout signers
+ *
+ * Payouts are signed by one of (SIGNER, or SIGNER_<chainId>):
+ *
+ *   local      a private key from the environment (TREASURY_PRIVATE_KEY)
+ *   keystore   an encrypted JSON keystore file (SIGNER_KEYSTORE), unlocked
+ *              at startup with SIGNER_KEYSTORE_PASSWORD
+ *   remote     an HTTP signer holding the key (SIGNER_URL, SIGNER_ADDRESS),
+ *              e.g. Web3Signer: it is sent eth_signTransaction and answers
+ *              with the signed tx, which is checked against the request
+ *
+ * Each is an ethers Signer with a fixed `address`, so the payout queue,
+ * nonce manager and reconciler work the same with any of them.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const KINDS = ['local', 'keystore', 'remote'];
+
+/** Signer that asks a remote service to sign, over JSON-RPC. */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(address, { url, token = null, timeout = 10000, fetch = globalThis.fetch }, provider = null) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.options = { url, token, timeout, fetch };
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, this.options, provider);
+  }
+
+  async rpc(method, params) {
+    const { url, token, timeout, fetch } = this.options;
+    let res;
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (err) {
+      // Same codes as ethers' provider errors, so the payout queue waits rather than retrying
+      const code = err.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK_ERROR';
+      throw Object.assign(new Error(`Remote signer unreachable: ${err.message}`), { code });
+    }
+    const body = await res.json().catch(() => null);
+    if (!res.ok || !body || body.error) {
+      const error = new Error(`Remote signer: ${body?.error?.message || `HTTP ${res.status}`}`);
+      if (res.status >= 500) error.code = 'SERVER_ERROR';
+      throw error;
+    }
+    return body.result;
+  }
+
+  async signTransaction(request) {
+    const tx = ethers.Transaction.from({ ...request, from: undefined });
+    const quantity = value => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+    const result = await this.rpc('eth_signTransaction', [{
+      from: this.address,
+      to: tx.to,
+      value: quantity(tx.value),
+      data: tx.data,
+      nonce: quantity(tx.nonce),
+      gas: quantity(tx.gasLimit),
+      chainId: quantity(tx.chainId),
+      ...(tx.maxFeePerGas !== null
+        ? { maxFeePerGas: quantity(tx.maxFeePerGas), maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas) }
+        : { gasPrice: quantity(tx.gasPrice) })
+    }]);
+
+    // Clef answers { raw, tx }, Web3Signer the raw tx
+    const raw = typeof result === 'string' ? result : result?.raw;
+    let signed;
+    try {
+      signed = ethers.Transaction.from(raw);
+    } catch {
+      throw new Error('Remote signer returned an invalid transaction');
+    }
+    const same = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+    if (!same(signed.from, this.address) || !same(signed.to, tx.to) || signed.value !== tx.value ||
+      signed.nonce !== tx.nonce || !same(signed.data, tx.data) || signed.chainId !== tx.chainId) {
+      throw new Error('Remote signer returned a transaction that differs from the request');
+    }
+    return signed.serialized;
+  }
+
+  async signMessage() {
+    throw new Error('Remote signer only signs transactions');
+  }
+
+  async signTypedData() {
+    throw new Error('Remote signer only signs transactions');
+  }
+}
+
+/** Address of an encrypted keystore (the `address` field, with or without 0x). */
+function keystoreAddress(json) {
+  const address = JSON.parse(json).address;
+  if (!address) throw new Error('Keystore has no address');
+  return ethers.getAddress(address.startsWith('0x') ? address : `0x${address}`);
+}
+
+/**
+ * The payout signer for `config` ({ kind, privateKey, keystore, password,
+ * url, address, token }), or null when none is configured.
+ * Returns { kind, address, get(), unlock() }: get() is the ethers Signer
+ * (null until a keystore is unlocked), unlock() decrypts a keystore.
+ */
+function createSigner(config, getProvider) {
+  const kind = config.kind || 'local';
+  if (!KINDS.includes(kind)) {
+    throw new Error(`Unknown signer ${kind}: use one of ${KINDS.join(', ')}`);
+  }
+
+  if (kind === 'local') {
+    if (!config.privateKey) return null;
+    let wallet = null;
+    const address = new ethers.Wallet(config.privateKey).address;
+    return {
+      kind,
+      address,
+      get() {
+        if (!wallet) wallet = new ethers.Wallet(config.privateKey, getProvider());
+        return wallet;
+      },
+      async unlock() {}
+    };
+  }
+
+  if (kind === 'keystore') {
+    if (!config.keystore) throw new Error('SIGNER_KEYSTORE is required for the keystore signer');
+    const json = fs.readFileSync(config.keystore, 'utf8');
+    const address = keystoreAddress(json);
+    let wallet = null;
+    let unlocking = null;
+    return {
+      kind,
+      address,
+      get() {
+        return wallet;
+      },
+      unlock() {
+        if (!unlocking) {
+          unlocking = ethers.Wallet.fromEncryptedJson(json, config.password || '').then(decrypted => {
+            wallet = decrypted.connect(getProvider());
+          });
+          unlocking.catch(() => { unlocking = null; });
+        }
+        return unlocking;
+      }
+    };
+  }
+
+  if (!config.url || !config.address) throw new Error('SIGNER_URL and SIGNER_ADDRESS are required for the remote signer');
+  let signer = null;
+  return {
+    kind,
+    address: ethers.getAddress(config.address),
+    get() {
+      if (!signer) signer = new RemoteSigner(config.address, { url: config.url, token: config.token }, getProvider());
+      return signer;
+    },
+    async unlock() {}
+  };
+}
+
+module.exports = {
+  KINDS,
+  RemoteSigner,
+  createSigner
+};
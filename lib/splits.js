@@ -0,0 +1,148 @@
+/**
+ * Split grants
+ *
+ * One funding transaction paying several recipients. Each recipient gives
+ * either a fixed `amount` (in token units, paid exactly) or a `share`
+ * (relative weight of whatever is left after fixed amounts). The fee (see
+ * lib/fees.js) is taken once from the deposit before splitting.
+ *
+ * Payouts either go out one transfer per recipient, or as a single batched
+ * call to a Disperse contract (https://disperse.app) when one is configured.
+ */
+
+const { ethers } = require('ethers');
+const { erc20 } = require('./tokens');
+
+const MAX_SPLIT_RECIPIENTS = 50;
+
+// Shares may be decimals ("33.3"); weights are compared at this precision
+const SHARE_SCALE = 1_000_000;
+
+const disperse = new ethers.Interface([
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+]);
+
+/**
+ * Check the shape of a `recipients` array from a request body. Returns
+ * { recipients } normalized, or { error }.
+ */
+function validateRecipients(recipients) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return { error: 'recipients must be a non-empty array' };
+  }
+  if (recipients.length > MAX_SPLIT_RECIPIENTS) {
+    return { error: `At most ${MAX_SPLIT_RECIPIENTS} recipients per grant` };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const [i, entry] of recipients.entries()) {
+    const address = entry?.address;
+    if (!address || !ethers.isAddress(address)) {
+      return { error: `recipients[${i}]: invalid address` };
+    }
+    if (seen.has(address.toLowerCase())) {
+      return { error: `recipients[${i}]: duplicate address ${address}` };
+    }
+    seen.add(address.toLowerCase());
+
+    const hasShare = entry.share !== undefined;
+    const hasAmount = entry.amount !== undefined;
+    if (hasShare === hasAmount) {
+      return { error: `recipients[${i}]: give exactly one of share or amount` };
+    }
+    if (hasShare && !(Number(entry.share) > 0)) {
+      return { error: `recipients[${i}]: share must be a positive number` };
+    }
+    if (hasAmount && !(Number(entry.amount) > 0)) {
+      return { error: `recipients[${i}]: amount must be a positive number` };
+    }
+
+    normalized.push({
+      address: address.toLowerCase(),
+      share: hasShare ? Number(entry.share) : undefined,
+      requestedAmount: hasAmount ? entry.amount.toString() : undefined,
+      reason: entry.reason || undefined
+    });
+  }
+  return { recipients: normalized };
+}
+
+/**
+ * Divide `total` (base units) between recipients. Fixed amounts (already
+ * parsed to base units via `parseAmount`) are paid first; the remainder is
+ * split by share, with rounding dust going to the last share recipient.
+ * Returns { allocations } or { error }.
+ */
+function allocate(total, recipients, parseAmount) {
+  const fixed = recipients.map(r => (r.requestedAmount !== undefined ? parseAmount(r.requestedAmount) : null));
+  const fixedTotal = fixed.reduce((sum, amount) => sum + (amount ?? 0n), 0n);
+  if (fixedTotal > total) {
+    return { error: 'Recipient amounts exceed the net grant amount', fixedTotal: fixedTotal.toString(), netAmount: total.toString() };
+  }
+
+  const weights = recipients.map(r => (r.share !== undefined ? BigInt(Math.round(r.share * SHARE_SCALE)) : 0n));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0n);
+  const remainder = total - fixedTotal;
+  if (totalWeight === 0n && remainder > 0n) {
+    return { error: 'Recipient amounts must add up to the net grant amount when no shares are given', fixedTotal: fixedTotal.toString(), netAmount: total.toString() };
+  }
+
+  const lastShareIndex = weights.map(w => w > 0n).lastIndexOf(true);
+  let distributed = 0n;
+  const allocations = recipients.map((r, i) => {
+    let amount = fixed[i];
+    if (amount === null) {
+      amount = i === lastShareIndex
+        ? remainder - distributed
+        : (remainder * weights[i]) / totalWeight;
+      distributed += amount;
+    }
+    return { ...r, amount };
+  });
+
+  if (allocations.some(a => a.amount <= 0n)) {
+    return { error: 'Every recipient must receive a positive amount' };
+  }
+  return { allocations };
+}
+
+/**
+ * Transactions that pay all recipients through a Disperse contract. Token
+ * payouts need an approval first, so this returns a list in send order.
+ */
+function buildDisperse({ disperseAddress, token, recipients, total }) {
+  const addresses = recipients.map(r => r.address);
+  const values = recipients.map(r => BigInt(r.amount));
+
+  if (!token.address) {
+    return [{
+      kind: 'grant',
+      to: disperseAddress,
+      value: total,
+      data: disperse.encodeFunctionData('disperseEther', [addresses, values])
+    }];
+  }
+  return [
+    {
+      kind: 'approval',
+      to: token.address,
+      value: 0n,
+      data: erc20.encodeFunctionData('approve', [disperseAddress, total])
+    },
+    {
+      kind: 'grant',
+      to: disperseAddress,
+      value: 0n,
+      data: disperse.encodeFunctionData('disperseToken', [token.address, addresses, values])
+    }
+  ];
+}
+
+module.exports = {
+  MAX_SPLIT_RECIPIENTS,
+  validateRecipients,
+  allocate,
+  buildDisperse
+};
@@ -0,0 +1,658 @@
+/**
+ * Storage layer
+ *
+ * Every route reads and writes through a Store made of named collections.
+ * Records are held in memory for fast synchronous lookups (which also makes
+ * check-and-insert atomic within the process); an adapter decides how the
+ * data is persisted between restarts.
+ *
+ * Adapters:
+ * - sqlite: one row per record in a SQLite database, only the changed rows
+ *           written, in a transaction synced to disk (the default)
+ * - file:   JSON snapshot, rewritten atomically (tmp file, fsync, rename) on
+ *           every change; fine for small installs and development
+ * - memory: nothing is persisted (tests, throwaway instances)
+ *
+ * Only sqlite and file are `persistent`. Without a persistent store a
+ * restart forgets which funding txs were used, so the server refuses to pay
+ * out from one (see server.js).
+ *
+ * A custom adapter needs `load()` returning a snapshot (or null) and
+ * `save(snapshot)`, and may add `write(changes)` to persist just the changed
+ * records ([{ collection, key, record }], record null for a removal) and a
+ * `check()` that throws when it can't persist at all. A change that fails to
+ * persist is rolled back in memory and the error rethrown, so memory never
+ * gets ahead of the persisted data. `store.batch(fn)` persists every change
+ * made in `fn` at once, at the end.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let Database = null; // better-sqlite3, loaded with the sqlite adapter
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/**
+ * Collections and their indexes. Unique indexes reject a second record with
+ * the same (case-insensitive) value. An index may derive its value(s) from
+ * the record with `value(record)`; returning an array indexes every element.
+ */
+const COLLECTIONS = {
+  grants: {
+    key: 'id',
+    indexes: {
+      fundingTxHash: { unique: true },
+      // Split grants are indexed under every recipient
+      recipient: { value: g => (g.recipients ? g.recipients.map(r => r.address) : g.recipient) },
+      grantor: {},
+      status: {},
+      intentId: {},
+      scheduleId: {},
+      // Fee payouts may carry the fees of many grants (sweeps, see lib/fees.js)
+      feePayoutId: {},
+      chainId: {}
+    }
+  },
+  grantors: {
+    key: 'address',
+    indexes: {}
+  },
+  payouts: {
+    key: 'id',
+    indexes: {
+      grantId: {},
+      status: {},
+      txHash: {}
+    }
+  },
+  // Used request signature nonces (see lib/auth.js), kept until they expire
+  authNonces: {
+    key: 'id',
+    indexes: {
+      signer: {}
+    }
+  },
+  // Locally managed whitelist entries, their audit log, and the last good
+  // copy of each remote whitelist (see lib/whitelist.js)
+  whitelist: {
+    key: 'address',
+    indexes: {}
+  },
+  whitelistAudit: {
+    key: 'id',
+    indexes: {
+      address: {},
+      actor: {}
+    }
+  },
+  whitelistSnapshots: {
+    key: 'source',
+    indexes: {}
+  },
+  // Webhook endpoints and their delivery log (see lib/webhooks.js)
+  webhooks: {
+    key: 'id',
+    indexes: {
+      owner: {}
+    }
+  },
+  webhookDeliveries: {
+    key: 'id',
+    indexes: {
+      webhookId: {},
+      status: {}
+    }
+  },
+  // Inflows to the treasury found by the deposit indexer (see lib/deposits.js)
+  deposits: {
+    key: 'id',
+    indexes: {
+      txHash: {},
+      from: {},
+      status: {}
+    }
+  },
+  // Grants waiting for their deposit (see lib/intents.js)
+  grantIntents: {
+    key: 'id',
+    indexes: {
+      grantor: {},
+      status: {},
+      reference: { unique: true }
+    }
+  },
+  // Recurring grant schedules; every funding tx of a schedule is indexed
+  // (see lib/schedules.js)
+  schedules: {
+    key: 'id',
+    indexes: {
+      fundingTxHash: { unique: true, value: s => s.deposits.map(d => d.txHash) },
+      grantor: {},
+      status: {}
+    }
+  },
+  // Top-ups of hot payout wallets requested from cold treasuries (see lib/treasury.js)
+  topups: {
+    key: 'id',
+    indexes: {
+      chainId: {},
+      status: {}
+    }
+  },
+  // Self-published recipient profiles (see lib/recipients.js)
+  recipientProfiles: {
+    key: 'address',
+    indexes: {}
+  },
+  // Scan positions of background indexers
+  cursors: {
+    key: 'name',
+    indexes: {}
+  }
+};
+
+/**
+ * Ordered schema migrations. Each `up` receives the raw snapshot collections
+ * ({ name: [records] }) and the store context ({ defaultChainId }), and
+ * mutates them in place. Add new entries at the end; never edit one that has
+ * shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial grant and grantor schema',
+    up() {}
+  },
+  {
+    version: 2,
+    description: 'Record the token on grants and payouts, per-token grantor totals',
+    up(collections) {
+      for (const grant of collections.grants || []) {
+        grant.token = grant.token || 'ETH';
+        grant.tokenAddress = grant.tokenAddress || null;
+        grant.decimals = grant.decimals || 18;
+      }
+      for (const payout of collections.payouts || []) {
+        payout.recipient = payout.recipient || payout.to;
+        payout.amount = payout.amount || payout.value;
+        payout.token = payout.token || 'ETH';
+      }
+      for (const stats of collections.grantors || []) {
+        stats.totals = stats.totals || {
+          ETH: { totalGrants: stats.totalGrants, totalAmount: stats.totalAmount, decimals: 18 }
+        };
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Record the chain on grants, payouts, deposits and intents',
+    up(collections, { defaultChainId }) {
+      // Everything before multi-network support was on the one configured chain
+      for (const name of ['grants', 'payouts', 'deposits', 'grantIntents']) {
+        for (const record of collections[name] || []) {
+          record.chainId = record.chainId || defaultChainId;
+        }
+      }
+      for (const cursor of collections.cursors || []) {
+        if (cursor.name === 'deposits') cursor.name = `deposits:${defaultChainId}`;
+      }
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function migrate(snapshot, context) {
+  const from = snapshot.schemaVersion || 0;
+  const collections = snapshot.collections || {};
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    migration.up(collections, context);
+    console.log(`[STORAGE] Migrated to v${migration.version}: ${migration.description}`);
+  }
+  return { schemaVersion: SCHEMA_VERSION, collections };
+}
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+class StorageError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// ============================================================================
+// COLLECTION
+// ============================================================================
+
+function normalize(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+/**
+ * `onChange(change, undo)` is called after every change with the record as
+ * it now is ({ key, record }, null once removed) and a function that
+ * reverts it in memory.
+ */
+function createCollection(name, schema, onChange) {
+  const records = new Map();
+  const indexes = {};
+  for (const field of Object.keys(schema.indexes)) {
+    indexes[field] = new Map();
+  }
+
+  function indexValues(field, record) {
+    const options = schema.indexes[field];
+    const raw = options.value ? options.value(record) : record[field];
+    const list = Array.isArray(raw) ? raw : [raw];
+    return list.map(normalize).filter(value => value !== undefined && value !== null);
+  }
+
+  function addToIndexes(record) {
+    const id = record[schema.key];
+    for (const [field, index] of Object.entries(indexes)) {
+      for (const value of indexValues(field, record)) {
+        if (!index.has(value)) index.set(value, new Set());
+        index.get(value).add(id);
+      }
+    }
+  }
+
+  function removeFromIndexes(record) {
+    const id = record[schema.key];
+    for (const [field, index] of Object.entries(indexes)) {
+      for (const value of indexValues(field, record)) {
+        const ids = index.get(value);
+        if (!ids) continue;
+        ids.delete(id);
+        if (ids.size === 0) index.delete(value);
+      }
+    }
+  }
+
+  function assertUnique(record) {
+    const id = record[schema.key];
+    for (const [field, options] of Object.entries(schema.indexes)) {
+      if (!options.unique) continue;
+      for (const value of indexValues(field, record)) {
+        const ids = indexes[field].get(value);
+        const conflict = ids && Array.from(ids).find(other => other !== id);
+        if (conflict !== undefined) {
+          throw new StorageError('DUPLICATE', `${name}.${field} already exists`, {
+            collection: name,
+            field,
+            existingId: conflict
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    name,
+
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    has(id) {
+      return records.has(id);
+    },
+
+    /**
+     * Insert a new record. Throws StorageError DUPLICATE if the key or a
+     * unique index value is already taken.
+     */
+    insert(record) {
+      const id = record[schema.key];
+      if (id === undefined || id === null) {
+        throw new StorageError('INVALID', `${name} record is missing ${schema.key}`);
+      }
+      if (records.has(id)) {
+        throw new StorageError('DUPLICATE', `${name} ${id} already exists`, { collection: name, existingId: id });
+      }
+      assertUnique(record);
+      records.set(id, record);
+      addToIndexes(record);
+      onChange({ key: id, record }, () => {
+        removeFromIndexes(record);
+        records.delete(id);
+      });
+      return record;
+    },
+
+    /**
+     * Shallow-merge `patch` into an existing record and persist it.
+     */
+    update(id, patch) {
+      const current = records.get(id);
+      if (!current) {
+        throw new StorageError('NOT_FOUND', `${name} ${id} not found`);
+      }
+      const next = { ...current, ...patch, [schema.key]: id };
+      assertUnique(next);
+      removeFromIndexes(current);
+      records.set(id, next);
+      addToIndexes(next);
+      onChange({ key: id, record: next }, () => {
+        removeFromIndexes(next);
+        records.set(id, current);
+        addToIndexes(current);
+      });
+      return next;
+    },
+
+    remove(id) {
+      const current = records.get(id);
+      if (!current) return false;
+      removeFromIndexes(current);
+      records.delete(id);
+      onChange({ key: id, record: null }, () => {
+        records.set(id, current);
+        addToIndexes(current);
+      });
+      return true;
+    },
+
+    all() {
+      return Array.from(records.values());
+    },
+
+    count() {
+      return records.size;
+    },
+
+    /**
+     * All records whose indexed `field` equals `value` (case-insensitive).
+     */
+    findBy(field, value) {
+      const index = indexes[field];
+      if (!index) {
+        throw new StorageError('INVALID', `${name}.${field} is not indexed`);
+      }
+      const ids = index.get(normalize(value));
+      return ids ? Array.from(ids, id => records.get(id)) : [];
+    },
+
+    findOne(field, value) {
+      return this.findBy(field, value)[0] || null;
+    },
+
+    /** Replace contents without triggering a save (used when loading). */
+    _load(list) {
+      records.clear();
+      for (const index of Object.values(indexes)) index.clear();
+      for (const record of list) {
+        records.set(record[schema.key], record);
+        addToIndexes(record);
+      }
+    }
+  };
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+function memoryAdapter() {
+  return {
+    name: 'memory',
+    persistent: false,
+    load() {
+      return null;
+    },
+    save() {}
+  };
+}
+
+/** Fail at startup rather than on the first write. */
+function checkWritable(file) {
+  const dir = path.dirname(file);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch (err) {
+    throw new StorageError('UNWRITABLE', `Data directory ${dir} is not writable: ${err.message}`);
+  }
+}
+
+function fileAdapter({ file }) {
+  return {
+    name: 'file',
+    persistent: true,
+    file,
+    check() {
+      checkWritable(file);
+    },
+    load() {
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+    save(snapshot) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(snapshot));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmp, file);
+      // Make the rename itself durable
+      const dir = fs.openSync(path.dirname(file), 'r');
+      try {
+        fs.fsyncSync(dir);
+      } finally {
+        fs.closeSync(dir);
+      }
+    }
+  };
+}
+
+/**
+ * Records as JSON rows keyed by (collection, key); the schema version sits
+ * in a meta table. WAL with synchronous=FULL: a committed change survives a
+ * crash or power loss.
+ */
+function sqliteAdapter({ file }) {
+  let db = null;
+
+  function open() {
+    if (db) return db;
+    if (!Database) Database = require('better-sqlite3');
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+      CREATE TABLE IF NOT EXISTS meta (name TEXT PRIMARY KEY, value TEXT NOT NULL);
+    `);
+    return db;
+  }
+
+  let statements = null;
+  function prepared() {
+    if (!statements) {
+      const conn = open();
+      statements = {
+        upsert: conn.prepare('INSERT INTO records (collection, key, data) VALUES (?, ?, ?) ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data'),
+        remove: conn.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+        clear: conn.prepare('DELETE FROM records'),
+        setMeta: conn.prepare('INSERT INTO meta (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value')
+      };
+    }
+    return statements;
+  }
+
+  const write = changes => {
+    const { upsert, remove, setMeta } = prepared();
+    open().transaction(() => {
+      for (const { collection, key, record } of changes) {
+        if (record) upsert.run(collection, String(key), JSON.stringify(record));
+        else remove.run(collection, String(key));
+      }
+      // A store is always at the current version once loaded
+      setMeta.run('schemaVersion', String(SCHEMA_VERSION));
+    })();
+  };
+
+  return {
+    name: 'sqlite',
+    persistent: true,
+    file,
+    check() {
+      checkWritable(file);
+      open();
+    },
+    load() {
+      const conn = open();
+      const version = conn.prepare("SELECT value FROM meta WHERE name = 'schemaVersion'").get();
+      if (!version) return null;
+      const collections = {};
+      for (const row of conn.prepare('SELECT collection, data FROM records').iterate()) {
+        (collections[row.collection] = collections[row.collection] || []).push(JSON.parse(row.data));
+      }
+      return { schemaVersion: parseInt(version.value), collections };
+    },
+    /** Replace everything (first start, migrations). */
+    save(snapshot) {
+      const { upsert, clear, setMeta } = prepared();
+      open().transaction(() => {
+        clear.run();
+        for (const [collection, records] of Object.entries(snapshot.collections)) {
+          const key = COLLECTIONS[collection].key;
+          for (const record of records) upsert.run(collection, String(record[key]), JSON.stringify(record));
+        }
+        setMeta.run('schemaVersion', String(snapshot.schemaVersion));
+      })();
+    },
+    write,
+    close() {
+      db?.close();
+      db = null;
+      statements = null;
+    }
+  };
+}
+
+const ADAPTERS = {
+  sqlite: sqliteAdapter,
+  file: fileAdapter,
+  memory: memoryAdapter
+};
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Open a store. `adapter` is either an adapter object or the name of a
+ * built-in one ('sqlite' | 'file' | 'memory'), with `options` passed to its
+ * factory. `defaultChainId` is the chain older records are assumed to be on.
+ * `store.persistent` says whether the data outlives the process.
+ */
+function createStore({ adapter = 'memory', defaultChainId = 8453, ...options } = {}) {
+  if (typeof adapter === 'string') {
+    const factory = ADAPTERS[adapter];
+    if (!factory) throw new StorageError('INVALID', `Unknown storage adapter: ${adapter}`);
+    adapter = factory(options);
+  }
+
+  if (adapter.check) adapter.check();
+
+  const store = { adapter: adapter.name || 'custom', persistent: adapter.persistent !== false, schemaVersion: SCHEMA_VERSION };
+  let loading = true;
+  let pending = null; // { change, undo } of the open batch
+
+  function save() {
+    const collections = {};
+    for (const name of Object.keys(COLLECTIONS)) {
+      collections[name] = store[name].all();
+    }
+    adapter.save({ schemaVersion: SCHEMA_VERSION, savedAt: Date.now(), collections });
+  }
+
+  function rollback(entries) {
+    for (let i = entries.length - 1; i >= 0; i--) entries[i].undo();
+  }
+
+  /** Persist `entries`, undoing them in memory (and rethrowing) if that fails. */
+  function persist(entries) {
+    try {
+      if (adapter.write) adapter.write(entries.map(e => e.change));
+      else save();
+    } catch (err) {
+      rollback(entries);
+      console.error(`[STORAGE] Save failed, change rolled back: ${err.message}`);
+      throw err;
+    }
+  }
+
+  for (const [name, schema] of Object.entries(COLLECTIONS)) {
+    store[name] = createCollection(name, schema, (change, undo) => {
+      if (loading) return;
+      const entry = { change: { collection: name, ...change }, undo };
+      if (pending) {
+        pending.push(entry);
+        return;
+      }
+      persist([entry]);
+    });
+  }
+
+  /**
+   * Run `fn` and save its changes once. If `fn` throws or the save fails,
+   * all of them are rolled back. Nested batches join the outer one.
+   */
+  store.batch = function batch(fn) {
+    if (pending) return fn();
+    pending = [];
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      rollback(pending);
+      pending = null;
+      throw err;
+    }
+    const entries = pending;
+    pending = null;
+    if (entries.length > 0) persist(entries);
+    return result;
+  };
+
+  const snapshot = adapter.load();
+  if (snapshot) {
+    const needsMigration = (snapshot.schemaVersion || 0) < SCHEMA_VERSION;
+    const { collections } = migrate(snapshot, { defaultChainId });
+    for (const name of Object.keys(COLLECTIONS)) {
+      store[name]._load(collections[name] || []);
+    }
+    if (needsMigration) save();
+  }
+  loading = false;
+
+  return store;
+}
+
+module.exports = {
+  createStore,
+  StorageError,
+  SCHEMA_VERSION,
+  adapters: ADAPTERS
+};
@@ -0,0 +1,142 @@
+/**
+ * Token registry
+ *
+ * Grants can be funded and paid out in native ETH or in any allowlisted
+ * ERC-20. Token deposits are recognised from `Transfer` logs in the funding
+ * receipt (so they work whether the depositor called the token directly or
+ * went through a smart wallet); token payouts are `transfer` calls.
+ *
+ * The allowlist is a comma-separated spec: known symbols (`USDC`) or
+ * `SYMBOL:address:decimals` for anything else. Each network has its own
+ * registry; known symbols resolve to that chain's contract.
+ */
+
+const { ethers } = require('ethers');
+
+const erc20 = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address owner) view returns (uint256)'
+]);
+
+const TRANSFER_TOPIC = erc20.getEvent('Transfer').topicHash;
+
+const NATIVE = { symbol: 'ETH', address: null, decimals: 18 };
+
+// Well-known tokens per chain id
+const KNOWN_TOKENS = {
+  // Base
+  8453: {
+    USDC: { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+    USDBC: { symbol: 'USDbC', address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', decimals: 6 },
+    DAI: { symbol: 'DAI', address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', decimals: 18 },
+    WETH: { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 }
+  },
+  // Base Sepolia
+  84532: {
+    USDC: { symbol: 'USDC', address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6 },
+    WETH: { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 }
+  },
+  // Optimism
+  10: {
+    USDC: { symbol: 'USDC', address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6 },
+    DAI: { symbol: 'DAI', address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', decimals: 18 },
+    WETH: { symbol: 'WETH', address: '0x4200000000000000000000000000000000000006', decimals: 18 }
+  },
+  // Arbitrum One
+  42161: {
+    USDC: { symbol: 'USDC', address: '0xaf88d065e77c8cC2239327C5EDb3A432014e5831', decimals: 6 },
+    DAI: { symbol: 'DAI', address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', decimals: 18 },
+    WETH: { symbol: 'WETH', address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 }
+  },
+  // Ethereum mainnet
+  1: {
+    USDC: { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    DAI: { symbol: 'DAI', address: '0x6B175474E89094C44Da98b954EedAC495271d0F', decimals: 18 },
+    WETH: { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 }
+  }
+};
+
+function parseSpec(spec, chainId) {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [symbol, address, decimals] = entry.split(':');
+    if (address) {
+      return { symbol, address: ethers.getAddress(address), decimals: parseInt(decimals || '18') };
+    }
+    const known = KNOWN_TOKENS[chainId]?.[symbol.toUpperCase()];
+    if (!known) {
+      throw new Error(`Unknown token ${symbol} on chain ${chainId}: use SYMBOL:address:decimals`);
+    }
+    return known;
+  });
+}
+
+function createTokenRegistry(spec = 'USDC', chainId = 8453) {
+  const tokens = [NATIVE, ...parseSpec(spec, chainId)];
+  const bySymbol = new Map(tokens.map(t => [t.symbol.toUpperCase(), t]));
+  const byAddress = new Map(tokens.filter(t => t.address).map(t => [t.address.toLowerCase(), t]));
+
+  return {
+    native: NATIVE,
+
+    list() {
+      return tokens;
+    },
+
+    /** Look a token up by symbol or contract address; null if not allowlisted. */
+    get(symbolOrAddress) {
+      if (!symbolOrAddress) return null;
+      const key = symbolOrAddress.toString();
+      return bySymbol.get(key.toUpperCase()) || byAddress.get(key.toLowerCase()) || null;
+    },
+
+    format(amount, token = NATIVE) {
+      const value = parseFloat(ethers.formatUnits(amount.toString(), token.decimals));
+      return value.toFixed(Math.min(6, token.decimals)) + ' ' + token.symbol;
+    },
+
+    parse(amountString, token = NATIVE) {
+      const cleaned = amountString.toString().replace(token.symbol, '').trim();
+      return ethers.parseUnits(cleaned, token.decimals);
+    },
+
+    /**
+     * Allowlisted token transfers into `to` found in a receipt's logs,
+     * summed per token and sender: [{ token, from, amount }].
+     */
+    decodeTransfers(receipt, to) {
+      const found = new Map();
+      for (const log of receipt.logs) {
+        const token = byAddress.get(log.address.toLowerCase());
+        if (!token || log.topics[0] !== TRANSFER_TOPIC) continue;
+        const parsed = erc20.parseLog(log);
+        if (parsed.args.to.toLowerCase() !== to.toLowerCase()) continue;
+        const key = `${token.symbol}:${parsed.args.from.toLowerCase()}`;
+        const entry = found.get(key) || { token, from: parsed.args.from, amount: 0n };
+        entry.amount += parsed.args.value;
+        found.set(key, entry);
+      }
+      return Array.from(found.values());
+    },
+
+    /** Transaction fields that move `amount` of `token` to `recipient`. */
+    buildTransfer({ token, recipient, amount }) {
+      if (!token.address) {
+        return { to: recipient, value: amount, data: undefined };
+      }
+      return {
+        to: token.address,
+        value: 0n,
+        data: erc20.encodeFunctionData('transfer', [recipient, amount])
+      };
+    }
+  };
+}
+
+module.exports = {
+  createTokenRegistry,
+  erc20,
+  NATIVE,
+  KNOWN_TOKENS
+};
@@ -0,0 +1,77 @@
+/**
+ * Payout transaction helpers
+ *
+ * Payouts are signed locally and broadcast as raw transactions so the exact
+ * signed bytes can be stored on the grant. That lets the reconciler
+ * rebroadcast a dropped tx, or replace a stuck one with higher fees while
+ * keeping the same nonce.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Fill in nonce, gas and fees (unless given) and sign. Returns a payout
+ * attempt record: { hash, raw, nonce, maxFeePerGas, maxPriorityFeePerGas, sentAt }.
+ */
+async function signPayout(wallet, request) {
+  const populated = await wallet.populateTransaction(request);
+  const raw = await wallet.signTransaction(populated);
+  const tx = ethers.Transaction.from(raw);
+  return {
+    hash: tx.hash,
+    raw,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit.toString(),
+    maxFeePerGas: tx.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString() ?? null,
+    gasPrice: tx.gasPrice?.toString() ?? null,
+    sentAt: Date.now()
+  };
+}
+
+/**
+ * Broadcast a signed payout. "Already known" style errors mean the node has
+ * the tx, which is what we wanted.
+ */
+async function broadcast(provider, raw) {
+  try {
+    await provider.broadcastTransaction(raw);
+  } catch (err) {
+    const message = (err.error?.message || err.message || '').toLowerCase();
+    if (message.includes('already known') || message.includes('known transaction')) return;
+    throw err;
+  }
+}
+
+/**
+ * Re-sign `attempt` with the same nonce, target and value but fees raised
+ * by `percent` (or to the current network fee, whichever is higher).
+ */
+async function signReplacement(wallet, attempt, percent) {
+  const tx = ethers.Transaction.from(attempt.raw);
+  const feeData = await wallet.provider.getFeeData();
+  const bump = value => (BigInt(value) * (100n + BigInt(percent))) / 100n;
+  const max = (a, b) => (a > b ? a : b);
+
+  const request = {
+    to: tx.to,
+    value: tx.value,
+    data: tx.data,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    chainId: tx.chainId
+  };
+  if (tx.maxFeePerGas !== null) {
+    request.maxFeePerGas = max(bump(tx.maxFeePerGas), feeData.maxFeePerGas || 0n);
+    request.maxPriorityFeePerGas = max(bump(tx.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas || 0n);
+  } else {
+    request.gasPrice = max(bump(tx.gasPrice), feeData.gasPrice || 0n);
+  }
+  return signPayout(wallet, request);
+}
+
+module.exports = {
+  signPayout,
+  broadcast,
+  signReplacement
+};
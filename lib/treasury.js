@@ -0,0 +1,404 @@
+/**
+ * Treasury solvency
+ *
+ * What each network's payout wallet holds, against what it owes:
+ *
+ *   queued     payouts waiting in the queue (or being sent)
+ *   approvals  grants waiting for approval (see lib/approvals.js)
+ *   escrowed   locked milestones of escrowed grants (and failed tranches)
+ *   deposits   unclaimed deposits (claimable as grants, or refundable)
+ *   schedules  prepaid balances of recurring grants
+ *
+ * plus the fees it has kept and not forwarded. Every payout is checked
+ * right before it is signed (`preflight`): the wallet must hold the amount
+ * and the gas at current prices. Grants paid out right away are checked the
+ * same way before they are accepted (`canCover`).
+ *
+ * Low-balance circuit breaker, per network: it trips when the wallet's
+ * native balance falls below the network's `minBalance`, or when a payout
+ * fails its pre-flight for lack of funds. While it is tripped the network's
+ * payout queue holds every payout and new grants there are refused with
+ * TREASURY_LOW_BALANCE. It resets at the next balance check (every
+ * `interval`, and on GET /treasury) that finds both the minimum and what the
+ * payout that tripped it needed.
+ *
+ * With a cold treasury (a payout wallet apart from the treasury address, see
+ * lib/networks.js) the funds sit in the treasury and the hot wallet holds a
+ * float. Grants are checked against both, and a payout the hot wallet can't
+ * cover waits for a top-up instead of tripping the breaker: a top-up request
+ * (every queued payout, plus gas, plus `minBalance` as float) is recorded
+ * and handed to `onTopUp`, and is fulfilled once the wallet holds what it
+ * asked for. Nothing here signs for the treasury; whoever holds its keys
+ * sends the top-up.
+ *
+ *   requested ──> fulfilled
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { erc20 } = require('./tokens');
+const { isUndelivered } = require('./escrow');
+
+// Gas used by a plain transfer and a token transfer, for checking new grants
+// before their payout exists (payouts themselves are estimated)
+const GAS_ESTIMATES = { native: 21000n, token: 65000n };
+
+/**
+ * `onResume(chainId)` is called when a network's breaker resets or a top-up
+ * arrives; `onTopUp(topup)` when a top-up is requested (or its amount grows).
+ */
+function createTreasury({ store, networks, interval = 60000, onResume = () => {}, onTopUp = () => {} }) {
+  const breakers = new Map();
+  const lastChecks = new Map();
+  let timer = null;
+
+  /** Payout wallet address of a network (the treasury address when there's no wallet). */
+  function walletAddress(network) {
+    return network.payoutWallet || network.treasury;
+  }
+
+  async function balanceOf(network, token, address = walletAddress(network)) {
+    const provider = network.getProvider();
+    if (!token.address) return provider.getBalance(address);
+    const [balance] = erc20.decodeFunctionResult('balanceOf',
+      await provider.call({ to: token.address, data: erc20.encodeFunctionData('balanceOf', [address]) }));
+    return balance;
+  }
+
+  async function gasPrice(network, overrides = {}) {
+    const price = overrides.maxFeePerGas ?? overrides.gasPrice;
+    if (price) return BigInt(price);
+    const feeData = await network.getProvider().getFeeData();
+    return feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  }
+
+  function trip(network, reason, needs = {}) {
+    const current = breakers.get(network.chainId);
+    breakers.set(network.chainId, { reason, needs, since: current?.since || Date.now() });
+    if (!current) console.error(`[TREASURY] Payouts on ${network.name} paused: ${reason}`);
+  }
+
+  /**
+   * What the network's wallet owes, per token symbol, in base units:
+   * { queued, approvals, escrowed, deposits, schedules, total }.
+   */
+  function obligations(network) {
+    const owed = {};
+    const add = (symbol, field, amount) => {
+      const o = owed[symbol] || (owed[symbol] = { queued: 0n, approvals: 0n, escrowed: 0n, deposits: 0n, schedules: 0n, total: 0n });
+      o[field] += BigInt(amount);
+      o.total += BigInt(amount);
+    };
+    const onChain = record => record.chainId === network.chainId;
+
+    // Approvals move nothing; the disperse payout after them carries the amount
+    for (const status of ['queued', 'sending']) {
+      for (const p of store.payouts.findBy('status', status).filter(onChain)) {
+        if (p.kind !== 'approval') add(p.token, 'queued', p.amount);
+      }
+    }
+    for (const grant of store.grants.findBy('status', 'pending_approval').filter(onChain)) {
+      add(grant.token, 'approvals', grant.grossAmount);
+    }
+    for (const grant of store.grants.findBy('status', 'escrowed').filter(onChain)) {
+      for (const m of grant.milestones.filter(isUndelivered)) add(grant.token, 'escrowed', m.amount);
+    }
+    for (const deposit of store.deposits.findBy('status', 'unclaimed').filter(onChain)) {
+      add(deposit.token, 'deposits', deposit.amount);
+    }
+    for (const status of ['active', 'paused']) {
+      for (const schedule of store.schedules.findBy('status', status).filter(onChain)) {
+        add(schedule.token, 'schedules', schedule.balance);
+      }
+    }
+    return owed;
+  }
+
+  /** Fees kept by the network's treasury (not forwarded to a fee recipient), per token symbol. */
+  function accruedFees(network) {
+    const kept = ['queued', 'sent', 'confirmed', 'escrowed', 'cancelled'];
+    const fees = {};
+    for (const grant of store.grants.findBy('chainId', network.chainId)) {
+      if (grant.mock || !grant.fee || grant.feePayoutId) continue;
+      if (!kept.includes(grant.status) && grant.feeRefunded !== false) continue;
+      fees[grant.token] = (fees[grant.token] || 0n) + BigInt(grant.fee);
+    }
+    return fees;
+  }
+
+  function openTopUps(chainId) {
+    return store.topups.findBy('chainId', chainId).filter(t => t.status === 'requested');
+  }
+
+  /**
+   * Ask the cold treasury to bring the hot wallet up to `needs` (symbol ->
+   * base units), plus the float. `held` is what the wallet holds now.
+   */
+  function requestTopUp(network, needs, held, reason) {
+    const native = network.tokens.native;
+    for (const [symbol, need] of Object.entries(needs)) {
+      const open = openTopUps(network.chainId).find(t => t.token === symbol);
+      if (open && BigInt(open.need) >= need) continue;
+
+      const token = symbol === native.symbol ? native : network.tokens.get(symbol);
+      const amount = need + (token === native ? network.minBalance : 0n) - (held[symbol] || 0n);
+      const fields = {
+        need: need.toString(),
+        amount: amount.toString(),
+        amountFormatted: network.tokens.format(amount, token),
+        reason,
+        updatedAt: Date.now()
+      };
+      const topup = open
+        ? store.topups.update(open.id, fields)
+        : store.topups.insert({
+          id: uuidv4(),
+          chainId: network.chainId,
+          token: symbol,
+          from: network.treasury,
+          to: walletAddress(network),
+          status: 'requested',
+          ...fields,
+          createdAt: Date.now()
+        });
+      console.log(`[TREASURY] Top-up of ${topup.amountFormatted} to ${topup.to} on ${network.name} requested: ${reason}`);
+      onTopUp(topup);
+    }
+  }
+
+  /** Mark top-ups the wallet now covers as fulfilled; the queue resumes if any were. */
+  function settleTopUps(network, balances) {
+    let fulfilled = 0;
+    for (const topup of openTopUps(network.chainId)) {
+      if ((balances[topup.token] ?? 0n) < BigInt(topup.need)) continue;
+      store.topups.update(topup.id, { status: 'fulfilled', fulfilledAt: Date.now() });
+      fulfilled++;
+    }
+    if (fulfilled) {
+      console.log(`[TREASURY] Payout wallet on ${network.name} topped up`);
+      onResume(network.chainId);
+    }
+  }
+
+  /** Read the network's balances, then trip or reset its breaker (or ask for a top-up). */
+  async function check(network) {
+    try {
+      const balances = {};
+      const treasuryBalances = network.coldTreasury ? {} : null;
+      for (const token of network.tokens.list()) {
+        balances[token.symbol] = await balanceOf(network, token);
+        if (treasuryBalances) treasuryBalances[token.symbol] = await balanceOf(network, token, network.treasury);
+      }
+      lastChecks.set(network.chainId, { balances, treasuryBalances, checkedAt: Date.now(), error: null });
+
+      const native = balances[network.tokens.native.symbol];
+      if (network.coldTreasury) {
+        if (native < network.minBalance) {
+          requestTopUp(network, { [network.tokens.native.symbol]: network.minBalance }, balances,
+            `Payout wallet balance ${network.tokens.format(native)} is below the ${network.tokens.format(network.minBalance)} minimum`);
+        }
+        settleTopUps(network, balances);
+        return;
+      }
+      const breaker = breakers.get(network.chainId);
+      if (native < network.minBalance) {
+        trip(network, `Treasury balance ${network.tokens.format(native)} is below the ${network.tokens.format(network.minBalance)} minimum`, breaker?.needs);
+      } else if (breaker && Object.entries(breaker.needs).every(([symbol, need]) => balances[symbol] >= need)) {
+        breakers.delete(network.chainId);
+        console.log(`[TREASURY] Payouts on ${network.name} resumed`);
+        onResume(network.chainId);
+      }
+    } catch (err) {
+      lastChecks.set(network.chainId, { ...lastChecks.get(network.chainId), error: err.message });
+      console.error(`[TREASURY ERROR] ${network.name}:`, err.message);
+    }
+  }
+
+  /**
+   * Pre-flight check for the payout queue of `network`: whether `payout`
+   * can be sent now. Returns null, or why not (the queue then holds it).
+   * Throws when the payout itself can't go out, e.g. its gas estimate
+   * reverts (the queue retries it, then fails it).
+   */
+  function preflight(network) {
+    return async (payout, wallet, overrides) => {
+      const breaker = breakers.get(network.chainId);
+      if (breaker) return `Payouts paused: ${breaker.reason}`;
+
+      const native = network.tokens.native;
+      const token = payout.token === native.symbol ? native : network.tokens.get(payout.token);
+      const needs = {};
+      const held = {};
+      if (token?.address && payout.kind !== 'approval') {
+        held[token.symbol] = await balanceOf(network, token, wallet.address);
+        if (held[token.symbol] < BigInt(payout.amount)) needs[token.symbol] = BigInt(payout.amount);
+      }
+      if (!needs[token?.symbol]) {
+        let gas;
+        try {
+          gas = await network.getProvider().estimateGas({ from: wallet.address, to: payout.to, value: BigInt(payout.value), data: payout.data });
+        } catch (err) {
+          // Nodes won't estimate what the wallet can't pay for; the balance check below catches that
+          if (err.code !== 'INSUFFICIENT_FUNDS') throw err;
+          gas = token?.address ? GAS_ESTIMATES.token : GAS_ESTIMATES.native;
+        }
+        const cost = BigInt(payout.value) + gas * await gasPrice(network, overrides);
+        held[native.symbol] = await balanceOf(network, native, wallet.address);
+        if (held[native.symbol] < cost) needs[native.symbol] = cost;
+      }
+      if (!Object.keys(needs).length) return null;
+
+      const missing = Object.entries(needs)
+        .map(([symbol, need]) => `${network.tokens.format(need, symbol === native.symbol ? native : token)}${symbol === native.symbol ? ' incl. gas' : ''}`)
+        .join(' and ');
+      if (network.coldTreasury) {
+        // Enough for everything queued (this payout included), not just this one
+        const queued = obligations(network);
+        const ahead = symbol => queued[symbol]?.queued || 0n;
+        const max = (a, b) => (a > b ? a : b);
+        const wanted = Object.fromEntries(Object.entries(needs).map(([symbol, need]) => [symbol,
+          symbol === native.symbol ? need - BigInt(payout.value) + max(BigInt(payout.value), ahead(symbol)) : max(need, ahead(symbol))]));
+        requestTopUp(network, wanted, held, `Payout ${payout.id} needs ${missing}`);
+        return `Waiting for a top-up from the treasury: needs ${missing}`;
+      }
+      trip(network, `Payout ${payout.id} needs ${missing}, more than the wallet holds`, needs);
+      return `Insufficient treasury balance: needs ${missing}`;
+    };
+  }
+
+  /** Why new grants on a network are refused right now, or null. */
+  function paused(chainId) {
+    const breaker = breakers.get(chainId);
+    if (!breaker) return null;
+    const network = networks.get(chainId);
+    return {
+      error: `Payouts on ${network.name} are paused: ${breaker.reason}. Try again once the treasury is topped up.`,
+      code: 'TREASURY_LOW_BALANCE',
+      since: breaker.since
+    };
+  }
+
+  /**
+   * Whether the wallet (with a cold treasury: wallet and treasury together)
+   * can pay `amount` of `token` right away, after every payout queued before
+   * it, plus gas. Returns null or { error, code, ... }.
+   */
+  async function canCover(network, token, amount) {
+    const blocked = paused(network.chainId);
+    if (blocked) return blocked;
+
+    const native = network.tokens.native;
+    const queued = obligations(network);
+    const price = await gasPrice(network);
+    const gas = (token.address ? GAS_ESTIMATES.token : GAS_ESTIMATES.native) * price;
+    const needs = token.address
+      ? [[token, amount + (queued[token.symbol]?.queued || 0n)], [native, gas + (queued[native.symbol]?.queued || 0n)]]
+      : [[native, amount + gas + (queued[native.symbol]?.queued || 0n)]];
+    for (const [t, need] of needs) {
+      const held = await balanceOf(network, t) + (network.coldTreasury ? await balanceOf(network, t, network.treasury) : 0n);
+      if (held < need) {
+        return {
+          error: `The treasury can't cover this payout on ${network.name} right now: it needs ${network.tokens.format(need, t)} including queued payouts${t === native ? ' and gas' : ''}, and holds ${network.tokens.format(held, t)}`,
+          code: 'TREASURY_INSUFFICIENT',
+          token: t.symbol,
+          needed: need.toString(),
+          available: held.toString()
+        };
+      }
+    }
+    return null;
+  }
+
+  /** Balances, obligations and fees of one network, for GET /treasury. */
+  async function report(network) {
+    await check(network);
+    const last = lastChecks.get(network.chainId) || {};
+    const owed = obligations(network);
+    const fees = accruedFees(network);
+    const breaker = breakers.get(network.chainId);
+    const tokens = {};
+    for (const token of network.tokens.list()) {
+      const format = amount => network.tokens.format(amount, token);
+      const balance = last.balances?.[token.symbol];
+      const inTreasury = last.treasuryBalances?.[token.symbol];
+      const total = balance === undefined ? undefined : balance + (inTreasury || 0n);
+      const o = owed[token.symbol] || { queued: 0n, approvals: 0n, escrowed: 0n, deposits: 0n, schedules: 0n, total: 0n };
+      tokens[token.symbol] = {
+        balance: balance === undefined ? null : balance.toString(),
+        balanceFormatted: balance === undefined ? null : format(balance),
+        ...(network.coldTreasury ? {
+          treasuryBalance: inTreasury === undefined ? null : inTreasury.toString(),
+          treasuryBalanceFormatted: inTreasury === undefined ? null : format(inTreasury)
+        } : {}),
+        obligations: Object.fromEntries(Object.entries(o).map(([field, amount]) => [field, format(amount)])),
+        surplus: total === undefined ? null : (total - o.total).toString(),
+        surplusFormatted: total === undefined ? null : (total < o.total ? '-' + format(o.total - total) : format(total - o.total)),
+        accruedFees: format(fees[token.symbol] || 0n)
+      };
+    }
+    return {
+      chainId: network.chainId,
+      name: network.name,
+      treasury: network.treasury,
+      wallet: walletAddress(network),
+      coldTreasury: network.coldTreasury,
+      topUps: openTopUps(network.chainId),
+      minBalance: network.tokens.format(network.minBalance),
+      paused: !!breaker,
+      pausedReason: breaker?.reason || null,
+      pausedSince: breaker?.since || null,
+      checkedAt: last.checkedAt || null,
+      lastError: last.error || null,
+      tokens
+    };
+  }
+
+  async function checkAll() {
+    for (const network of networks.list()) await check(network);
+  }
+
+  return {
+    preflight,
+    paused,
+    canCover,
+    obligations,
+    accruedFees,
+
+    async report() {
+      const list = [];
+      for (const network of networks.list()) list.push(await report(network));
+      return list;
+    },
+
+    /** Breaker state per network, for /health. */
+    status() {
+      return Object.fromEntries(networks.list().map(network => {
+        const breaker = breakers.get(network.chainId);
+        const last = lastChecks.get(network.chainId);
+        const native = last?.balances?.[network.tokens.native.symbol];
+        return [network.chainId, {
+          paused: !!breaker,
+          reason: breaker?.reason || null,
+          topUpsRequested: openTopUps(network.chainId).length,
+          balance: native === undefined ? null : network.tokens.format(native),
+          checkedAt: last?.checkedAt || null
+        }];
+      }));
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(checkAll, interval);
+      timer.unref?.();
+      checkAll();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  createTreasury
+};
@@ -0,0 +1,256 @@
+/**
+ * Funding transaction verification
+ *
+ * Every deposit a grant, schedule or top-up is funded with is checked here
+ * before anything is paid out. A funding tx must be, on the grant's network:
+ *
+ *   - on the chain the RPC claims to serve, and signed for it
+ *   - mined, successful and still in the canonical chain (the receipt's
+ *     block hash is the block at that height now, so a reorged tx fails)
+ *   - at least `minConfirmations` deep (default: the network's
+ *     confirmations, the depth the deposit indexer reads at)
+ *   - no older than `maxAge`, when set
+ *   - a transfer to the treasury: ETH sent directly, allowlisted tokens
+ *     (Transfer logs, see lib/tokens.js), or ETH forwarded by a contract
+ *     such as a smart-contract wallet (an internal transfer, see below)
+ *   - for the `amount` the depositor declared, within `amountTolerance`
+ *     basis points, when they declared one
+ *
+ * Internal transfers (`internalTransfers`):
+ *
+ *   trace     debug_traceTransaction (callTracer): value-carrying calls to
+ *             the treasury, outside reverted frames, are the deposits; the
+ *             contract making the call is the depositor
+ *   balance   for RPCs that can't trace: the treasury's balance change over
+ *             the tx's block, less the other top-level txs to and from the
+ *             treasury in it, credited to the contract the tx called. Any
+ *             other internal transfer to the treasury in the same block is
+ *             credited too, so only use it where tracing isn't available.
+ *   off       only direct transfers count
+ *
+ * Failures are { error, code, ...details }; `code` is one of CODES.
+ */
+
+const CODES = [
+  'RPC_WRONG_CHAIN', // the RPC serves another chain than the network's
+  'TX_NOT_FOUND',
+  'TX_WRONG_CHAIN', // the tx is signed for another chain
+  'TX_PENDING', // not mined yet
+  'TX_FAILED', // reverted
+  'TX_REORGED', // its block is no longer in the chain
+  'TX_UNCONFIRMED', // fewer than the required confirmations; retry later
+  'TX_TOO_OLD',
+  'NOT_TO_TREASURY',
+  'NO_FUNDS', // sent to the treasury without value
+  'TOKEN_MISMATCH', // no transfer of the requested token
+  'MULTIPLE_DEPOSITS', // several deposits, the token (or sender) is ambiguous
+  'TRACE_UNAVAILABLE', // the tx calls a contract and the RPC can't trace it
+  'INVALID_AMOUNT',
+  'AMOUNT_MISMATCH' // the deposit isn't the declared amount
+];
+
+const INTERNAL_TRANSFER_MODES = ['trace', 'balance', 'off'];
+
+function fail(code, error, details = {}) {
+  return { error, code, ...details };
+}
+
+/** Value-carrying calls to `to` in a callTracer frame tree, skipping reverted frames. */
+function tracedTransfers(frame, to, found = []) {
+  if (frame.error) return found;
+  const value = frame.value ? BigInt(frame.value) : 0n;
+  if (value > 0n && frame.to?.toLowerCase() === to && (frame.type === 'CALL' || frame.type === 'SELFDESTRUCT')) {
+    found.push({ from: frame.from, amount: value });
+  }
+  for (const call of frame.calls || []) tracedTransfers(call, to, found);
+  return found;
+}
+
+/** Sum deposits of the same token from the same sender. */
+function mergeDeposits(deposits) {
+  const merged = new Map();
+  for (const d of deposits) {
+    const key = `${d.token.symbol}:${d.from.toLowerCase()}`;
+    const entry = merged.get(key);
+    if (entry) entry.amount += d.amount;
+    else merged.set(key, { ...d });
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * `maxAge` in ms (null: no limit), `amountTolerance` in basis points,
+ * `minConfirmations` null to use each network's confirmations.
+ */
+function createVerifier({ minConfirmations = null, maxAge = null, amountTolerance = 0, internalTransfers = 'trace' } = {}) {
+  if (!INTERNAL_TRANSFER_MODES.includes(internalTransfers)) {
+    throw new Error(`Unknown INTERNAL_TRANSFERS mode ${internalTransfers}: use one of ${INTERNAL_TRANSFER_MODES.join(', ')}`);
+  }
+
+  /** ETH a contract call forwarded to the treasury: [{ token, from, amount }], or a failure. */
+  async function internalDeposits(network, tx, receipt) {
+    const provider = network.getProvider();
+    const treasury = network.treasury.toLowerCase();
+    const native = network.tokens.native;
+
+    if (internalTransfers === 'trace') {
+      let trace;
+      try {
+        trace = await provider.send('debug_traceTransaction', [tx.hash, { tracer: 'callTracer' }]);
+      } catch (err) {
+        return fail('TRACE_UNAVAILABLE', `Transaction calls a contract and the ${network.name} RPC can't trace it to find transfers to the treasury`, { detail: err.message });
+      }
+      // The top-level call is the direct transfer, checked already
+      return (trace.calls || []).flatMap(call => tracedTransfers(call, treasury)).map(d => ({ token: native, ...d }));
+    }
+
+    const block = await provider.getBlock(receipt.blockNumber, true);
+    const [before, after] = await Promise.all([
+      provider.getBalance(network.treasury, receipt.blockNumber - 1),
+      provider.getBalance(network.treasury, receipt.blockNumber)
+    ]);
+    let others = 0n;
+    for (const other of block.prefetchedTransactions) {
+      if (other.hash === tx.hash) continue;
+      if (other.to?.toLowerCase() === treasury) others += other.value;
+      if (other.from.toLowerCase() === treasury) {
+        const spent = await provider.getTransactionReceipt(other.hash);
+        others -= other.value + spent.gasUsed * spent.gasPrice;
+      }
+    }
+    const amount = after - before - others;
+    return amount > 0n ? [{ token: native, from: tx.to, amount }] : [];
+  }
+
+  /**
+   * Check that txHash funds the treasury of `network`. Pass `token` (from the
+   * network's registry) to require a specific asset, and `amount` (decimal
+   * string in that asset) when the depositor declared one.
+   * Returns { tx, amount, from, token, blockNumber, timestamp, confirmations,
+   * internal } or { error, code, ...details }.
+   */
+  async function verify(txHash, { network, token = null, amount = null }) {
+    const wrongChain = await network.checkChain();
+    if (wrongChain) {
+      return fail('RPC_WRONG_CHAIN', wrongChain);
+    }
+
+    const provider = network.getProvider();
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) {
+      return fail('TX_NOT_FOUND', `Transaction not found on ${network.name}`);
+    }
+    // Replay-protected transactions name their chain
+    if (tx.chainId && tx.chainId !== BigInt(network.chainId)) {
+      return fail('TX_WRONG_CHAIN', `Transaction is for chain ${tx.chainId}, not ${network.name} (${network.chainId})`);
+    }
+
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      return fail('TX_PENDING', 'Transaction is not mined yet');
+    }
+    if (receipt.status !== 1) {
+      return fail('TX_FAILED', 'Transaction failed');
+    }
+    const [block, head] = await Promise.all([provider.getBlock(receipt.blockNumber), provider.getBlockNumber()]);
+    if (!block || block.hash !== receipt.blockHash) {
+      return fail('TX_REORGED', 'Transaction was dropped from the chain by a reorg');
+    }
+    const confirmations = head - receipt.blockNumber + 1;
+    const required = minConfirmations ?? network.confirmations;
+    if (confirmations < required) {
+      return fail('TX_UNCONFIRMED', `Transaction has ${confirmations} of the ${required} confirmations required; try again shortly`, { confirmations, required });
+    }
+    const timestamp = block.timestamp * 1000;
+    if (maxAge !== null && Date.now() - timestamp > maxAge) {
+      return fail('TX_TOO_OLD', `Transaction is older than the ${Math.round(maxAge / 1000)}s a deposit may be`, { timestamp, maxAgeSeconds: Math.round(maxAge / 1000) });
+    }
+
+    const toTreasury = tx.to?.toLowerCase() === network.treasury.toLowerCase();
+    let deposits = network.tokens.decodeTransfers(receipt, network.treasury);
+    if (toTreasury && tx.value > 0n) {
+      deposits.unshift({ token: network.tokens.native, from: tx.from, amount: tx.value });
+    }
+
+    // ETH forwarded by a contract call, when no ETH went to the treasury directly
+    let internal = false;
+    const wantsNative = !token || token === network.tokens.native;
+    if (internalTransfers !== 'off' && wantsNative && !toTreasury && tx.to && !deposits.some(d => d.token === network.tokens.native) &&
+      await provider.getCode(tx.to) !== '0x') {
+      const found = await internalDeposits(network, tx, receipt);
+      if (found.error && !deposits.length) return found;
+      if (!found.error && found.length) {
+        deposits = mergeDeposits([...found, ...deposits]);
+        internal = true;
+      }
+    }
+
+    const matching = token ? deposits.filter(d => d.token === token) : deposits;
+    if (matching.length === 0) {
+      if (token && deposits.length) {
+        return fail('TOKEN_MISMATCH', `No ${token.symbol} transfer to treasury in transaction`, { found: deposits.map(d => d.token.symbol) });
+      }
+      if (toTreasury) {
+        return fail('NO_FUNDS', 'Transaction transfers no funds');
+      }
+      return fail('NOT_TO_TREASURY', 'Not sent to treasury', { expected: network.treasury, got: tx.to });
+    }
+    if (matching.length > 1) {
+      const tokensFound = new Set(matching.map(d => d.token.symbol));
+      return fail('MULTIPLE_DEPOSITS', tokensFound.size > 1
+        ? 'Transaction contains several deposits to treasury; specify token'
+        : 'Transaction contains deposits to treasury from several senders', {
+        found: matching.map(d => ({ token: d.token.symbol, from: d.from, amount: d.amount.toString() }))
+      });
+    }
+
+    const [deposit] = matching;
+    if (amount !== null && amount !== undefined) {
+      let declared;
+      try {
+        declared = network.tokens.parse(String(amount), deposit.token);
+      } catch {
+        return fail('INVALID_AMOUNT', 'Invalid amount');
+      }
+      const diff = declared > deposit.amount ? declared - deposit.amount : deposit.amount - declared;
+      if (diff * 10000n > deposit.amount * BigInt(amountTolerance)) {
+        return fail('AMOUNT_MISMATCH', `Transaction sent ${network.tokens.format(deposit.amount, deposit.token)}, not the declared ${amount} ${deposit.token.symbol}`, {
+          declared: declared.toString(),
+          received: deposit.amount.toString(),
+          toleranceBps: amountTolerance
+        });
+      }
+    }
+
+    return {
+      tx,
+      amount: deposit.amount,
+      from: deposit.from,
+      token: deposit.token,
+      blockNumber: receipt.blockNumber,
+      timestamp,
+      confirmations,
+      internal
+    };
+  }
+
+  return {
+    verify,
+
+    /** Verification settings, for /agent and /health. */
+    describe() {
+      return {
+        minConfirmations: minConfirmations ?? 'network',
+        maxAgeSeconds: maxAge === null ? null : Math.round(maxAge / 1000),
+        amountToleranceBps: amountTolerance,
+        internalTransfers
+      };
+    }
+  };
+}
+
+module.exports = {
+  CODES,
+  INTERNAL_TRANSFER_MODES,
+  createVerifier
+};
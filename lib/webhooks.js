@@ -0,0 +1,252 @@
+/**
+ * Webhooks
+ *
+ * Grantors and recipients register endpoints for their own address and get
+ * a POST for every lifecycle event of a grant they are part of:
+ *
+ *   grant.created      grant accepted (queued, escrowed or pending approval)
+ *   grant.approval_requested   a grant waits for approvers (sent to them,
+ *                      see lib/approvals.js)
+ *   payout.sent        a payout was broadcast
+ *   payout.confirmed   a payout has the required confirmations
+ *   payout.failed      a payout reverted, was replaced or gave up retrying
+ *   refund.sent / refund.confirmed / refund.failed   same, for refunds
+ *   treasury.topup     the hot payout wallet needs a top-up from the cold
+ *                      treasury (sent to admins, see lib/treasury.js)
+ *
+ * Each delivery is stored before it is attempted, so the log doubles as a
+ * retry queue: non-2xx answers and network errors are retried with
+ * exponential backoff until `maxAttempts`, and any delivery can be replayed.
+ *
+ * Payloads are signed with the endpoint's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENTS = [
+  'grant.created',
+  'grant.approval_requested',
+  'payout.sent',
+  'payout.confirmed',
+  'payout.failed',
+  'refund.sent',
+  'refund.confirmed',
+  'refund.failed',
+  'treasury.topup'
+];
+
+const MAX_WEBHOOKS_PER_OWNER = 10;
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Webhook as shown in API responses (secret left out). */
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function createWebhooks({
+  store,
+  fetch = globalThis.fetch,
+  maxAttempts = 8,
+  retryBaseDelay = 10 * 1000,
+  timeout = 10 * 1000,
+  interval = 5000
+}) {
+  let draining = null;
+  let timer = null;
+
+  /** Register an endpoint for `owner`. Returns { webhook, secret } or { status, error }. */
+  function register(owner, { url, events = EVENTS, description }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { status: 400, error: 'url must be an absolute http(s) URL' };
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      return { status: 400, error: 'url must be an absolute http(s) URL' };
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !EVENTS.includes(e))) {
+      return { status: 400, error: `events must be a list of ${EVENTS.join(', ')}` };
+    }
+    if (store.webhooks.findBy('owner', owner).length >= MAX_WEBHOOKS_PER_OWNER) {
+      return { status: 409, error: `At most ${MAX_WEBHOOKS_PER_OWNER} webhooks per address` };
+    }
+
+    const secret = 'whsec_' + crypto.randomBytes(24).toString('hex');
+    const webhook = store.webhooks.insert({
+      id: uuidv4(),
+      owner,
+      url: parsed.toString(),
+      events: Array.from(new Set(events)),
+      description: description || undefined,
+      secret,
+      createdAt: Date.now()
+    });
+    return { webhook: publicWebhook(webhook), secret };
+  }
+
+  /**
+   * Record a delivery of `event` to every endpoint of `owners` subscribed to
+   * it, then start delivering. `data` is the event body.
+   */
+  function emit(event, data, owners) {
+    const eventId = uuidv4();
+    const createdAt = Date.now();
+    const targets = new Set(owners.filter(Boolean).map(o => o.toLowerCase()));
+    let queued = 0;
+    for (const owner of targets) {
+      for (const webhook of store.webhooks.findBy('owner', owner)) {
+        if (!webhook.events.includes(event)) continue;
+        store.webhookDeliveries.insert({
+          id: uuidv4(),
+          webhookId: webhook.id,
+          eventId,
+          event,
+          payload: { id: eventId, event, createdAt, data },
+          status: 'pending',
+          attempts: [],
+          nextAttemptAt: createdAt,
+          createdAt
+        });
+        queued += 1;
+      }
+    }
+    if (queued) drain();
+    return queued;
+  }
+
+  async function attempt(delivery) {
+    const webhook = store.webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      return store.webhookDeliveries.update(delivery.id, { status: 'failed', lastError: 'Webhook deleted', nextAttemptAt: null });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'DirectGrants-Webhooks/1',
+          'x-webhook-id': delivery.id,
+          'x-webhook-event': delivery.event,
+          'x-webhook-signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeout)
+      });
+      responseStatus = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${timeout}ms` : err.message;
+    }
+
+    const attempts = [...delivery.attempts, { at: started, durationMs: Date.now() - started, responseStatus, error }];
+    if (!error) {
+      return store.webhookDeliveries.update(delivery.id, { status: 'delivered', attempts, lastError: null, deliveredAt: Date.now(), nextAttemptAt: null });
+    }
+    if (attempts.length >= maxAttempts) {
+      console.error(`[WEBHOOK] Delivery ${delivery.id} to ${webhook.url} failed after ${attempts.length} attempts: ${error}`);
+      return store.webhookDeliveries.update(delivery.id, { status: 'failed', attempts, lastError: error, nextAttemptAt: null });
+    }
+    const delay = retryBaseDelay * 2 ** (attempts.length - 1);
+    setTimeout(drain, delay).unref?.();
+    return store.webhookDeliveries.update(delivery.id, { attempts, lastError: error, nextAttemptAt: Date.now() + delay });
+  }
+
+  function due() {
+    const now = Date.now();
+    return store.webhookDeliveries.findBy('status', 'pending')
+      .filter(d => d.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async function run() {
+    let batch;
+    while ((batch = due()).length) {
+      for (const delivery of batch) {
+        try {
+          await attempt(delivery);
+        } catch (err) {
+          console.error('[WEBHOOK ERROR]', err.message);
+        }
+      }
+    }
+  }
+
+  /** Deliver everything due, one at a time; concurrent calls share one run. */
+  function drain() {
+    if (!draining) {
+      draining = run().finally(() => {
+        draining = null;
+      });
+    }
+    return draining;
+  }
+
+  return {
+    EVENTS,
+    register,
+    emit,
+    drain,
+
+    list(owner) {
+      return store.webhooks.findBy('owner', owner).map(publicWebhook);
+    },
+
+    remove(id) {
+      store.webhooks.remove(id);
+    },
+
+    /** Delivery log for one webhook, newest first. */
+    deliveries(webhookId, { status, limit = 50 } = {}) {
+      return store.webhookDeliveries.findBy('webhookId', webhookId)
+        .filter(d => !status || d.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+    },
+
+    /** Send a delivery again (whatever its status) with a fresh set of attempts. */
+    replay(delivery) {
+      const replayed = store.webhookDeliveries.update(delivery.id, {
+        status: 'pending',
+        attempts: [],
+        previousAttempts: [...(delivery.previousAttempts || []), ...delivery.attempts],
+        nextAttemptAt: Date.now(),
+        replayedAt: Date.now()
+      });
+      drain();
+      return replayed;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(drain, interval);
+      timer.unref?.();
+      drain();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  EVENTS,
+  sign,
+  publicWebhook,
+  createWebhooks
+};
@@ -0,0 +1,291 @@
+/**
+ * Whitelist
+ *
+ * Who may create grants is decided by a list of sources, checked in order;
+ * the first that knows an address admits it. Sources are configured as a
+ * comma-separated spec:
+ *
+ *   local                 entries managed through /admin/whitelist (stored)
+ *   url:https://...       remote JSON list of addresses or entries
+ *   file:/path/list.json  local JSON list of addresses or entries
+ *   holder:0xToken[:min]  anyone holding >= min (base units, default 1) of an
+ *                         ERC-20 or ERC-721 — both answer balanceOf()
+ *
+ * List sources are cached for `ttl`, and the last good copy of a remote list
+ * is kept in storage so a cold start with the URL down still admits the
+ * people it listed. When a source can't be read and no other one admits the
+ * address, check() reports `unavailable` rather than treating everyone as
+ * unknown.
+ *
+ * Entries carry `roles` ('grantor', 'admin') and `limits`; entries from
+ * sources that don't say otherwise are grantors without limits. Only local
+ * entries can grant 'admin'. Every local change is written to an audit log.
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
+const { erc20 } = require('./tokens');
+
+const ROLES = ['grantor', 'admin'];
+const DEFAULT_ROLES = ['grantor'];
+
+function normalizeEntry(raw, source) {
+  const address = (raw.address || raw).toString().toLowerCase();
+  const roles = Array.isArray(raw.roles) ? raw.roles.filter(r => r !== 'admin' || source === 'local') : DEFAULT_ROLES;
+  return { address, roles, limits: raw.limits || {}, source };
+}
+
+/** A source backed by a list that is loaded whole and cached. */
+function listSource({ name, type, store, ttl, load }) {
+  let cache = null;
+  let loadedAt = 0;
+  let lastError = null;
+
+  function fromSnapshot() {
+    const snapshot = store.whitelistSnapshots.get(name);
+    if (!snapshot) return null;
+    return new Map(snapshot.entries.map(e => [e.address, e]));
+  }
+
+  async function entries() {
+    if (cache && Date.now() - loadedAt < ttl) return cache;
+    try {
+      const list = await load();
+      if (!Array.isArray(list)) throw new Error('Whitelist source did not return an array');
+      const normalized = list.map(raw => normalizeEntry(raw, name));
+      cache = new Map(normalized.map(e => [e.address, e]));
+      loadedAt = Date.now();
+      lastError = null;
+      if (type === 'url') {
+        const snapshot = { source: name, entries: normalized, fetchedAt: loadedAt };
+        if (store.whitelistSnapshots.has(name)) store.whitelistSnapshots.update(name, snapshot);
+        else store.whitelistSnapshots.insert(snapshot);
+      }
+    } catch (err) {
+      lastError = err.message;
+      console.error(`[WHITELIST] ${name} failed:`, err.message);
+      cache = cache || fromSnapshot();
+      // Retry a failing source at most once a minute
+      loadedAt = Date.now() - ttl + Math.min(ttl, 60 * 1000);
+      if (!cache) throw new Error(`${name} unavailable: ${err.message}`);
+    }
+    return cache;
+  }
+
+  return {
+    name,
+    type,
+    async lookup(address) {
+      return (await entries()).get(address) || null;
+    },
+    status() {
+      return { name, type, size: cache ? cache.size : null, loadedAt: loadedAt || null, lastError };
+    }
+  };
+}
+
+function parseSources(spec, { store, getProvider, ttl, fetch }) {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const type = separator === -1 ? entry : entry.slice(0, separator);
+    const arg = separator === -1 ? '' : entry.slice(separator + 1);
+
+    switch (type) {
+      case 'local':
+        return {
+          name: 'local',
+          type,
+          async lookup(address) {
+            const found = store.whitelist.get(address);
+            return found ? { ...normalizeEntry(found, 'local'), note: found.note } : null;
+          },
+          status() {
+            return { name: 'local', type, size: store.whitelist.count() };
+          }
+        };
+      case 'url':
+        return listSource({
+          name: entry,
+          type,
+          store,
+          ttl,
+          async load() {
+            const res = await fetch(arg);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+          }
+        });
+      case 'file':
+        return listSource({
+          name: entry,
+          type,
+          store,
+          ttl,
+          async load() {
+            return JSON.parse(await fs.promises.readFile(arg, 'utf8'));
+          }
+        });
+      case 'holder': {
+        const [tokenAddress, min = '1'] = arg.split(':');
+        const token = new ethers.Contract(ethers.getAddress(tokenAddress), erc20, getProvider());
+        const minBalance = BigInt(min);
+        const checked = new Map();
+        let lastError = null;
+        return {
+          name: entry,
+          type,
+          async lookup(address) {
+            const hit = checked.get(address);
+            if (hit && Date.now() - hit.at < ttl) return hit.entry;
+            try {
+              const balance = await token.balanceOf(address);
+              const found = balance >= minBalance ? normalizeEntry({ address }, entry) : null;
+              checked.set(address, { entry: found, at: Date.now() });
+              lastError = null;
+              return found;
+            } catch (err) {
+              lastError = err.shortMessage || err.message;
+              throw new Error(`${entry} unavailable: ${lastError}`);
+            }
+          },
+          status() {
+            return { name: entry, type, token: tokenAddress, minBalance: minBalance.toString(), lastError };
+          }
+        };
+      }
+      default:
+        throw new Error(`Unknown whitelist source ${entry}`);
+    }
+  });
+}
+
+/**
+ * `sources` is the spec above. `validateLimits(limits)` returns an error
+ * string for limits the caller can't enforce.
+ */
+function createWhitelist({
+  store,
+  sources = 'local',
+  getProvider,
+  ttl = 5 * 60 * 1000,
+  fetch = globalThis.fetch,
+  validateLimits = () => null
+}) {
+  const configured = parseSources(sources, { store, getProvider, ttl, fetch });
+
+  function audit(action, address, actor, before, after) {
+    store.whitelistAudit.insert({
+      id: uuidv4(),
+      action,
+      address,
+      actor,
+      before: before || null,
+      after: after || null,
+      at: Date.now()
+    });
+  }
+
+  /** Returns { fields } cleaned up for storage, or { error }. */
+  function validate({ roles, limits, note }) {
+    const fields = {};
+    if (roles !== undefined) {
+      if (!Array.isArray(roles) || roles.some(r => !ROLES.includes(r))) {
+        return { error: `roles must be an array of ${ROLES.join(', ')}` };
+      }
+      fields.roles = Array.from(new Set(roles));
+    }
+    if (limits !== undefined) {
+      if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return { error: 'limits must be an object' };
+      }
+      const error = validateLimits(limits);
+      if (error) return { error };
+      fields.limits = limits;
+    }
+    if (note !== undefined) fields.note = note ? note.toString() : undefined;
+    return { fields };
+  }
+
+  return {
+    ROLES,
+
+    /**
+     * Look an address up in every source. Returns { allowed, entry } or
+     * { allowed: false, unavailable: true, errors } when a source that
+     * might have admitted it could not be read.
+     */
+    async check(address) {
+      const key = address.toLowerCase();
+      const errors = [];
+      for (const source of configured) {
+        try {
+          const entry = await source.lookup(key);
+          if (entry) return { allowed: true, entry };
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      return errors.length ? { allowed: false, unavailable: true, errors } : { allowed: false };
+    },
+
+    /** Locally managed entry (the only kind that can hold 'admin'). */
+    local(address) {
+      return store.whitelist.get(address.toLowerCase());
+    },
+
+    entries() {
+      return store.whitelist.all().sort((a, b) => b.addedAt - a.addedAt);
+    },
+
+    sources() {
+      return configured.map(s => s.status());
+    },
+
+    add({ address, roles = DEFAULT_ROLES, limits = {}, note }, actor) {
+      if (!address || !ethers.isAddress(address)) return { status: 400, error: 'Invalid address' };
+      const { fields, error } = validate({ roles, limits, note });
+      if (error) return { status: 400, error };
+      const key = address.toLowerCase();
+      if (store.whitelist.has(key)) return { status: 409, error: 'Address already whitelisted', entry: store.whitelist.get(key) };
+
+      const entry = store.whitelist.insert({ address: key, ...fields, addedBy: actor, addedAt: Date.now() });
+      audit('add', key, actor, null, entry);
+      console.log(`[WHITELIST] ${key} added by ${actor}`);
+      return { entry };
+    },
+
+    update(address, patch, actor) {
+      const key = address.toLowerCase();
+      const before = store.whitelist.get(key);
+      if (!before) return { status: 404, error: 'Address not in local whitelist' };
+      const { fields, error } = validate(patch);
+      if (error) return { status: 400, error };
+
+      const entry = store.whitelist.update(key, { ...fields, updatedBy: actor, updatedAt: Date.now() });
+      audit('update', key, actor, before, entry);
+      return { entry };
+    },
+
+    remove(address, actor) {
+      const key = address.toLowerCase();
+      const before = store.whitelist.get(key);
+      if (!before) return { status: 404, error: 'Address not in local whitelist' };
+      store.whitelist.remove(key);
+      audit('remove', key, actor, before, null);
+      console.log(`[WHITELIST] ${key} removed by ${actor}`);
+      return { entry: before };
+    },
+
+    /** Audit log, newest first, optionally for one address. */
+    auditLog({ address, limit = 100 } = {}) {
+      const entries = address ? store.whitelistAudit.findBy('address', address) : store.whitelistAudit.all();
+      return entries.sort((a, b) => b.at - a.at).slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  createWhitelist
+};
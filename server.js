@@ -6,16 +6,42 @@
  * 
  * Flow:
  * 1. AI agent or user POSTs grant request with recipient, amount, reason
- * 2. System verifies funding tx and sends ETH (minus 5% fee)
- * 3. Grant recorded on-chain for transparency
+ * 2. System verifies funding tx and sends ETH (minus the fee, see lib/fees.js)
+ * 3. Grant recorded on-chain for transparency (EAS attestation, see lib/attestations.js)
  */
 
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const { ethers } = require('ethers');
+const path = require('path');
+const { createStore } = require('./lib/storage');
+const { transitionGrant, syncGrantWithPayout, grantRecipients, grantToken, isPaidOut } = require('./lib/grants');
+const { createPayoutQueue, routePayouts, publicPayout } = require('./lib/payouts');
+const { createReconciler } = require('./lib/reconciler');
+const { KNOWN_NETWORKS, parseNetworkList, createNetworks } = require('./lib/networks');
+const { validateRecipients, allocate, buildDisperse } = require('./lib/splits');
+const { validateMilestones, createEscrow } = require('./lib/escrow');
+const { createRefunds } = require('./lib/refunds');
+const { createApprovals } = require('./lib/approvals');
+const { createAttestations } = require('./lib/attestations');
+const { CODES: FUNDING_ERROR_CODES, createVerifier } = require('./lib/verifier');
+const { createDepositIndexer } = require('./lib/deposits');
+const { createIntents } = require('./lib/intents');
+const { createAuth } = require('./lib/auth');
+const { createWhitelist } = require('./lib/whitelist');
+const { createLimits, parseAmounts } = require('./lib/limits');
+const { createWebhooks } = require('./lib/webhooks');
+const { parseGrantQuery, filterGrants, queryGrants } = require('./lib/query');
+const { createPriceSource } = require('./lib/prices');
+const { COLUMNS, PERIODS, csvLine, createExporter } = require('./lib/export');
+const { parseTiers, parseDiscounts, createFees } = require('./lib/fees');
+const { createRecipients } = require('./lib/recipients');
+const { createTreasury } = require('./lib/treasury');
+const { validateTerms, createSchedules } = require('./lib/schedules');
 
 const app = express();
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY); // so req.ip is the client behind a proxy
 app.use(cors());
 app.use(express.json());
 
@@ -23,32 +49,201 @@ app.use(express.json());
 // CONFIG
 // ============================================================================
 
-const BASE_RPC = process.env.BASE_RPC || 'https://mainnet.base.org';
-const TREASURY_ADDRESS = '0xccD7200024A8B5708d381168ec2dB0DC587af83F';
+const BASE_RPC = process.env.BASE_RPC; // RPC of the default network (RPC_URL_<chainId> for others)
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || '8453'); // default network, and EIP-712 domain for signed requests
+const NETWORKS = parseNetworkList(process.env.NETWORKS || String(CHAIN_ID)); // e.g. '8453,optimism,arbitrum' (see lib/networks.js)
+const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || '0xccD7200024A8B5708d381168ec2dB0DC587af83F';
 const TREASURY_PRIVATE_KEY = process.env.TREASURY_PRIVATE_KEY?.trim();
-const FEE_PERCENT = 5n;
+// Payout signer (see lib/signers.js); with its address apart from TREASURY_ADDRESS the treasury is cold
+const SIGNER = process.env.SIGNER || 'local'; // 'local' | 'keystore' | 'remote'
+const SIGNER_KEYSTORE = process.env.SIGNER_KEYSTORE || null; // path to an encrypted JSON keystore
+const SIGNER_KEYSTORE_PASSWORD = process.env.SIGNER_KEYSTORE_PASSWORD || null;
+const SIGNER_URL = process.env.SIGNER_URL || null; // remote signer JSON-RPC endpoint, e.g. Web3Signer
+const SIGNER_ADDRESS = process.env.SIGNER_ADDRESS || null; // address the remote signer signs for
+const SIGNER_TOKEN = process.env.SIGNER_TOKEN || null; // bearer token for the remote signer
+// Fee schedule (see lib/fees.js)
+const FEE_BPS = parseInt(process.env.FEE_BPS || '500');
+const FEE_TIERS = parseTiers(process.env.FEE_TIERS); // e.g. 'ETH:1=300,ETH:10=100,USDC:5000=200'
+const FEE_MIN = parseAmounts(process.env.FEE_MIN); // e.g. 'USDC:0.5'
+const FEE_MAX = parseAmounts(process.env.FEE_MAX); // e.g. 'ETH:0.05,USDC:100'
+const FEE_DISCOUNTS = parseDiscounts(process.env.FEE_DISCOUNTS); // e.g. '0xabc...:50' (percent off)
+const FEE_WAIVED_RECIPIENTS = (process.env.FEE_WAIVED_RECIPIENTS || '').split(',').map(a => a.trim()).filter(Boolean);
+const FEE_RECIPIENT = process.env.FEE_RECIPIENT || null; // default: fees stay in the treasury
+const FEE_SWEEP_INTERVAL_MS = process.env.FEE_SWEEP_INTERVAL_MS ? parseInt(process.env.FEE_SWEEP_INTERVAL_MS) : null; // default: forward each grant's fee
+const FEE_SWEEP_MIN = parseAmounts(process.env.FEE_SWEEP_MIN); // e.g. 'ETH:0.01,USDC:20'
+// 'sqlite' | 'file' | 'memory'; Vercel's filesystem is read-only and ephemeral, so there it needs an explicit choice
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || (process.env.VERCEL ? 'memory' : 'sqlite');
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', STORAGE_ADAPTER === 'file' ? 'direct-grants.json' : 'direct-grants.db');
+// Pay out from a store that forgets used funding txs on restart (tests, demos)
+const STORAGE_ALLOW_EPHEMERAL = process.env.STORAGE_ALLOW_EPHEMERAL === 'true';
+const PAYOUT_CONFIRMATIONS = parseInt(process.env.PAYOUT_CONFIRMATIONS || '2');
+// Funding tx checks (see lib/verifier.js)
+const FUNDING_MIN_CONFIRMATIONS = process.env.FUNDING_MIN_CONFIRMATIONS ? parseInt(process.env.FUNDING_MIN_CONFIRMATIONS) : null; // default: the network's confirmations
+const FUNDING_MAX_AGE_S = process.env.FUNDING_MAX_AGE_S ? parseInt(process.env.FUNDING_MAX_AGE_S) : null; // default: no limit
+const FUNDING_AMOUNT_TOLERANCE_BPS = parseInt(process.env.FUNDING_AMOUNT_TOLERANCE_BPS || '100'); // declared amount vs. the deposit
+const INTERNAL_TRANSFERS = process.env.INTERNAL_TRANSFERS || 'trace'; // 'trace' | 'balance' | 'off'
+const TREASURY_MIN_BALANCE = process.env.TREASURY_MIN_BALANCE || '0.005'; // native units; payouts pause below it (see lib/treasury.js)
+const TREASURY_CHECK_INTERVAL_MS = parseInt(process.env.TREASURY_CHECK_INTERVAL_MS || '60000');
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || '15000');
+const PAYOUT_STUCK_AFTER_MS = parseInt(process.env.PAYOUT_STUCK_AFTER_MS || '120000');
+const PAYOUT_MAX_BUMPS = parseInt(process.env.PAYOUT_MAX_BUMPS || '5');
+const PAYOUT_FEE_BUMP_PERCENT = parseInt(process.env.PAYOUT_FEE_BUMP_PERCENT || '20');
+const PAYOUT_MAX_FEE_PER_GAS = process.env.PAYOUT_MAX_FEE_GWEI ? ethers.parseUnits(process.env.PAYOUT_MAX_FEE_GWEI, 'gwei') : null;
+const PAYOUT_MAX_RETRIES = parseInt(process.env.PAYOUT_MAX_RETRIES || '5');
+const PAYOUT_RETRY_BASE_MS = parseInt(process.env.PAYOUT_RETRY_BASE_MS || '5000');
+const TOKEN_ALLOWLIST = process.env.TOKEN_ALLOWLIST ?? 'USDC'; // e.g. 'USDC,DAI' or 'SYM:0xaddr:decimals'
+const DISPERSE_ADDRESS = process.env.DISPERSE_ADDRESS || null; // batch split payouts, e.g. 0xD152f549545093347A162Dce210e7293f1452150
+const ESCROW_EXPIRY_INTERVAL_MS = parseInt(process.env.ESCROW_EXPIRY_INTERVAL_MS || '60000');
+const REFUND_ON_FAILURE = process.env.REFUND_ON_FAILURE !== 'false'; // refund failed payouts automatically
+// Grants of at least APPROVAL_THRESHOLD wait for APPROVALS_REQUIRED of APPROVERS (see lib/approvals.js)
+const APPROVAL_THRESHOLD = parseAmounts(process.env.APPROVAL_THRESHOLD) || {}; // e.g. 'ETH:1,USDC:2500' (gross)
+const APPROVERS = (process.env.APPROVERS || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+const APPROVALS_REQUIRED = parseInt(process.env.APPROVALS_REQUIRED || '1');
+const APPROVAL_TTL_S = parseInt(process.env.APPROVAL_TTL_S || String(72 * 3600)); // unapproved grants are refunded after it
+const APPROVAL_EXPIRY_INTERVAL_MS = parseInt(process.env.APPROVAL_EXPIRY_INTERVAL_MS || '60000');
+const ATTESTATIONS = process.env.ATTESTATIONS !== 'false'; // attest confirmed grants on networks with EAS (see lib/attestations.js)
+const DEPOSIT_INDEXER = process.env.DEPOSIT_INDEXER !== 'false';
+const DEPOSIT_START_BLOCK = process.env.DEPOSIT_START_BLOCK ? parseInt(process.env.DEPOSIT_START_BLOCK) : null; // default: chain head at first start
+const DEPOSIT_SCAN_INTERVAL_MS = parseInt(process.env.DEPOSIT_SCAN_INTERVAL_MS || '15000');
+const DEPOSIT_SCAN_BATCH = parseInt(process.env.DEPOSIT_SCAN_BATCH || '100');
+const INTENT_TTL_S = parseInt(process.env.INTENT_TTL_S || '3600');
+const INTENT_MAX_TTL_S = parseInt(process.env.INTENT_MAX_TTL_S || String(7 * 24 * 3600));
+const INTENT_WATCH_INTERVAL_MS = parseInt(process.env.INTENT_WATCH_INTERVAL_MS || '30000');
+const SCHEDULE_INTERVAL_MS = parseInt(process.env.SCHEDULE_INTERVAL_MS || '60000'); // how often due recurring grants are run
+const AUTH_MAX_TTL_S = parseInt(process.env.AUTH_MAX_TTL_S || '3600');
+// e.g. 'local,url:https://...,file:./whitelist.json,holder:0xToken:1' (see lib/whitelist.js)
+const WHITELIST_SOURCES = process.env.WHITELIST_SOURCES || 'local,url:https://www.owockibot.xyz/api/whitelist';
+const WHITELIST_CACHE_TTL_MS = parseInt(process.env.WHITELIST_CACHE_TTL_MS || String(5 * 60 * 1000));
+const ADMIN_ADDRESSES = (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+// Default limits; whitelist entries can override each one (see lib/limits.js)
+const LIMIT_MAX_GRANT = parseAmounts(process.env.LIMIT_MAX_GRANT); // e.g. 'ETH:1,USDC:2500'
+const LIMIT_GRANTOR_DAILY = parseAmounts(process.env.LIMIT_GRANTOR_DAILY);
+const LIMIT_GRANTOR_WEEKLY = parseAmounts(process.env.LIMIT_GRANTOR_WEEKLY);
+const LIMIT_RECIPIENT_GRANTS = process.env.LIMIT_RECIPIENT_GRANTS || null; // e.g. '5/week'
+const RATE_LIMIT_ADDRESS = process.env.RATE_LIMIT_ADDRESS || '10/min';
+const RATE_LIMIT_IP = process.env.RATE_LIMIT_IP || '60/min';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+const PRICE_SOURCE = process.env.PRICE_SOURCE || 'none'; // 'fixed:ETH=3000,USDC=1' | 'coingecko[:apiKey]'
+// Recipient name resolution (see lib/recipients.js); default: the enabled network's RPC, else a public one
+const ENS_RPC_URL = process.env.ENS_RPC_URL || null; // Ethereum mainnet, for ENS names
+const BASENAME_RPC_URL = process.env.BASENAME_RPC_URL || null; // Base, for Basenames
+const NAME_CACHE_TTL_MS = parseInt(process.env.NAME_CACHE_TTL_MS || String(5 * 60 * 1000));
+
+const networks = createNetworks({
+  chainIds: NETWORKS,
+  defaults: {
+    chainId: CHAIN_ID,
+    rpc: BASE_RPC,
+    treasury: TREASURY_ADDRESS,
+    privateKey: TREASURY_PRIVATE_KEY,
+    signer: {
+      kind: SIGNER,
+      keystore: SIGNER_KEYSTORE,
+      password: SIGNER_KEYSTORE_PASSWORD,
+      url: SIGNER_URL,
+      address: SIGNER_ADDRESS,
+      token: SIGNER_TOKEN
+    },
+    confirmations: PAYOUT_CONFIRMATIONS,
+    tokenAllowlist: TOKEN_ALLOWLIST,
+    startBlock: DEPOSIT_START_BLOCK,
+    minBalance: TREASURY_MIN_BALANCE
+  }
+});
+
+// Default network's tokens, for symbols and decimals (the same on every
+// chain); anything that touches a contract uses the grant's network
+const tokens = networks.default.tokens;
 
-let provider = null;
-let wallet = null;
+// Funding txs are checked on the network they claim to fund
+const verifier = createVerifier({
+  minConfirmations: FUNDING_MIN_CONFIRMATIONS,
+  maxAge: FUNDING_MAX_AGE_S === null ? null : FUNDING_MAX_AGE_S * 1000,
+  amountTolerance: FUNDING_AMOUNT_TOLERANCE_BPS,
+  internalTransfers: INTERNAL_TRANSFERS
+});
+
+// Grants on these chains also get `basescanUrl` (explorerUrl's name before multi-network support)
+const BASE_CHAIN_IDS = [8453, 84532];
 
-function getProvider() {
-  if (!provider) provider = new ethers.JsonRpcProvider(BASE_RPC);
-  return provider;
+/** The network a request names with `chainId` (default network if none); null if not enabled. */
+function requestedNetwork(chainId) {
+  return chainId === undefined || chainId === null ? networks.default : networks.get(chainId);
 }
 
-function getWallet() {
-  if (!wallet && TREASURY_PRIVATE_KEY) {
-    wallet = new ethers.Wallet(TREASURY_PRIVATE_KEY, getProvider());
-  }
-  return wallet;
+function unknownNetwork(res, chainId) {
+  return res.status(400).json({ error: `Network ${chainId} is not enabled`, networks: networks.list().map(n => n.chainId) });
+}
+
+/** Provider for reading `chainId`: `url` if set, else the enabled network's, else its public RPC. */
+function lookupProvider(chainId, url) {
+  let provider = null;
+  return () => {
+    if (!provider) {
+      const network = !url && networks.get(chainId);
+      provider = network
+        ? network.getProvider()
+        : new ethers.JsonRpcProvider(url || KNOWN_NETWORKS[chainId].rpc, chainId, { staticNetwork: true });
+    }
+    return provider;
+  };
 }
 
 // ============================================================================
 // DATA STORAGE
 // ============================================================================
 
-const grants = new Map();
-const grantors = new Map(); // address -> stats
+const store = createStore({ adapter: STORAGE_ADAPTER, file: DATA_FILE, defaultChainId: CHAIN_ID });
+console.log(`[STORAGE] Using ${store.adapter} adapter (schema v${store.schemaVersion})`);
+if (!store.persistent) {
+  console.warn(STORAGE_ALLOW_EPHEMERAL
+    ? '[STORAGE] Data is not persisted: used funding txs can be claimed again after a restart'
+    : '[STORAGE] Data is not persisted: payouts are refused (set STORAGE_ADAPTER=sqlite, or STORAGE_ALLOW_EPHEMERAL=true for tests)');
+}
+
+/**
+ * Payouts need a store that outlives the process: otherwise a restart
+ * forgets which funding txs and deposits were used, and they pay out again.
+ */
+function ephemeralStore() {
+  if (store.persistent || STORAGE_ALLOW_EPHEMERAL) return null;
+  return { error: `Payouts are disabled: the ${store.adapter} store is not persistent`, code: 'STORAGE_NOT_PERSISTENT' };
+}
+
+const auth = createAuth({ store, chainId: CHAIN_ID, maxTtl: AUTH_MAX_TTL_S });
+
+const recipientRegistry = createRecipients({
+  store,
+  tokens,
+  getEnsProvider: lookupProvider(1, ENS_RPC_URL),
+  getBaseProvider: lookupProvider(8453, BASENAME_RPC_URL),
+  ttl: NAME_CACHE_TTL_MS
+});
+
+function recordGrantorStats(address, amount, token = tokens.native) {
+  const stats = store.grantors.get(address) || { totalGrants: 0, totalAmount: '0', totals: {} };
+  const tokenTotals = stats.totals[token.symbol] || { totalGrants: 0, totalAmount: '0', decimals: token.decimals };
+  const patch = {
+    totalGrants: stats.totalGrants + 1,
+    // totalAmount is the ETH total; other tokens only appear in `totals`
+    totalAmount: token.address ? stats.totalAmount : (BigInt(stats.totalAmount) + amount).toString(),
+    totals: {
+      ...stats.totals,
+      [token.symbol]: {
+        ...tokenTotals,
+        totalGrants: tokenTotals.totalGrants + 1,
+        totalAmount: (BigInt(tokenTotals.totalAmount) + amount).toString()
+      }
+    }
+  };
+  if (store.grantors.has(address)) {
+    store.grantors.update(address, patch);
+  } else {
+    store.grantors.insert({ address, ...patch });
+  }
+}
 
 // ============================================================================
 // HELPERS
@@ -58,9 +253,591 @@ function formatETH(wei) {
   return parseFloat(ethers.formatEther(wei.toString())).toFixed(6) + ' ETH';
 }
 
-function parseETH(ethString) {
-  const cleaned = ethString.toString().replace(' ETH', '').trim();
-  return ethers.parseEther(cleaned);
+function formatAmount(amount, token) {
+  return tokens.format(amount, token);
+}
+
+// ============================================================================
+// GRANT LIFECYCLE
+// ============================================================================
+
+/**
+ * Atomically reserve a funding tx by inserting a `pending` grant. The unique
+ * fundingTxHash index makes the insert fail for any concurrent or later
+ * request using the same deposit. Returns { grant }, { existing },
+ * { refunded } when the deposit was sent back to its sender, or { schedule }
+ * when it funds a recurring grant schedule.
+ */
+function claimFundingTx(txHash, fields) {
+  if (depositIndexer.isRefunded(txHash)) {
+    return { refunded: true };
+  }
+  const [schedule] = store.schedules.findBy('fundingTxHash', txHash);
+  if (schedule) {
+    return { schedule };
+  }
+  try {
+    const grant = store.grants.insert({
+      id: uuidv4(),
+      ...fields,
+      fundingTxHash: txHash,
+      status: 'pending',
+      createdAt: Date.now()
+    });
+    return { grant };
+  } catch (err) {
+    if (err.code !== 'DUPLICATE') throw err;
+    return { existing: store.grants.get(err.existingId) };
+  }
+}
+
+/**
+ * Drop a claim. Only safe while the grant is still `pending` (nothing has
+ * been queued for payout), so the depositor can retry.
+ */
+function releaseClaim(grant) {
+  if (grant.status === 'pending') {
+    store.grants.remove(grant.id);
+  }
+}
+
+function onPayoutChange(payout) {
+  syncGrantWithPayout(store, payout);
+  escrow.syncPayout(payout);
+  attestations.syncPayout(payout);
+  refunds.syncPayout(payout, { auto: REFUND_ON_FAILURE });
+  fees.syncPayout(payout);
+  depositIndexer.syncPayout(payout);
+  schedules.syncPayout(payout);
+  notifyPayout(payout);
+}
+
+const webhooks = createWebhooks({
+  store,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseDelay: WEBHOOK_RETRY_BASE_MS,
+  timeout: WEBHOOK_TIMEOUT_MS
+});
+
+/** Everyone whose webhooks hear about a grant. */
+function grantAudience(grant) {
+  return [grant.grantor, grant.depositor, ...grantRecipients(grant)];
+}
+
+function notifyGrant(event, grant, payout) {
+  webhooks.emit(event, { grant, payout: payout ? publicPayout(payout) : undefined }, grantAudience(grant));
+}
+
+// Payout statuses that produce a webhook event, and the event suffix
+const PAYOUT_EVENTS = { sent: 'sent', confirmed: 'confirmed', failed: 'failed', replaced: 'failed' };
+
+function notifyPayout(payout) {
+  const outcome = PAYOUT_EVENTS[payout.status];
+  if (outcome && payout.depositId) {
+    const deposit = store.deposits.get(payout.depositId);
+    if (deposit) webhooks.emit(`refund.${outcome}`, { deposit, payout: publicPayout(payout) }, [deposit.from]);
+    return;
+  }
+  if (!outcome || !payout.grantId || payout.kind === 'approval' || payout.kind === 'fee' || payout.kind === 'attestation') return;
+  const grant = store.grants.get(payout.grantId);
+  if (!grant) return;
+  notifyGrant(`${payout.kind === 'refund' ? 'refund' : 'payout'}.${outcome}`, grant, payout);
+}
+
+// Balance checks, the low-balance breaker and hot wallet top-ups; a network
+// that resumes (or is topped up) drains its queue. Admins hear of top-ups.
+const treasury = createTreasury({
+  store,
+  networks,
+  interval: TREASURY_CHECK_INTERVAL_MS,
+  onResume: chainId => {
+    payoutQueues.get(chainId)?.drain();
+    approvals.releaseApproved();
+  },
+  onTopUp: topup => webhooks.emit('treasury.topup', { topup }, ADMIN_ADDRESSES)
+});
+
+// One payout queue and reconciler per network, each with its own wallet and nonces
+const payoutQueues = new Map();
+const reconcilers = new Map();
+for (const network of networks.list()) {
+  payoutQueues.set(network.chainId, createPayoutQueue({
+    store,
+    chainId: network.chainId,
+    getProvider: network.getProvider,
+    getWallet: network.getWallet,
+    onChange: onPayoutChange,
+    maxFeePerGas: PAYOUT_MAX_FEE_PER_GAS,
+    maxRetries: PAYOUT_MAX_RETRIES,
+    retryBaseDelay: PAYOUT_RETRY_BASE_MS,
+    preflight: treasury.preflight(network)
+  }));
+  reconcilers.set(network.chainId, createReconciler({
+    store,
+    chainId: network.chainId,
+    getProvider: network.getProvider,
+    getWallet: network.getWallet,
+    onChange: onPayoutChange,
+    confirmations: network.confirmations,
+    interval: RECONCILE_INTERVAL_MS,
+    stuckAfter: PAYOUT_STUCK_AFTER_MS,
+    maxBumps: PAYOUT_MAX_BUMPS,
+    bumpPercent: PAYOUT_FEE_BUMP_PERCENT,
+    maxFeePerGas: PAYOUT_MAX_FEE_PER_GAS
+  }));
+}
+
+// Payouts name their chainId and go to that network's queue
+const payoutQueue = routePayouts(payoutQueues);
+
+const escrow = createEscrow({
+  store,
+  payoutQueue,
+  tokens,
+  interval: ESCROW_EXPIRY_INTERVAL_MS
+});
+
+const refunds = createRefunds({ store, payoutQueue, tokens });
+
+const approvals = createApprovals({
+  store,
+  tokens,
+  approvers: APPROVERS,
+  required: APPROVALS_REQUIRED,
+  threshold: APPROVAL_THRESHOLD,
+  ttl: APPROVAL_TTL_S * 1000,
+  onApproved: grant => (grant.milestones ? escrowGrant(grant) : queueGrantPayout(grant)),
+  // The same treasury checks as when the grant was accepted
+  canRelease: async grant => {
+    const network = networks.get(grant.chainId);
+    if (grant.milestones) return treasury.paused(network.chainId);
+    if (!network.payoutsEnabled) return { error: `Wallet not configured for ${network.name}`, code: 'PAYOUTS_DISABLED' };
+    return treasury.canCover(network, grantToken(grant), BigInt(grant.netAmount));
+  },
+  onExpired: grant => refunds.refund(grant, 'not-approved').grant,
+  interval: APPROVAL_EXPIRY_INTERVAL_MS
+});
+
+// Confirmed grants are attested on-chain by the payout wallet
+const attestations = createAttestations({ store, networks, payoutQueue, enabled: ATTESTATIONS });
+
+const fees = createFees({
+  store,
+  tokens,
+  payoutQueue,
+  treasury: TREASURY_ADDRESS,
+  bps: FEE_BPS,
+  tiers: FEE_TIERS,
+  min: FEE_MIN,
+  max: FEE_MAX,
+  discounts: FEE_DISCOUNTS,
+  waived: FEE_WAIVED_RECIPIENTS,
+  recipient: FEE_RECIPIENT,
+  sweepInterval: FEE_SWEEP_INTERVAL_MS,
+  sweepMin: FEE_SWEEP_MIN
+});
+
+const depositIndexer = createDepositIndexer({
+  store,
+  networks: networks.list(),
+  tokens,
+  payoutQueue,
+  batchSize: DEPOSIT_SCAN_BATCH,
+  interval: DEPOSIT_SCAN_INTERVAL_MS,
+  onDeposit: () => intents.watch()
+});
+
+const intents = createIntents({
+  store,
+  tokens,
+  depositIndexer,
+  networks,
+  execute: (intent, deposit) => executeIntent(intent, deposit),
+  interval: INTENT_WATCH_INTERVAL_MS
+});
+
+const schedules = createSchedules({
+  store,
+  tokens,
+  payoutQueue,
+  execute: (schedule, n) => executeSchedule(schedule, n),
+  interval: SCHEDULE_INTERVAL_MS
+});
+
+const prices = createPriceSource(PRICE_SOURCE);
+const exporter = createExporter({ store, networks, prices });
+
+/**
+ * Hand a claimed, verified grant to the payout queue. From here on the
+ * deposit is committed: the queue and reconciler drive the grant through
+ * sent -> confirmed (or failed/replaced).
+ */
+function queueGrantPayout(grant) {
+  const token = grantToken(grant);
+  const netAmount = BigInt(grant.netAmount);
+  grant = transitionGrant(store, grant.id, 'queued');
+  recordGrantorStats(grant.grantor, BigInt(grant.grossAmount), token);
+  depositIndexer.claim(grant);
+  if (grant.recipients) return queueSplitPayouts(grant, token);
+
+  const payout = payoutQueue.enqueue({
+    kind: 'grant',
+    chainId: grant.chainId,
+    grantId: grant.id,
+    ...tokens.buildTransfer({ token, recipient: grant.recipient, amount: netAmount }),
+    recipient: grant.recipient,
+    amount: netAmount,
+    token: token.symbol
+  });
+  return store.grants.update(grant.id, { payoutId: payout.id });
+}
+
+/**
+ * Hold a claimed, verified milestone grant in the treasury. Nothing is paid
+ * until the grantor releases a milestone (see lib/escrow.js).
+ */
+function escrowGrant(grant) {
+  grant = transitionGrant(store, grant.id, 'escrowed');
+  recordGrantorStats(grant.grantor, BigInt(grant.grossAmount), grantToken(grant));
+  depositIndexer.claim(grant);
+  // Escrowed deposits keep their fee even if cancelled
+  return fees.sync(grant);
+}
+
+/**
+ * Split grants: one transfer per recipient, or a single Disperse call
+ * (preceded by a token approval) when DISPERSE_ADDRESS is configured.
+ */
+function queueSplitPayouts(grant, token) {
+  let recipients;
+  if (DISPERSE_ADDRESS) {
+    let batchPayout;
+    for (const tx of buildDisperse({ disperseAddress: DISPERSE_ADDRESS, token, recipients: grant.recipients, total: BigInt(grant.netAmount) })) {
+      const payout = payoutQueue.enqueue({
+        ...tx,
+        chainId: grant.chainId,
+        grantId: grant.id,
+        recipient: DISPERSE_ADDRESS,
+        amount: BigInt(grant.netAmount),
+        token: token.symbol
+      });
+      if (tx.kind === 'grant') batchPayout = payout;
+    }
+    recipients = grant.recipients.map(r => ({ ...r, payoutId: batchPayout.id, status: 'queued' }));
+  } else {
+    recipients = grant.recipients.map(r => {
+      const payout = payoutQueue.enqueue({
+        kind: 'grant',
+        chainId: grant.chainId,
+        grantId: grant.id,
+        ...tokens.buildTransfer({ token, recipient: r.address, amount: BigInt(r.amount) }),
+        recipient: r.address,
+        amount: BigInt(r.amount),
+        token: token.symbol
+      });
+      return { ...r, payoutId: payout.id, status: 'queued' };
+    });
+  }
+  return store.grants.update(grant.id, { recipients, batched: !!DISPERSE_ADDRESS });
+}
+
+/**
+ * Work out each split recipient's amount from the verified net amount.
+ * Returns { grant } with amounts filled in, or { error }.
+ */
+function allocateSplit(grant) {
+  const token = grantToken(grant);
+  let result;
+  try {
+    result = allocate(BigInt(grant.netAmount), grant.recipients, amount => tokens.parse(amount, token));
+  } catch (err) {
+    return { error: `Invalid recipient amount: ${err.shortMessage || err.message}` };
+  }
+  if (result.error) return result;
+
+  const recipients = result.allocations.map(r => ({
+    ...r,
+    amount: r.amount.toString(),
+    amountFormatted: formatAmount(r.amount, token)
+  }));
+  return { grant: store.grants.update(grant.id, { recipients }) };
+}
+
+/** Amount fields of a grant funded with `fundingAmount`, split as `quoted` by the fee policy. */
+function amountFields(fundingAmount, token, quoted) {
+  const { fee, net: netAmount } = quoted;
+  return {
+    token: token.symbol,
+    tokenAddress: token.address,
+    decimals: token.decimals,
+    grossAmount: fundingAmount.toString(),
+    grossAmountFormatted: formatAmount(fundingAmount, token),
+    fee: fee.toString(),
+    feeFormatted: formatAmount(fee, token),
+    feeBps: quoted.bps,
+    feeDiscountPercent: quoted.discountPercent,
+    feeWaived: quoted.waived,
+    netAmount: netAmount.toString(),
+    netAmountFormatted: formatAmount(netAmount, token)
+  };
+}
+
+/**
+ * Validate who a grant pays: a recipient, or split recipients, optionally
+ * with milestones. `names` maps addresses resolved from ENS names or
+ * Basenames to those names (see recipientRegistry.resolveGrant()).
+ * Returns { fields } to claim the grant with, or { error }.
+ */
+function grantFields({ recipient, recipients, milestones, expiresAt, reason }, names = {}) {
+  const isSplit = recipients !== undefined;
+  const isEscrow = milestones !== undefined;
+  if (recipient && isSplit) {
+    return { error: 'Give either recipient or recipients, not both' };
+  }
+
+  let escrowTerms;
+  if (isEscrow) {
+    if (isSplit) {
+      return { error: 'Milestone grants pay a single recipient' };
+    }
+    escrowTerms = validateMilestones(milestones, expiresAt);
+    if (escrowTerms.error) {
+      return { error: escrowTerms.error };
+    }
+  }
+
+  let splitRecipients;
+  if (isSplit) {
+    const validated = validateRecipients(recipients);
+    if (validated.error) {
+      return { error: validated.error };
+    }
+    splitRecipients = validated.recipients.map(r => ({ ...r, name: names[r.address] }));
+  } else if (!ethers.isAddress(recipient)) {
+    return { error: 'Invalid recipient address' };
+  }
+
+  return {
+    fields: {
+      recipient: isSplit ? null : recipient.toLowerCase(),
+      recipientName: isSplit ? undefined : names[recipient.toLowerCase()],
+      recipients: splitRecipients,
+      milestones: escrowTerms?.milestones,
+      expiresAt: escrowTerms?.expiresAt || undefined,
+      reason: reason || (isSplit ? 'Split grant' : isEscrow ? 'Milestone grant' : 'Direct grant')
+    }
+  };
+}
+
+/**
+ * Verify a claimed grant's deposit, check it against the grantor's limits
+ * and hand it to escrow or the payout queue. Shared by POST /grants and
+ * funded grant intents. `signer` asked for the grant; the recorded grantor
+ * must be them or the funding tx sender. The deposit is looked for on the
+ * grant's network, and `token` comes from that network's registry.
+ * `amount` is what the depositor declared (checked against the deposit, or
+ * the deposit itself in mock mode). `prepaid` ({ amount, token, from }) funds the grant from a balance
+ * already verified instead (recurring grants).
+ * Returns { grant }, or { status, body } with the claim released.
+ */
+async function fundClaimedGrant(grant, { token = null, signer, whitelistEntry, mock = false, amount, prepaid = null }) {
+  const reject = (status, body) => {
+    releaseClaim(grant);
+    return { status, body };
+  };
+  const network = networks.get(grant.chainId);
+  const paused = !mock && (ephemeralStore() || treasury.paused(network.chainId));
+  if (paused) {
+    return reject(503, paused);
+  }
+
+  let fundingAmount;
+  let fundingToken;
+  let fundingBlockNumber;
+  let txFrom;
+
+  if (prepaid) {
+    fundingAmount = prepaid.amount;
+    fundingToken = prepaid.token;
+    txFrom = prepaid.from;
+  } else if (!mock) {
+    // Verify the funding transaction
+    const verified = await verifier.verify(grant.fundingTxHash, { network, token, amount });
+    if (verified.error) {
+      return reject(400, verified);
+    }
+
+    fundingAmount = verified.amount;
+    fundingToken = verified.token;
+    fundingBlockNumber = verified.blockNumber;
+    txFrom = verified.from;
+  } else {
+    // Mock mode: use fake data
+    fundingToken = token || network.tokens.native;
+    fundingAmount = tokens.parse(amount || '0.01', fundingToken);
+    txFrom = grant.grantor || signer;
+  }
+
+  // Only the sender can spend a deposit by signature: unclaimed deposits are
+  // public (GET /deposits). An intent's deposit was sent to pay that intent,
+  // and a schedule's balance was checked when it was deposited.
+  if (!mock && !prepaid && !grant.intentId && txFrom.toLowerCase() !== signer) {
+    return reject(403, { error: 'Funding transaction was sent by another address', code: 'NOT_DEPOSITOR', signer, depositor: txFrom.toLowerCase() });
+  }
+
+  // Credit goes to the signer, or to the depositor if they ask for it
+  const grantorAddress = grant.grantor || signer;
+  if (grantorAddress !== signer && grantorAddress !== txFrom.toLowerCase()) {
+    return reject(403, { error: 'grantor must be the signer or the funding transaction sender', signer, depositor: txFrom });
+  }
+
+  const quoted = fees.quoteGrant({ ...grant, grantor: grantorAddress }, fundingAmount, fundingToken);
+  if (quoted.error) {
+    return reject(400, quoted);
+  }
+  // Paid out right away: the wallet must cover it after everything queued
+  if (!mock && !grant.milestones) {
+    const shortfall = await treasury.canCover(network, fundingToken, quoted.net);
+    if (shortfall) {
+      return reject(503, shortfall);
+    }
+  }
+  grant = store.grants.update(grant.id, {
+    grantor: grantorAddress,
+    depositor: txFrom.toLowerCase(),
+    fundingBlockNumber,
+    ...amountFields(fundingAmount, fundingToken, quoted)
+  });
+
+  // Enforced before payout; nothing between here and queueing awaits, so
+  // concurrent requests can't both slip under a cap
+  const overLimit = limits.check(grant, whitelistEntry);
+  if (overLimit) {
+    const { status, ...body } = overLimit;
+    return reject(status, body);
+  }
+
+  if (grant.recipients) {
+    const split = allocateSplit(grant);
+    if (split.error) {
+      return reject(400, split);
+    }
+    grant = split.grant;
+  }
+
+  if (grant.milestones) {
+    const allocated = escrow.allocateMilestones(grant);
+    if (allocated.error) {
+      return reject(400, allocated);
+    }
+    grant = allocated.grant;
+  } else if (!mock && !network.payoutsEnabled) {
+    return reject(500, { error: `Wallet not configured for ${network.name}` });
+  }
+
+  if (approvals.needsApproval(grant)) {
+    // Large grant: held (before escrow, for milestone grants) until enough approvers sign off
+    grant = approvals.hold(grant);
+    depositIndexer.claim(grant);
+    webhooks.emit('grant.approval_requested', { grant }, grant.approval.approvers);
+    return { grant };
+  }
+  if (grant.milestones) {
+    // Funds stay in the treasury until the grantor releases milestones
+    return { grant: escrowGrant(grant) };
+  }
+  if (!mock) {
+    // Send to recipient
+    return { grant: queueGrantPayout(grant) };
+  }
+
+  // Mock mode: fake tx hash, no payout queued
+  grant = transitionGrant(store, grant.id, 'queued');
+  recordGrantorStats(grant.grantor, fundingAmount, fundingToken);
+  grant = transitionGrant(store, grant.id, 'sent', { distributionTxHash: '0xmock' + uuidv4().replace(/-/g, '') });
+  grant = transitionGrant(store, grant.id, 'confirmed', {
+    confirmedAt: Date.now(),
+    recipients: grant.recipients?.map(r => ({ ...r, status: 'confirmed', txHash: grant.distributionTxHash }))
+  });
+  return { grant };
+}
+
+/**
+ * Create the grant a matched intent describes, funded by `deposit`, with
+ * the same checks as POST /grants (the grantor's whitelist entry is looked
+ * up again). Returns { grant }, { retry, error } or { error }.
+ */
+async function executeIntent(intent, deposit) {
+  const listed = await whitelist.check(intent.grantor);
+  if (listed.unavailable) {
+    return { retry: true, error: 'Whitelist temporarily unavailable' };
+  }
+  if (!listed.allowed || !listed.entry.roles.includes('grantor')) {
+    return { error: 'Grantor is no longer whitelisted' };
+  }
+
+  const claim = claimFundingTx(deposit.txHash, { ...intent.grant, chainId: intent.chainId, grantor: intent.grantor, intentId: intent.id });
+  if (!claim.grant) {
+    return { error: 'Deposit is already used' };
+  }
+  try {
+    const funded = await fundClaimedGrant(claim.grant, {
+      token: networks.get(intent.chainId).tokens.get(intent.tokenAddress || intent.token),
+      signer: intent.grantor,
+      whitelistEntry: listed.entry
+    });
+    if (!funded.grant) {
+      // Treasury short of funds, or the deposit not deep enough yet: the intent waits rather than refunding
+      return { retry: funded.status === 503 || funded.body.code === 'TX_UNCONFIRMED', error: funded.body.error };
+    }
+    console.log(`[GRANT] ${funded.grant.netAmountFormatted} from intent ${intent.id} (${funded.grant.status})`);
+    notifyGrant('grant.created', funded.grant);
+    return { grant: funded.grant };
+  } catch (err) {
+    releaseClaim(store.grants.get(claim.grant.id) || claim.grant);
+    return { retry: true, error: err.message };
+  }
+}
+
+/**
+ * Create run `n` of a recurring grant schedule, paid from its balance,
+ * with the same checks as POST /grants (the grantor's whitelist entry is
+ * looked up again). Returns { grant }, { retry, error } or { error }.
+ */
+async function executeSchedule(schedule, n) {
+  const listed = await whitelist.check(schedule.grantor);
+  if (listed.unavailable) {
+    return { retry: true, error: 'Whitelist temporarily unavailable' };
+  }
+  if (!listed.allowed || !listed.entry.roles.includes('grantor')) {
+    return { error: 'Grantor is no longer whitelisted' };
+  }
+
+  const grant = store.grants.insert({
+    id: uuidv4(),
+    ...schedule.grant,
+    chainId: schedule.chainId,
+    grantor: schedule.grantor,
+    scheduleId: schedule.id,
+    scheduleRun: n,
+    status: 'pending',
+    createdAt: Date.now()
+  });
+  try {
+    const funded = await fundClaimedGrant(grant, {
+      signer: schedule.grantor,
+      whitelistEntry: listed.entry,
+      prepaid: { amount: BigInt(schedule.amount), token: grantToken(schedule), from: schedule.depositor }
+    });
+    if (!funded.grant) {
+      return { retry: funded.status === 503, error: funded.body.error };
+    }
+    notifyGrant('grant.created', funded.grant);
+    return { grant: funded.grant };
+  } catch (err) {
+    releaseClaim(store.grants.get(grant.id) || grant);
+    return { retry: true, error: err.message };
+  }
 }
 
 // ============================================================================
@@ -69,242 +846,1154 @@ function parseETH(ethString) {
 
 /**
  * Create and fund a direct grant
- * POST /grants { recipient, amount, reason, txHash }
+ * POST /grants { recipient, amount, reason, txHash, auth }
  * 
+ * recipient = address, ENS name or Basename (resolved now, recorded as recipientName)
  * txHash = transaction where you sent ETH to treasury
- * We verify it and forward to recipient (minus 5% fee)
+ * auth = signature over the grant parameters (see lib/auth.js)
+ * We verify it and forward to recipient (minus the fee, see GET /quote)
  */
 
 // ============================================================================
 // WHITELIST MIDDLEWARE
 // ============================================================================
 
-let _whitelistCache = null;
-let _whitelistCacheTime = 0;
-const WHITELIST_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-async function fetchWhitelist() {
-  const now = Date.now();
-  if (_whitelistCache && (now - _whitelistCacheTime) < WHITELIST_CACHE_TTL) {
-    return _whitelistCache;
-  }
-  try {
-    const res = await fetch('https://www.owockibot.xyz/api/whitelist');
-    const data = await res.json();
-    _whitelistCache = new Set(data.map(e => (e.address || e).toLowerCase()));
-    _whitelistCacheTime = now;
-    return _whitelistCache;
-  } catch (err) {
-    console.error('Whitelist fetch failed:', err.message);
-    if (_whitelistCache) return _whitelistCache;
-    return new Set();
+const limits = createLimits({
+  store,
+  tokens,
+  policy: {
+    maxAmount: LIMIT_MAX_GRANT,
+    daily: LIMIT_GRANTOR_DAILY,
+    weekly: LIMIT_GRANTOR_WEEKLY,
+    recipientGrants: LIMIT_RECIPIENT_GRANTS,
+    rate: RATE_LIMIT_ADDRESS
   }
-}
+});
 
-function requireWhitelist(addressField = 'address') {
+const whitelist = createWhitelist({
+  store,
+  sources: WHITELIST_SOURCES,
+  getProvider: networks.default.getProvider,
+  ttl: WHITELIST_CACHE_TTL_MS,
+  validateLimits: limits.validate
+});
+
+/**
+ * Only whitelisted accounts holding `role` may go on. Checks the request
+ * signer, so it must run after auth.requireSignature(). Sets
+ * `req.whitelistEntry` (roles, limits).
+ */
+function requireWhitelist(role = 'grantor') {
   return async (req, res, next) => {
-    const addr = req.body?.[addressField] || req.body?.creator || req.body?.participant || req.body?.sender || req.body?.from || req.body?.address;
-    if (!addr) {
-      return res.status(400).json({ error: 'Address required' });
+    const result = await whitelist.check(req.signer);
+    if (result.unavailable) {
+      return res.status(503).json({ error: 'Whitelist temporarily unavailable, try again shortly' });
     }
-    const whitelist = await fetchWhitelist();
-    if (!whitelist.has(addr.toLowerCase())) {
+    if (!result.allowed) {
       return res.status(403).json({ error: 'Invite-only. Tag @owockibot on X to request access.' });
     }
+    if (!result.entry.roles.includes(role)) {
+      return res.status(403).json({ error: `Your whitelist entry does not have the ${role} role` });
+    }
+    req.whitelistEntry = result.entry;
     next();
   };
 }
 
+/** Per-IP request rate, checked before any signature work. */
+const ipRateLimit = limits.rateLimit('IP', req => req.ip, () => RATE_LIMIT_IP);
+
+/** Per-signer request rate; needs req.whitelistEntry, so runs after requireWhitelist(). */
+const signerRateLimit = limits.rateLimit('address', req => req.signer, req => limits.effective(req.whitelistEntry).rate);
+
+/** Grant parameters covered by the creator's signature. */
+function grantParams(req) {
+  const { txHash, chainId, recipient, recipients, milestones, expiresAt, amount, reason, token, grantor } = req.body || {};
+  return { txHash, chainId, recipient, recipients, milestones, expiresAt, amount, reason, token, grantor, mock: req.query.mock === 'true' || undefined };
+}
 
-app.post('/grants', requireWhitelist(), async (req, res) => {
-  const { recipient, amount, reason, txHash, grantor } = req.body;
+app.post('/grants', ipRateLimit, auth.requireSignature('create-grant', grantParams), requireWhitelist(), signerRateLimit, async (req, res) => {
+  const { recipient, recipients, amount, txHash, grantor } = req.body;
   const isMock = req.query.mock === 'true';
 
-  if (!recipient || !txHash) {
+  if ((!recipient && recipients === undefined) || !txHash) {
     return res.status(400).json({
-      error: 'recipient and txHash required',
+      error: 'recipient (or recipients) and txHash required',
       example: {
-        recipient: '0x...',
+        recipient: '0x... or name.eth',
         amount: '0.01',
         reason: 'Great work on the docs',
+        txHash: '0x...',
+        token: 'ETH',
+        chainId: CHAIN_ID
+      },
+      splitExample: {
+        recipients: [
+          { address: '0x...', share: 70, reason: 'Implementation' },
+          { address: '0x...', share: 30, reason: 'Review' }
+        ],
+        txHash: '0x...'
+      },
+      milestoneExample: {
+        recipient: '0x...',
+        milestones: [
+          { description: 'Prototype', share: 40 },
+          { description: 'Launch', share: 60, dueAt: '2026-12-31' }
+        ],
+        expiresAt: '2027-03-31',
         txHash: '0x...'
       },
       instructions: {
-        step1: `Send ETH to treasury: ${TREASURY_ADDRESS}`,
-        step2: 'POST /grants with txHash and recipient'
+        step1: `Send ETH or an allowlisted token (${tokens.list().map(t => t.symbol).join(', ')}) to treasury: ${networks.default.treasury} on ${networks.default.name}, or to another network's treasury (GET /networks)`,
+        step2: 'POST /grants with txHash and recipient (or recipients to split it), and chainId if not on the default network'
       }
     });
   }
 
-  if (!ethers.isAddress(recipient)) {
-    return res.status(400).json({ error: 'Invalid recipient address' });
+  const resolved = await recipientRegistry.resolveGrant(req.body);
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error });
+  }
+  const requested = grantFields({ ...req.body, recipient: resolved.recipient, recipients: resolved.recipients }, resolved.names);
+  if (requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
+
+  const network = requestedNetwork(req.body.chainId);
+  if (!network) {
+    return unknownNetwork(res, req.body.chainId);
+  }
+  const token = req.body.token ? network.tokens.get(req.body.token) : null;
+  if (req.body.token && !token) {
+    return res.status(400).json({ error: `Token not allowlisted on ${network.name}`, supported: network.tokens.list().map(t => t.symbol) });
   }
 
-  // Check for duplicate tx
-  const existingGrant = Array.from(grants.values()).find(g => g.fundingTxHash?.toLowerCase() === txHash.toLowerCase());
-  if (existingGrant) {
-    return res.status(400).json({ error: 'Transaction already used for grant', grantId: existingGrant.id });
+  // Claim the funding tx before any verification or payout
+  const claim = claimFundingTx(txHash, {
+    ...requested.fields,
+    chainId: network.chainId,
+    grantor: grantor?.toLowerCase() || null,
+    mock: isMock || undefined
+  });
+  if (claim.refunded) {
+    return res.status(409).json({ error: 'Deposit was refunded to its sender' });
+  }
+  if (claim.schedule) {
+    return res.status(400).json({ error: 'Transaction already funds a recurring grant schedule', scheduleId: claim.schedule.id });
+  }
+  if (claim.existing) {
+    return res.status(400).json({
+      error: 'Transaction already used for grant',
+      grantId: claim.existing.id,
+      status: claim.existing.status
+    });
   }
+  let grant = claim.grant;
 
   try {
-    let fundingAmount;
-    let txFrom;
-
-    if (!isMock) {
-      // Verify the funding transaction
-      const tx = await getProvider().getTransaction(txHash);
-      if (!tx) {
-        return res.status(400).json({ error: 'Transaction not found' });
-      }
+    const funded = await fundClaimedGrant(grant, {
+      token,
+      signer: req.signer,
+      whitelistEntry: req.whitelistEntry,
+      mock: isMock,
+      amount
+    });
+    if (!funded.grant) {
+      if (funded.body.retryAfter) res.set('Retry-After', String(funded.body.retryAfter));
+      return res.status(funded.status).json(funded.body);
+    }
+    grant = funded.grant;
 
-      const receipt = await getProvider().getTransactionReceipt(txHash);
-      if (!receipt || receipt.status !== 1) {
-        return res.status(400).json({ error: 'Transaction failed or pending' });
-      }
+    const to = grant.recipients ? `${grant.recipients.length} recipients` : `${grant.recipient.slice(0, 10)}...`;
+    console.log(`[GRANT] ${grant.netAmountFormatted} to ${to} - "${grant.reason}" (${grant.status})`);
+    notifyGrant('grant.created', grant);
+
+    const explorerUrl = network.txUrl(grant.distributionTxHash);
+    res.status(201).json({
+      success: true,
+      grant,
+      mock: isMock || undefined,
+      explorerUrl,
+      basescanUrl: BASE_CHAIN_IDS.includes(network.chainId) ? explorerUrl : undefined
+    });
+
+  } catch (err) {
+    console.error('[GRANT ERROR]', err.message);
+    // Verification never finished (e.g. RPC error): nothing was queued, so
+    // the deposit can be retried. A queued grant stays claimed.
+    releaseClaim(store.grants.get(grant.id) || grant);
+    res.status(500).json({ error: err.message, grantId: store.grants.has(grant.id) ? grant.id : undefined });
+  }
+});
+
+/**
+ * List grants, filtered and paginated (see lib/query.js for parameters)
+ * GET /grants?status=confirmed&from=2026-01-01&q=docs&sort=amount&limit=50&cursor=...
+ */
+app.get('/grants', (req, res) => {
+  const parsed = parseGrantQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { grants, total, nextCursor } = queryGrants(store, parsed.query);
+
+  res.json({
+    grants,
+    total,
+    limit: parsed.query.limit,
+    nextCursor
+  });
+});
+
+/**
+ * Export grants for accounting, one row per grant, streamed
+ * GET /grants/export?format=csv|jsonl&from=2026-01-01&to=2026-02-01
+ *
+ * Takes the GET /grants filters (no pagination) and is ordered oldest first.
+ * Columns are listed in lib/export.js.
+ */
+app.get('/grants/export', ipRateLimit, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (format !== 'csv' && format !== 'jsonl') {
+    return res.status(400).json({ error: 'format must be csv or jsonl' });
+  }
+  const parsed = parseGrantQuery({ ...req.query, sort: 'createdAt', order: 'asc', cursor: undefined });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const grants = filterGrants(store, parsed.query);
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  const write = async chunk => {
+    if (!res.write(chunk)) await new Promise(resolve => res.once('drain', resolve));
+  };
+
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="grants-${new Date().toISOString().slice(0, 10)}.${format}"`
+  });
+  try {
+    if (format === 'csv') await write(csvLine(COLUMNS));
+    for (const grant of grants) {
+      if (closed) return;
+      const row = await exporter.row(grant);
+      await write(format === 'csv' ? csvLine(COLUMNS.map(c => row[c])) : JSON.stringify(row) + '\n');
+    }
+    res.end();
+  } catch (err) {
+    // Headers are already out; cut the stream short so the file is visibly incomplete
+    console.error('[EXPORT ERROR]', err.message);
+    res.destroy(err);
+  }
+});
+
+/**
+ * Fees kept by the treasury per period and token
+ * GET /grants/export/fees?period=day|week|month|year&from=&to=&format=json|csv
+ */
+app.get('/grants/export/fees', ipRateLimit, async (req, res) => {
+  const period = req.query.period || 'month';
+  const format = req.query.format || 'json';
+  if (!PERIODS.includes(period)) {
+    return res.status(400).json({ error: `period must be one of ${PERIODS.join(', ')}` });
+  }
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+  const parsed = parseGrantQuery({ from: req.query.from, to: req.query.to, token: req.query.token });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-      if (tx.to?.toLowerCase() !== TREASURY_ADDRESS.toLowerCase()) {
-        return res.status(400).json({
-          error: 'Not sent to treasury',
-          expected: TREASURY_ADDRESS,
-          got: tx.to
-        });
+  try {
+    const periods = await exporter.feeSummary(filterGrants(store, parsed.query), period);
+    if (format === 'json') {
+      return res.json({ period, priceSource: prices.name, feeRecipient: fees.recipient, periods });
+    }
+    const columns = ['period', 'token', 'grants', 'gross', 'grossDecimal', 'fee', 'feeDecimal', 'net', 'netDecimal', 'feeUsd', 'unpriced'];
+    let csv = csvLine(columns);
+    for (const { period: key, tokens: byToken } of periods) {
+      for (const [symbol, totals] of Object.entries(byToken)) {
+        csv += csvLine(columns.map(c => (c === 'period' ? key : c === 'token' ? symbol : totals[c])));
       }
+    }
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="fees-${period}.csv"`
+    });
+    res.send(csv);
+  } catch (err) {
+    console.error('[EXPORT ERROR]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get grant by ID, with its payouts
+ * Serves the stored state: payouts, escrow expiry and approvals are moved
+ * on by their background loops, never by a read.
+ */
+app.get('/grants/:id', (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+  const schedule = grant.scheduleId && schedules.get(grant.scheduleId);
+  res.json({
+    ...grant,
+    payouts: store.payouts.findBy('grantId', grant.id).map(publicPayout),
+    schedule: schedule
+      ? { id: schedule.id, status: schedule.status, interval: schedule.interval, runs: schedule.runs, count: schedule.count, history: schedule.history }
+      : undefined
+  });
+});
+
+/**
+ * On-chain record of a confirmed grant: its EAS attestation UIDs
+ * GET /grants/:id/proof
+ */
+app.get('/grants/:id/proof', (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+  const proof = attestations.proof(grant);
+  if (!proof) {
+    return res.status(404).json({ error: `Grant is not attested (${grant.status})`, grantId: grant.id });
+  }
+  res.json({ grantId: grant.id, ...proof });
+});
+
+/**
+ * Check a grant's record against the chain: its attestations and payout txs
+ * GET /grants/:id/verify
+ */
+app.get('/grants/:id/verify', ipRateLimit, async (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+  try {
+    res.json({ grantId: grant.id, ...await attestations.verify(grant) });
+  } catch (err) {
+    console.error('[ATTEST ERROR]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Grant history rebuilt from chain events alone (our EAS attestations)
+ * GET /attestations?chainId=8453&fromBlock=&toBlock=&attester=0x...&grantId=
+ *
+ * At most 10000 blocks per request (the latest by default); follow
+ * nextFromBlock for the rest.
+ */
+app.get('/attestations', ipRateLimit, async (req, res) => {
+  const network = requestedNetwork(req.query.chainId);
+  if (!network) {
+    return unknownNetwork(res, req.query.chainId);
+  }
+  if (!network.eas) {
+    return res.status(400).json({ error: `No EAS deployment configured on ${network.name}` });
+  }
+  const attester = req.query.attester || network.payoutWallet;
+  if (!attester || !ethers.isAddress(attester)) {
+    return res.status(400).json({ error: 'attester must be an address' });
+  }
+  const block = name => (req.query[name] === undefined ? null : parseInt(req.query[name]));
+  const fromBlock = block('fromBlock');
+  const toBlock = block('toBlock');
+  if (Number.isNaN(fromBlock) || Number.isNaN(toBlock) || fromBlock < 0 || (toBlock !== null && toBlock < (fromBlock ?? 0))) {
+    return res.status(400).json({ error: 'fromBlock and toBlock must be block numbers, fromBlock <= toBlock' });
+  }
+
+  try {
+    const history = await attestations.history(network, { attester, fromBlock, toBlock, grantId: req.query.grantId || null });
+    res.json({ chainId: network.chainId, eas: network.eas.address, schemaUID: attestations.SCHEMA_UID, attester: attester.toLowerCase(), ...history });
+  } catch (err) {
+    console.error('[ATTEST ERROR]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Release one milestone of an escrowed grant (again, if its tranche payout
+ * failed or was replaced)
+ * POST /grants/:id/milestones/:n/release { auth }
+ *
+ * auth = grantor's signature over { grantId, milestone }
+ */
+const milestoneParams = req => ({ grantId: req.params.id, milestone: parseInt(req.params.n) });
+
+app.post('/grants/:id/milestones/:n/release', auth.requireSignature('release-milestone', milestoneParams), (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+  if (!grant.milestones) {
+    return res.status(400).json({ error: 'Not a milestone grant' });
+  }
+  if (req.signer !== grant.grantor) {
+    return res.status(403).json({ error: 'Only the grantor can release milestones', grantor: grant.grantor });
+  }
+
+  const n = parseInt(req.params.n);
+  const result = escrow.release(grant, n);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, grant: result.grant, milestone: result.grant.milestones.find(m => m.n === n) });
+});
+
+/**
+ * Approve a grant waiting for approval; the last approval needed queues the payout
+ * POST /grants/:id/approve { auth }
+ *
+ * auth = an approver's signature over { grantId }
+ */
+app.post('/grants/:id/approve', auth.requireSignature('approve-grant', req => ({ grantId: req.params.id })), async (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+
+  let result;
+  try {
+    result = await approvals.approve(grant, req.signer);
+  } catch (err) {
+    console.error('[APPROVALS ERROR]', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, grant: result.grant, approved: result.grant.status !== 'pending_approval' });
+});
+
+/**
+ * Cancel an escrowed grant, refunding locked milestones (and failed tranches) to the depositor
+ * POST /grants/:id/cancel { auth }
+ *
+ * auth = grantor's signature over { grantId }
+ */
+app.post('/grants/:id/cancel', auth.requireSignature('cancel-grant', req => ({ grantId: req.params.id })), (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+  if (!grant.milestones) {
+    return res.status(400).json({ error: 'Only milestone grants can be cancelled' });
+  }
+  if (req.signer !== grant.grantor) {
+    return res.status(403).json({ error: 'Only the grantor can cancel a grant', grantor: grant.grantor });
+  }
+
+  const result = escrow.refundLocked(grant, 'cancelled');
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, grant: result.grant });
+});
+
+/**
+ * Refund a failed grant's undelivered funds to the depositor (the funding
+ * tx sender). Payout failures are refunded automatically unless
+ * REFUND_ON_FAILURE=false; this also retries a refund that failed.
+ * POST /grants/:id/refund { auth }
+ *
+ * auth = grantor's or depositor's signature over { grantId }
+ */
+app.post('/grants/:id/refund', auth.requireSignature('refund-grant', req => ({ grantId: req.params.id })), (req, res) => {
+  const grant = store.grants.get(req.params.id);
+  if (!grant) {
+    return res.status(404).json({ error: 'Grant not found' });
+  }
+  if (req.signer !== grant.grantor && req.signer !== grant.depositor) {
+    return res.status(403).json({ error: 'Only the grantor or depositor can request a refund', signer: req.signer });
+  }
+
+  const result = refunds.refund(grant, 'requested');
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, grant: result.grant, payout: result.payout ? publicPayout(result.payout) : null });
+});
+
+/**
+ * Get grantor stats, with usage against their limits
+ */
+app.get('/grantors/:address', async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address' });
+  }
+
+  const { entry } = await whitelist.check(address);
+  const usage = limits.usage(address.toLowerCase(), entry);
+
+  const stats = store.grantors.get(address.toLowerCase());
+  if (!stats) {
+    return res.json({ address: address.toLowerCase(), totalGrants: 0, totalAmount: '0', totalAmountFormatted: '0 ETH', usage });
+  }
+
+  const grantorGrants = store.grants.findBy('grantor', address)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  const totals = {};
+  for (const [symbol, t] of Object.entries(stats.totals || {})) {
+    totals[symbol] = {
+      totalGrants: t.totalGrants,
+      totalAmount: t.totalAmount,
+      totalAmountFormatted: formatAmount(t.totalAmount, { symbol, decimals: t.decimals })
+    };
+  }
+
+  res.json({
+    address: address.toLowerCase(),
+    totalGrants: stats.totalGrants,
+    totalAmount: stats.totalAmount,
+    totalAmountFormatted: formatETH(stats.totalAmount),
+    totals,
+    usage,
+    recentGrants: grantorGrants.slice(0, 10)
+  });
+});
+
+/** Profile fields covered by the recipient's signature. */
+function profileParams(req) {
+  const { name, links, github } = req.body || {};
+  return { address: req.params.address.toLowerCase(), name, links, github };
+}
+
+/**
+ * Get recipient stats: what they received, from whom, and their profile
+ * GET /recipients/:address (an ENS name or Basename works too)
+ */
+app.get('/recipients/:address', async (req, res) => {
+  const resolved = await recipientRegistry.resolve(req.params.address);
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error });
+  }
+  const { address, name } = resolved;
+  res.json({
+    address,
+    name: name || undefined,
+    profile: recipientRegistry.profile(address),
+    ...recipientRegistry.summary(address)
+  });
+});
 
-      fundingAmount = tx.value;
-      txFrom = tx.from;
-    } else {
-      // Mock mode: use fake data
-      fundingAmount = amount ? parseETH(amount) : ethers.parseEther('0.01');
-      txFrom = grantor || '0x' + '1'.repeat(40);
+/**
+ * Publish or replace your recipient profile
+ * PUT /recipients/:address/profile { name, links, github, auth }
+ *
+ * Signed by the recipient address itself.
+ */
+app.put('/recipients/:address/profile', ipRateLimit, auth.requireSignature('update-recipient-profile', profileParams), (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid address' });
+  }
+  if (req.signer !== req.params.address.toLowerCase()) {
+    return res.status(403).json({ error: 'Only the recipient can edit their profile' });
+  }
+  const result = recipientRegistry.setProfile(req.signer, req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  console.log(`[RECIPIENTS] Profile of ${req.signer} updated`);
+  res.json({ success: true, profile: result.profile });
+});
+
+app.delete('/recipients/:address/profile', auth.requireSignature('delete-recipient-profile', req => ({ address: req.params.address.toLowerCase() })), (req, res) => {
+  if (req.signer !== req.params.address.toLowerCase()) {
+    return res.status(403).json({ error: 'Only the recipient can delete their profile' });
+  }
+  if (!recipientRegistry.removeProfile(req.signer)) {
+    return res.status(404).json({ error: 'No profile' });
+  }
+  res.json({ success: true });
+});
+
+// ============================================================================
+// API: GRANT INTENTS
+// ============================================================================
+
+/** Intent parameters covered by the grantor's signature. */
+function intentParams(req) {
+  const { chainId, recipient, recipients, milestones, expiresAt, amount, reason, token, ttl } = req.body || {};
+  return { chainId, recipient, recipients, milestones, expiresAt, amount, reason, token, ttl };
+}
+
+/**
+ * Describe a grant first and fund it afterwards
+ * POST /grant-intents { recipient | recipients, milestones?, amount, token?, reason?, ttl?, auth }
+ *
+ * Returns the exact amount to send and how to send it (EIP-681 URI, or raw
+ * tx fields tagged with the intent's reference). The matching deposit is
+ * picked up by the deposit indexer and paid out without another call.
+ */
+app.post('/grant-intents', ipRateLimit, auth.requireSignature('create-grant-intent', intentParams), requireWhitelist(), signerRateLimit, async (req, res) => {
+  if (!DEPOSIT_INDEXER) {
+    return res.status(503).json({ error: 'Grant intents need the deposit indexer, which is disabled' });
+  }
+  const { recipient, recipients, amount } = req.body;
+  if ((!recipient && recipients === undefined) || !amount) {
+    return res.status(400).json({ error: 'recipient (or recipients) and amount required' });
+  }
+  const resolved = await recipientRegistry.resolveGrant(req.body);
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error });
+  }
+  const requested = grantFields({ ...req.body, recipient: resolved.recipient, recipients: resolved.recipients }, resolved.names);
+  if (requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
+
+  const network = requestedNetwork(req.body.chainId);
+  if (!network) {
+    return unknownNetwork(res, req.body.chainId);
+  }
+  const paused = treasury.paused(network.chainId);
+  if (paused) {
+    return res.status(503).json(paused);
+  }
+  const token = network.tokens.get(req.body.token || 'ETH');
+  if (!token) {
+    return res.status(400).json({ error: `Token not allowlisted on ${network.name}`, supported: network.tokens.list().map(t => t.symbol) });
+  }
+  let grossAmount;
+  try {
+    grossAmount = tokens.parse(amount, token);
+  } catch {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+  if (grossAmount <= 0n) {
+    return res.status(400).json({ error: 'amount must be positive' });
+  }
+  const ttl = req.body.ttl === undefined ? INTENT_TTL_S : parseInt(req.body.ttl);
+  if (!(ttl > 0) || ttl > INTENT_MAX_TTL_S) {
+    return res.status(400).json({ error: `ttl must be 1-${INTENT_MAX_TTL_S} seconds` });
+  }
+
+  // Fail early on limits the grant would break (checked again when funded)
+  const overLimit = limits.check({
+    ...requested.fields,
+    grantor: req.signer,
+    token: token.symbol,
+    tokenAddress: token.address,
+    decimals: token.decimals,
+    grossAmount: grossAmount.toString()
+  }, req.whitelistEntry);
+  if (overLimit) {
+    const { status, ...body } = overLimit;
+    if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+    return res.status(status).json(body);
+  }
+
+  const quoted = fees.quoteGrant({ ...requested.fields, grantor: req.signer }, grossAmount, token);
+  if (quoted.error) {
+    return res.status(400).json({ error: quoted.error });
+  }
+
+  const result = intents.create({ grantor: req.signer, grant: requested.fields, chainId: network.chainId, token, amount: grossAmount, ttl });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  const { intent } = result;
+  console.log(`[INTENTS] Intent ${intent.id}: send ${intent.exactAmountFormatted} by ${new Date(intent.expiresAt).toISOString()}`);
+  res.status(201).json({
+    success: true,
+    intent,
+    instructions: `Send exactly ${intent.exactAmountFormatted} to ${network.treasury} on ${network.name} before ${new Date(intent.expiresAt).toISOString()}. Other amounts are not matched; late payments are refunded.`
+  });
+});
+
+/**
+ * Intent status (funded intents link their grant)
+ * GET /grant-intents/:id
+ */
+app.get('/grant-intents/:id', (req, res) => {
+  const intent = intents.get(req.params.id);
+  if (!intent) {
+    return res.status(404).json({ error: 'Intent not found' });
+  }
+  res.json({ ...intent, grant: intent.grantId ? store.grants.get(intent.grantId) : undefined });
+});
+
+/**
+ * A grantor's intents, newest first
+ * GET /grant-intents?grantor=0x...&status=open
+ */
+app.get('/grant-intents', (req, res) => {
+  const { grantor, status } = req.query;
+  if (!grantor || !ethers.isAddress(grantor)) {
+    return res.status(400).json({ error: 'grantor address required' });
+  }
+  if (status && !intents.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${intents.STATUSES.join(', ')}` });
+  }
+  const list = intents.list(grantor.toLowerCase(), { status });
+  res.json({ intents: list, total: list.length });
+});
+
+/**
+ * Withdraw an open intent; a deposit that arrives afterwards is refunded
+ * POST /grant-intents/:id/cancel { auth }
+ *
+ * auth = grantor's signature over { intentId }
+ */
+app.post('/grant-intents/:id/cancel', auth.requireSignature('cancel-grant-intent', req => ({ intentId: req.params.id })), (req, res) => {
+  const intent = intents.get(req.params.id);
+  if (!intent) {
+    return res.status(404).json({ error: 'Intent not found' });
+  }
+  if (req.signer !== intent.grantor) {
+    return res.status(403).json({ error: 'Only the grantor can cancel an intent', grantor: intent.grantor });
+  }
+  const result = intents.cancel(intent);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, intent: result.intent });
+});
+
+// ============================================================================
+// API: RECURRING GRANTS
+// ============================================================================
+
+/** Schedule parameters covered by the grantor's signature. */
+function scheduleParams(req) {
+  const { txHash, chainId, recipient, recipients, amount, token, interval, count, startAt, reason } = req.body || {};
+  return { txHash, chainId, recipient, recipients, amount, token, interval, count, startAt, reason };
+}
+
+/**
+ * Pay the same grant every week or month from a prepaid balance
+ * POST /schedules { recipient | recipients, amount, interval, count?, startAt?, reason?, txHash, chainId?, auth }
+ *
+ * txHash = deposit that becomes the balance; `amount` (in the deposit's
+ * token, fee taken from each run) is paid from it every interval.
+ */
+app.post('/schedules', ipRateLimit, auth.requireSignature('create-schedule', scheduleParams), requireWhitelist(), signerRateLimit, async (req, res) => {
+  const { recipient, recipients, amount, txHash } = req.body;
+  if ((!recipient && recipients === undefined) || !amount || !txHash) {
+    return res.status(400).json({ error: 'recipient (or recipients), amount, interval and txHash required' });
+  }
+  if (req.body.milestones !== undefined) {
+    return res.status(400).json({ error: 'Recurring grants pay direct or split grants, not milestones' });
+  }
+  const terms = validateTerms(req.body);
+  if (terms.error) {
+    return res.status(400).json({ error: terms.error });
+  }
+  const resolved = await recipientRegistry.resolveGrant(req.body);
+  if (resolved.error) {
+    return res.status(resolved.status).json({ error: resolved.error });
+  }
+  const requested = grantFields({ ...req.body, recipient: resolved.recipient, recipients: resolved.recipients }, resolved.names);
+  if (requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
+
+  const network = requestedNetwork(req.body.chainId);
+  if (!network) {
+    return unknownNetwork(res, req.body.chainId);
+  }
+  const paused = ephemeralStore() || treasury.paused(network.chainId);
+  if (paused) {
+    return res.status(503).json(paused);
+  }
+  const requestedToken = req.body.token ? network.tokens.get(req.body.token) : null;
+  if (req.body.token && !requestedToken) {
+    return res.status(400).json({ error: `Token not allowlisted on ${network.name}`, supported: network.tokens.list().map(t => t.symbol) });
+  }
+  if (depositIndexer.isRefunded(txHash)) {
+    return res.status(409).json({ error: 'Deposit was refunded to its sender' });
+  }
+
+  let verified;
+  try {
+    verified = await verifier.verify(txHash, { network, token: requestedToken });
+  } catch (err) {
+    console.error('[SCHEDULE ERROR]', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+  if (verified.error) {
+    return res.status(400).json(verified);
+  }
+  if (verified.from.toLowerCase() !== req.signer) {
+    return res.status(403).json({ error: 'Funding transaction was sent by another address', code: 'NOT_DEPOSITOR', signer: req.signer, depositor: verified.from.toLowerCase() });
+  }
+  const token = verified.token;
+  let runAmount;
+  try {
+    runAmount = tokens.parse(amount, token);
+  } catch {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+  if (runAmount <= 0n) {
+    return res.status(400).json({ error: 'amount must be positive' });
+  }
+  if (verified.amount < runAmount) {
+    return res.status(400).json({ error: `Deposit of ${formatAmount(verified.amount, token)} does not cover one run of ${formatAmount(runAmount, token)}` });
+  }
+
+  // Fail early on a fee or limits every run would break (checked again on each run)
+  const quoted = fees.quoteGrant({ ...requested.fields, grantor: req.signer }, runAmount, token);
+  if (quoted.error) {
+    return res.status(400).json({ error: quoted.error });
+  }
+  const overLimit = limits.check({
+    ...requested.fields,
+    grantor: req.signer,
+    token: token.symbol,
+    tokenAddress: token.address,
+    decimals: token.decimals,
+    grossAmount: runAmount.toString()
+  }, req.whitelistEntry);
+  if (overLimit) {
+    const { status, ...body } = overLimit;
+    if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+    return res.status(status).json(body);
+  }
+
+  const result = schedules.create({
+    grantor: req.signer,
+    grant: requested.fields,
+    chainId: network.chainId,
+    token,
+    amount: runAmount,
+    terms: terms.terms,
+    deposit: { txHash, from: verified.from, amount: verified.amount }
+  });
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+  const { schedule } = result;
+  depositIndexer.claimTx(txHash, { scheduleId: schedule.id });
+  console.log(`[SCHEDULES] Schedule ${schedule.id}: ${schedule.amountFormatted} ${schedule.interval}, balance ${schedule.balanceFormatted}`);
+  schedules.tick();
+  res.status(201).json({ success: true, schedule });
+});
+
+/**
+ * Schedule status, with its run history and generated grants
+ * GET /schedules/:id
+ */
+app.get('/schedules/:id', (req, res) => {
+  const schedule = schedules.get(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  const grants = store.grants.findBy('scheduleId', schedule.id)
+    .sort((a, b) => a.scheduleRun - b.scheduleRun)
+    .map(g => ({ id: g.id, run: g.scheduleRun, status: g.status, netAmountFormatted: g.netAmountFormatted, distributionTxHash: g.distributionTxHash, createdAt: g.createdAt }));
+  res.json({ ...schedule, grants });
+});
+
+/**
+ * A grantor's schedules
+ * GET /schedules?grantor=0x...&status=active
+ */
+app.get('/schedules', (req, res) => {
+  const { grantor, status } = req.query;
+  if (!grantor || !ethers.isAddress(grantor)) {
+    return res.status(400).json({ error: 'grantor address required' });
+  }
+  if (status && !schedules.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${schedules.STATUSES.join(', ')}` });
+  }
+  const list = schedules.list(grantor.toLowerCase(), { status });
+  res.json({ schedules: list, total: list.length });
+});
+
+/** The schedule a signed request is about, if the signer is its grantor; otherwise responds. */
+function grantorSchedule(req, res) {
+  const schedule = schedules.get(req.params.id);
+  if (!schedule) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  if (req.signer !== schedule.grantor) {
+    res.status(403).json({ error: 'Only the grantor can manage a schedule', grantor: schedule.grantor });
+    return null;
+  }
+  return schedule;
+}
+
+/**
+ * Add a deposit to a schedule's balance (resumes it if it ran dry)
+ * POST /schedules/:id/topup { txHash, auth }
+ *
+ * auth = grantor's signature over { scheduleId, txHash }
+ */
+app.post('/schedules/:id/topup', ipRateLimit, auth.requireSignature('topup-schedule', req => ({ scheduleId: req.params.id, txHash: req.body?.txHash })), requireWhitelist(), signerRateLimit, async (req, res) => {
+  const schedule = grantorSchedule(req, res);
+  if (!schedule) return;
+  const { txHash } = req.body;
+  if (!txHash) {
+    return res.status(400).json({ error: 'txHash required' });
+  }
+  const ephemeral = ephemeralStore();
+  if (ephemeral) {
+    return res.status(503).json(ephemeral);
+  }
+  if (depositIndexer.isRefunded(txHash)) {
+    return res.status(409).json({ error: 'Deposit was refunded to its sender' });
+  }
+  const network = networks.get(schedule.chainId);
+  let verified;
+  try {
+    verified = await verifier.verify(txHash, { network, token: network.tokens.get(schedule.tokenAddress || schedule.token) });
+  } catch (err) {
+    console.error('[SCHEDULE ERROR]', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+  if (verified.error) {
+    return res.status(400).json(verified);
+  }
+  // The balance is refunded to the schedule's depositor, so only it (or the grantor) may add to it
+  const from = verified.from.toLowerCase();
+  if (from !== req.signer && from !== schedule.depositor) {
+    return res.status(403).json({ error: 'Funding transaction was sent by another address', code: 'NOT_DEPOSITOR', signer: req.signer, depositor: from });
+  }
+  const result = schedules.topUp(schedules.get(schedule.id), { txHash, from: verified.from, amount: verified.amount });
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+  depositIndexer.claimTx(txHash, { scheduleId: schedule.id });
+  console.log(`[SCHEDULES] Schedule ${schedule.id} topped up to ${result.schedule.balanceFormatted}`);
+  schedules.tick();
+  res.json({ success: true, schedule: result.schedule });
+});
+
+/**
+ * Pause, resume or cancel a schedule (cancelling refunds the balance)
+ * POST /schedules/:id/pause | /resume | /cancel { auth }
+ *
+ * auth = grantor's signature over { scheduleId }
+ */
+for (const action of ['pause', 'resume', 'cancel']) {
+  app.post(`/schedules/:id/${action}`, auth.requireSignature(`${action}-schedule`, req => ({ scheduleId: req.params.id })), (req, res) => {
+    const schedule = grantorSchedule(req, res);
+    if (!schedule) return;
+    const result = schedules[action](schedule);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    const fee = (fundingAmount * FEE_PERCENT) / 100n;
-    const netAmount = fundingAmount - fee;
+    console.log(`[SCHEDULES] Schedule ${schedule.id}: ${action}`);
+    if (action === 'resume') schedules.tick();
+    res.json({ success: true, schedule: result.schedule });
+  });
+}
+
+// ============================================================================
+// API: DEPOSITS
+// ============================================================================
 
-    let distributeTxHash;
+/**
+ * Transfers into the treasury found by the deposit indexer, newest first
+ * GET /deposits?from=0x...&status=unclaimed&token=ETH&chainId=8453&limit=100
+ *
+ * Unclaimed deposits can be claimed with POST /grants (txHash) or refunded.
+ */
+app.get('/deposits', (req, res) => {
+  const { from, status, token } = req.query;
+  if (from && !ethers.isAddress(from)) {
+    return res.status(400).json({ error: 'Invalid from address' });
+  }
+  if (status && !depositIndexer.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${depositIndexer.STATUSES.join(', ')}` });
+  }
+  const chainId = req.query.chainId ? parseInt(req.query.chainId) : undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json({ ...depositIndexer.list({ from, status, token, chainId, limit }), indexer: depositIndexer.status() });
+});
 
-    if (!isMock) {
-      // Send to recipient
-      const w = getWallet();
-      if (!w) {
-        return res.status(500).json({ error: 'Wallet not configured' });
-      }
+/**
+ * Send an unclaimed deposit back to its sender
+ * POST /deposits/:id/refund { auth }
+ *
+ * auth = the sender's signature over { depositId }
+ */
+app.post('/deposits/:id/refund', auth.requireSignature('refund-deposit', req => ({ depositId: req.params.id })), (req, res) => {
+  const deposit = store.deposits.get(req.params.id);
+  if (!deposit) {
+    return res.status(404).json({ error: 'Deposit not found' });
+  }
+  if (req.signer !== deposit.from) {
+    return res.status(403).json({ error: 'Only the sender can refund a deposit', from: deposit.from });
+  }
+  const ephemeral = ephemeralStore();
+  if (ephemeral) {
+    return res.status(503).json(ephemeral);
+  }
 
-      const distributeTx = await w.sendTransaction({
-        to: recipient,
-        value: netAmount
-      });
-      distributeTxHash = distributeTx.hash;
-    } else {
-      // Mock mode: fake tx hash
-      distributeTxHash = '0xmock' + uuidv4().replace(/-/g, '');
-    }
+  const result = depositIndexer.refund(deposit);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ success: true, deposit: result.deposit, payout: publicPayout(result.payout) });
+});
 
-    const grant = {
-      id: uuidv4(),
-      recipient: recipient.toLowerCase(),
-      grantor: (grantor || txFrom).toLowerCase(),
-      reason: reason || 'Direct grant',
-      grossAmount: fundingAmount.toString(),
-      grossAmountFormatted: formatETH(fundingAmount),
-      fee: fee.toString(),
-      feeFormatted: formatETH(fee),
-      netAmount: netAmount.toString(),
-      netAmountFormatted: formatETH(netAmount),
-      fundingTxHash: txHash,
-      distributionTxHash: distributeTxHash,
-      status: 'completed',
-      mock: isMock || undefined,
-      createdAt: Date.now()
-    };
+// ============================================================================
+// API: ADMIN
+// ============================================================================
 
-    grants.set(grant.id, grant);
+/**
+ * Admin routes are signed requests (action 'admin', params = method, path,
+ * query and body) from an address in ADMIN_ADDRESSES or a local whitelist
+ * entry with the 'admin' role.
+ */
+function adminParams(req) {
+  const { auth: _auth, ...body } = req.body || {};
+  return { method: req.method, path: req.path, query: req.query, body };
+}
 
-    // Track grantor stats
-    const grantorAddr = grant.grantor;
-    if (!grantors.has(grantorAddr)) {
-      grantors.set(grantorAddr, { totalGrants: 0, totalAmount: 0n });
+function requireAdmin() {
+  return [
+    auth.requireSignature('admin', adminParams),
+    (req, res, next) => {
+      if (!ADMIN_ADDRESSES.includes(req.signer) && !whitelist.local(req.signer)?.roles?.includes('admin')) {
+        return res.status(403).json({ error: 'Admin only' });
+      }
+      next();
     }
-    const stats = grantors.get(grantorAddr);
-    stats.totalGrants++;
-    stats.totalAmount = BigInt(stats.totalAmount) + fundingAmount;
+  ];
+}
 
-    console.log(`[GRANT] ${formatETH(netAmount)} to ${recipient.slice(0, 10)}... - "${reason || 'Direct grant'}"`);
+/**
+ * Local whitelist entries and the state of every source
+ */
+app.get('/admin/whitelist', requireAdmin(), (req, res) => {
+  const entries = whitelist.entries();
+  res.json({ entries, total: entries.length, sources: whitelist.sources() });
+});
 
-    res.status(201).json({
-      success: true,
-      grant,
-      mock: isMock || undefined,
-      basescanUrl: `https://basescan.org/tx/${distributeTxHash}`
-    });
+/**
+ * Audit log of whitelist changes
+ * GET /admin/whitelist/audit?address=&limit=
+ */
+app.get('/admin/whitelist/audit', requireAdmin(), (req, res) => {
+  const { address, limit } = req.query;
+  res.json({ log: whitelist.auditLog({ address, limit: limit ? parseInt(limit) : undefined }) });
+});
 
-  } catch (err) {
-    console.error('[GRANT ERROR]', err.message);
-    res.status(500).json({ error: err.message });
+/**
+ * How an address is admitted (checks every source)
+ */
+app.get('/admin/whitelist/:address', requireAdmin(), async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid address' });
   }
+  res.json({ address: req.params.address.toLowerCase(), ...(await whitelist.check(req.params.address)) });
 });
 
 /**
- * List all grants
+ * Add an entry
+ * POST /admin/whitelist { address, roles, limits, note }
  */
-app.get('/grants', (req, res) => {
-  const { recipient, grantor, limit } = req.query;
-  let results = Array.from(grants.values());
-
-  if (recipient) {
-    results = results.filter(g => g.recipient === recipient.toLowerCase());
-  }
-  if (grantor) {
-    results = results.filter(g => g.grantor === grantor.toLowerCase());
+app.post('/admin/whitelist', requireAdmin(), (req, res) => {
+  const result = whitelist.add(req.body, req.signer);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, entry: result.entry });
   }
+  res.status(201).json({ success: true, entry: result.entry });
+});
 
-  results.sort((a, b) => b.createdAt - a.createdAt);
-
-  if (limit) {
-    results = results.slice(0, parseInt(limit));
+/**
+ * Change an entry's roles, limits or note
+ * PUT /admin/whitelist/:address { roles, limits, note }
+ */
+app.put('/admin/whitelist/:address', requireAdmin(), (req, res) => {
+  const result = whitelist.update(req.params.address, req.body, req.signer);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
   }
-
-  res.json({
-    grants: results,
-    total: results.length
-  });
+  res.json({ success: true, entry: result.entry });
 });
 
 /**
- * Get grant by ID
+ * Remove an entry (sign with the X-Auth header)
  */
-app.get('/grants/:id', (req, res) => {
-  const grant = grants.get(req.params.id);
-  if (!grant) {
-    return res.status(404).json({ error: 'Grant not found' });
+app.delete('/admin/whitelist/:address', requireAdmin(), (req, res) => {
+  const result = whitelist.remove(req.params.address, req.signer);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
   }
-  res.json(grant);
+  res.json({ success: true, removed: result.entry });
 });
 
+// ============================================================================
+// API: WEBHOOKS
+// ============================================================================
+
 /**
- * Get grantor stats
+ * Register a webhook for the signer's address
+ * POST /webhooks { url, events, description, auth }
+ *
+ * The response holds the signing secret; it is not shown again.
  */
-app.get('/grantors/:address', (req, res) => {
-  const { address } = req.params;
-  if (!ethers.isAddress(address)) {
-    return res.status(400).json({ error: 'Invalid address' });
+app.post('/webhooks', ipRateLimit, auth.requireSignature('create-webhook', req => ({ url: req.body?.url, events: req.body?.events, description: req.body?.description })), (req, res) => {
+  const { url, events, description } = req.body;
+  const result = webhooks.register(req.signer, { url, events, description });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
   }
+  res.status(201).json({ success: true, webhook: result.webhook, secret: result.secret });
+});
 
-  const stats = grantors.get(address.toLowerCase());
-  if (!stats) {
-    return res.json({ address: address.toLowerCase(), totalGrants: 0, totalAmount: '0', totalAmountFormatted: '0 ETH' });
+/**
+ * The signer's webhooks (sign with the X-Auth header)
+ */
+app.get('/webhooks', auth.requireSignature('list-webhooks', () => ({})), (req, res) => {
+  res.json({ webhooks: webhooks.list(req.signer), events: webhooks.EVENTS });
+});
+
+/** Look up a webhook owned by the signer, or answer 404. */
+function ownWebhook(req, res) {
+  const webhook = store.webhooks.get(req.params.id);
+  if (!webhook || webhook.owner !== req.signer) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
   }
+  return webhook;
+}
 
-  const grantorGrants = Array.from(grants.values())
-    .filter(g => g.grantor === address.toLowerCase())
-    .sort((a, b) => b.createdAt - a.createdAt);
+app.delete('/webhooks/:id', auth.requireSignature('delete-webhook', req => ({ id: req.params.id })), (req, res) => {
+  const webhook = ownWebhook(req, res);
+  if (!webhook) return;
+  webhooks.remove(webhook.id);
+  res.json({ success: true });
+});
 
-  res.json({
-    address: address.toLowerCase(),
-    totalGrants: stats.totalGrants,
-    totalAmount: stats.totalAmount.toString(),
-    totalAmountFormatted: formatETH(stats.totalAmount),
-    recentGrants: grantorGrants.slice(0, 10)
-  });
+/**
+ * Delivery log
+ * GET /webhooks/:id/deliveries?status=pending|delivered|failed&limit=
+ */
+app.get('/webhooks/:id/deliveries', auth.requireSignature('list-deliveries', req => ({ id: req.params.id })), (req, res) => {
+  const webhook = ownWebhook(req, res);
+  if (!webhook) return;
+  const { status, limit } = req.query;
+  res.json({ deliveries: webhooks.deliveries(webhook.id, { status, limit: limit ? parseInt(limit) : undefined }) });
+});
+
+/**
+ * Send a delivery again
+ */
+app.post('/webhooks/:id/deliveries/:deliveryId/replay', auth.requireSignature('replay-delivery', req => ({ id: req.params.id, deliveryId: req.params.deliveryId })), (req, res) => {
+  const webhook = ownWebhook(req, res);
+  if (!webhook) return;
+  const delivery = store.webhookDeliveries.get(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== webhook.id) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json({ success: true, delivery: webhooks.replay(delivery) });
 });
 
 // ============================================================================
@@ -313,101 +2002,96 @@ app.get('/grantors/:address', (req, res) => {
 
 /**
  * E2E Test endpoint - full grant in one request
+ * POST /test/e2e { txHash, recipient, amount, auth }
+ *
+ * Same checks as POST /grants (signature, whitelist, limits, treasury,
+ * approvals) for a plain grant on the default network; the recipient
+ * defaults to the treasury so a test pays itself back.
+ * auth = signature over { txHash, recipient, amount }
  */
-app.post('/test/e2e', async (req, res) => {
-  const { txHash, recipient } = req.body;
+function e2eParams(req) {
+  const { txHash, recipient, amount } = req.body || {};
+  return { txHash, recipient, amount };
+}
+
+app.post('/test/e2e', ipRateLimit, auth.requireSignature('e2e-test', e2eParams), requireWhitelist(), signerRateLimit, async (req, res) => {
+  const { txHash, recipient, amount } = req.body;
 
   if (!txHash) {
     return res.status(400).json({
       error: 'txHash required',
       instructions: {
-        step1: `Send ETH to treasury: ${TREASURY_ADDRESS}`,
-        step2: 'POST /test/e2e with { txHash, recipient }'
+        step1: `Send ETH to treasury: ${networks.default.treasury} on ${networks.default.name}`,
+        step2: 'POST /test/e2e with { txHash, recipient, auth }'
       }
     });
   }
 
-  const targetRecipient = recipient || TREASURY_ADDRESS;
+  const targetRecipient = recipient || networks.default.treasury;
+  const requested = grantFields({ recipient: targetRecipient, reason: 'E2E Test Grant' });
+  if (requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
   const steps = [];
 
+  const claim = claimFundingTx(txHash, {
+    ...requested.fields,
+    chainId: networks.default.chainId,
+    grantor: null
+  });
+  if (claim.refunded) {
+    return res.status(409).json({ error: 'Deposit was refunded to its sender' });
+  }
+  if (claim.schedule) {
+    return res.status(400).json({ error: 'Transaction already funds a recurring grant schedule', scheduleId: claim.schedule.id });
+  }
+  if (claim.existing) {
+    return res.status(400).json({ error: 'Transaction already used for grant', grantId: claim.existing.id, status: claim.existing.status });
+  }
+  let grant = claim.grant;
+
   try {
-    // Verify tx
+    // Verify the deposit and queue the payout (or hold it for approval)
     steps.push({ step: 1, action: 'Verifying transaction...' });
-    const tx = await getProvider().getTransaction(txHash);
-    if (!tx) {
-      return res.status(400).json({ error: 'Transaction not found', steps });
-    }
-
-    const receipt = await getProvider().getTransactionReceipt(txHash);
-    if (!receipt || receipt.status !== 1) {
-      return res.status(400).json({ error: 'Transaction failed or pending', steps });
-    }
-
-    if (tx.to?.toLowerCase() !== TREASURY_ADDRESS.toLowerCase()) {
-      return res.status(400).json({ error: 'Not sent to treasury', steps });
-    }
-
-    const fundingAmount = tx.value;
-    steps.push({ step: 1, status: 'verified', from: tx.from, amount: formatETH(fundingAmount) });
-
-    // Calculate fee and send
-    const fee = (fundingAmount * FEE_PERCENT) / 100n;
-    const netAmount = fundingAmount - fee;
-
-    steps.push({ step: 2, action: 'Sending grant...' });
-    const w = getWallet();
-    if (!w) {
-      return res.status(500).json({ error: 'Wallet not configured', steps });
-    }
-
-    const distributeTx = await w.sendTransaction({
-      to: targetRecipient,
-      value: netAmount
+    const funded = await fundClaimedGrant(grant, {
+      signer: req.signer,
+      whitelistEntry: req.whitelistEntry,
+      amount
     });
-
-    const grant = {
-      id: uuidv4(),
-      recipient: targetRecipient.toLowerCase(),
-      grantor: tx.from.toLowerCase(),
-      reason: 'E2E Test Grant',
-      grossAmount: fundingAmount.toString(),
-      grossAmountFormatted: formatETH(fundingAmount),
-      fee: fee.toString(),
-      feeFormatted: formatETH(fee),
-      netAmount: netAmount.toString(),
-      netAmountFormatted: formatETH(netAmount),
-      fundingTxHash: txHash,
-      distributionTxHash: distributeTx.hash,
-      status: 'completed',
-      createdAt: Date.now()
-    };
-
-    grants.set(grant.id, grant);
+    if (!funded.grant) {
+      if (funded.body.retryAfter) res.set('Retry-After', String(funded.body.retryAfter));
+      return res.status(funded.status).json({ ...funded.body, steps });
+    }
+    grant = funded.grant;
+    steps.push({ step: 1, status: 'verified', from: grant.depositor, amount: grant.grossAmountFormatted });
+    notifyGrant('grant.created', grant);
 
     steps.push({
       step: 2,
-      status: 'sent',
-      txHash: distributeTx.hash,
-      recipient: targetRecipient,
-      netAmount: formatETH(netAmount)
+      status: grant.status,
+      payoutId: grant.payoutId,
+      recipient: grant.recipient,
+      netAmount: grant.netAmountFormatted
     });
 
     res.json({
       success: true,
-      message: 'E2E test completed!',
+      message: grant.status === 'pending_approval'
+        ? 'E2E test grant is waiting for approval (see POST /grants/:id/approve).'
+        : 'E2E test grant queued! Poll GET /grants/:id for the payout tx.',
       grant,
       steps,
       summary: {
-        funded: formatETH(fundingAmount),
-        fee: formatETH(fee) + ' (5%)',
-        sent: formatETH(netAmount),
-        recipient: targetRecipient,
-        txHash: distributeTx.hash,
-        basescanUrl: `https://basescan.org/tx/${distributeTx.hash}`
+        funded: grant.grossAmountFormatted,
+        fee: `${grant.feeFormatted} (${grant.feeBps / 100}%)`,
+        sent: grant.netAmountFormatted,
+        recipient: grant.recipient,
+        grantUrl: `/grants/${grant.id}`
       }
     });
 
   } catch (err) {
+    releaseClaim(store.grants.get(grant.id) || grant);
     res.status(500).json({ error: err.message, steps });
   }
 });
@@ -416,28 +2100,164 @@ app.post('/test/e2e', async (req, res) => {
 // UTILITY
 // ============================================================================
 
+/**
+ * Payout queue status: the default network's queue, and every network's
+ * under `networks`
+ * GET /queue
+ */
+app.get('/queue', (req, res) => {
+  res.json({
+    ...payoutQueues.get(CHAIN_ID).status(),
+    networks: Object.fromEntries(Array.from(payoutQueues, ([chainId, queue]) => [chainId, queue.status()]))
+  });
+});
+
+/**
+ * Net granted and fees per token: { [symbol]: { totalGrants, totalGranted, totalFees, ... } }
+ */
+function totalsByToken(grantList) {
+  const totals = {};
+  for (const g of grantList) {
+    const t = totals[g.token] || (totals[g.token] = { token: grantToken(g), totalGrants: 0, granted: 0n, fees: 0n });
+    t.totalGrants++;
+    t.granted += BigInt(g.netAmount);
+    t.fees += BigInt(g.fee);
+  }
+  const result = {};
+  for (const [symbol, t] of Object.entries(totals)) {
+    result[symbol] = {
+      totalGrants: t.totalGrants,
+      totalGranted: t.granted.toString(),
+      totalGrantedFormatted: formatAmount(t.granted, t.token),
+      totalFees: t.fees.toString(),
+      totalFeesFormatted: formatAmount(t.fees, t.token)
+    };
+  }
+  return result;
+}
+
 app.get('/stats', (req, res) => {
-  const allGrants = Array.from(grants.values());
-  const totalGranted = allGrants.reduce((sum, g) => sum + BigInt(g.netAmount), 0n);
-  const totalFees = allGrants.reduce((sum, g) => sum + BigInt(g.fee), 0n);
+  const allGrants = store.grants.all().filter(isPaidOut);
+  const ethGrants = allGrants.filter(g => g.token === 'ETH');
+  const totalGranted = ethGrants.reduce((sum, g) => sum + BigInt(g.netAmount), 0n);
+  const totalFees = ethGrants.reduce((sum, g) => sum + BigInt(g.fee), 0n);
+
+  const byChain = {};
+  for (const network of networks.list()) {
+    const chainGrants = allGrants.filter(g => g.chainId === network.chainId);
+    byChain[network.chainId] = {
+      name: network.name,
+      totalGrants: chainGrants.length,
+      byToken: totalsByToken(chainGrants),
+      uniqueRecipients: new Set(chainGrants.flatMap(grantRecipients)).size,
+      uniqueGrantors: new Set(chainGrants.map(g => g.grantor)).size
+    };
+  }
 
   res.json({
     totalGrants: allGrants.length,
     totalGranted: formatETH(totalGranted),
     totalFees: formatETH(totalFees),
-    uniqueRecipients: new Set(allGrants.map(g => g.recipient)).size,
-    uniqueGrantors: grantors.size
+    byToken: totalsByToken(allGrants),
+    byChain,
+    uniqueRecipients: new Set(allGrants.flatMap(grantRecipients)).size,
+    uniqueGrantors: store.grantors.count()
   });
 });
 
+/**
+ * Enabled networks: treasury, confirmations, explorer and tokens of each
+ * GET /networks
+ */
+app.get('/networks', (req, res) => {
+  res.json({ default: CHAIN_ID, networks: networks.list().map(n => n.describe()) });
+});
+
+/**
+ * Treasury solvency per network: wallet balances against what is owed
+ * (queued payouts, escrow, unclaimed deposits, recurring grant balances),
+ * fees kept, and whether payouts are paused for a low balance
+ * GET /treasury
+ */
+app.get('/treasury', ipRateLimit, async (req, res) => {
+  try {
+    res.json({ networks: await treasury.report() });
+  } catch (err) {
+    console.error('[TREASURY ERROR]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Tokens accepted for funding and payouts
+ * GET /tokens?chainId=8453 (default network if omitted)
+ */
+app.get('/tokens', (req, res) => {
+  const network = requestedNetwork(req.query.chainId);
+  if (!network) {
+    return unknownNetwork(res, req.query.chainId);
+  }
+  res.json({ chainId: network.chainId, tokens: network.tokens.list() });
+});
+
+/**
+ * Preview the fee on a deposit
+ * GET /quote?amount=0.1&token=ETH&chainId=8453&grantor=0x...&recipient=0x...,0x...
+ *
+ * grantor and recipient(s) are optional; they apply discounts and waivers.
+ */
+app.get('/quote', ipRateLimit, (req, res) => {
+  const { amount, grantor } = req.query;
+  const network = requestedNetwork(req.query.chainId);
+  if (!network) {
+    return unknownNetwork(res, req.query.chainId);
+  }
+  const token = network.tokens.get(req.query.token || 'ETH');
+  if (!token) {
+    return res.status(400).json({ error: `Token not allowlisted on ${network.name}`, supported: network.tokens.list().map(t => t.symbol) });
+  }
+  let grossAmount;
+  try {
+    grossAmount = tokens.parse(amount, token);
+  } catch {
+    return res.status(400).json({ error: 'amount required, in token units (e.g. 0.1)' });
+  }
+  if (grossAmount <= 0n) {
+    return res.status(400).json({ error: 'amount must be positive' });
+  }
+  const recipients = (req.query.recipient || '').split(',').map(a => a.trim()).filter(Boolean);
+  if ((grantor && !ethers.isAddress(grantor)) || recipients.some(a => !ethers.isAddress(a))) {
+    return res.status(400).json({ error: 'Invalid address' });
+  }
+
+  const quoted = fees.quote({ amount: grossAmount, token, grantor, recipients });
+  if (quoted.error) {
+    return res.status(400).json({ error: quoted.error });
+  }
+  res.json({ chainId: network.chainId, ...amountFields(grossAmount, token, quoted), feeRecipient: fees.recipient, schedule: fees.summary() });
+});
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     platform: 'Direct Grants',
-    network: 'Base',
-    treasury: TREASURY_ADDRESS,
-    payoutsEnabled: !!TREASURY_PRIVATE_KEY,
-    feePercent: 5
+    network: networks.default.name,
+    chainId: CHAIN_ID,
+    treasury: networks.default.treasury,
+    payoutsEnabled: networks.default.payoutsEnabled,
+    payoutsPaused: !!(ephemeralStore() || treasury.paused(CHAIN_ID)),
+    networks: networks.list().map(n => n.describe()),
+    treasuryStatus: treasury.status(),
+    storage: store.adapter,
+    tokens: tokens.list().map(t => t.symbol),
+    whitelistSources: whitelist.sources().map(s => s.type),
+    priceSource: prices.name,
+    depositIndexer: DEPOSIT_INDEXER ? depositIndexer.status() : null,
+    funding: verifier.describe(),
+    approvals: approvals.describe(),
+    attestations: attestations.describe(),
+    feePercent: FEE_BPS / 100,
+    fees: fees.describe()
   });
 });
 
@@ -448,47 +2268,267 @@ app.get('/health', (req, res) => {
 app.get('/agent', (req, res) => {
   res.json({
     name: "Direct Grants",
-    description: "Simplest funding mechanism. Send ETH to treasury, specify recipient - funds forwarded instantly. Perfect for AI agents funding work quickly.",
-    network: "Base (chainId 8453)",
-    treasury_fee: "5%",
+    description: "Simplest funding mechanism. Send ETH or USDC to treasury, specify recipient - funds forwarded instantly. Perfect for AI agents funding work quickly.",
+    network: `${networks.default.name} (chainId ${CHAIN_ID}) by default; pass chainId to use another enabled network`,
+    networks: networks.list().map(n => n.describe()),
+    treasury_fee: fees.summary(),
+    fees: fees.describe(),
     endpoints: [
       {
         method: "POST",
         path: "/grants",
-        description: "Create and fund a direct grant (send ETH to treasury first)",
-        body: { recipient: "string - required, payout address", reason: "string - description of grant", txHash: "string - required, your tx sending ETH to treasury", grantor: "string - optional, defaults to tx sender" },
-        returns: { grant: "object", basescanUrl: "string - link to distribution tx" }
+        description: "Create and fund a direct grant (send ETH or an allowlisted token to treasury first)",
+        body: { recipient: "string - payout address, ENS name or Basename (or use recipients)", recipients: "array - optional split: [{ address, share | amount, reason }], addresses may be names too, fee taken once, remainder split by share", milestones: "array - optional escrow: [{ description, share | amount, dueAt }], held in treasury and released per milestone", expiresAt: "string|number - optional escrow expiry, locked milestones are refunded after it", reason: "string - description of grant", txHash: "string - required, your tx sending ETH or tokens to treasury (directly, or as an internal transfer from a contract wallet)", amount: "string - optional, the amount you sent in token units; the deposit must match it (see funding)", chainId: "number - optional, network the tx is on and the grant is paid out on (default: the default network)", token: "string - optional, symbol or address the deposit must be in (detected from the tx otherwise)", grantor: "string - optional, the signer; the funding tx must be sent from it too", auth: "object - required signature, see authentication" },
+        returns: { grant: "object - status 'queued' (payout goes out via the queue), 'escrowed', or 'pending_approval' (at or above the approval threshold, see POST /grants/:id/approve)", explorerUrl: "string - link to distribution tx on the grant's network (mock only)", basescanUrl: "string - deprecated, same as explorerUrl on Base and Base Sepolia" }
       },
       {
         method: "GET",
         path: "/grants",
-        description: "List all grants, optionally filter by recipient or grantor",
-        query: { recipient: "string - filter by recipient address", grantor: "string - filter by grantor address", limit: "number" },
-        returns: { grants: "array of grant objects", total: "number" }
+        description: "List grants with filters, sorting and cursor pagination",
+        query: { recipient: "string - filter by recipient address", grantor: "string - filter by grantor address", token: "string - token symbol", chainId: "number - network", status: "string - comma-separated statuses", mock: "true | false", from: "ISO date or ms - created at or after", to: "ISO date or ms - created at or before", minAmount: "decimal - net amount in token units", maxAmount: "decimal", q: "string - text search in reason", sort: "createdAt (default) | updatedAt | amount", order: "desc (default) | asc", limit: "number - default 50, max 200", cursor: "string - nextCursor from the previous page" },
+        returns: { grants: "array of grant objects", total: "number - all matches, not just this page", nextCursor: "string | null - pass as cursor for the next page" }
+      },
+      {
+        method: "GET",
+        path: "/grants/export",
+        description: "Stream every matching grant for accounting, oldest first",
+        query: { format: "csv (default) | jsonl", from: "ISO date or ms", to: "ISO date or ms", "...": "other GET /grants filters (no pagination)" },
+        returns: "rows with gross/fee/net/refund in base units and decimals, funding and distribution tx hashes with block numbers and timestamps, usdPrice and USD values at payout time (null without a price source)"
+      },
+      {
+        method: "GET",
+        path: "/grants/export/fees",
+        description: "Fees kept by the treasury per period and token (mock grants excluded)",
+        query: { period: "day | week | month (default) | year", from: "ISO date or ms", to: "ISO date or ms", token: "string - optional", format: "json (default) | csv" },
+        returns: { periods: "array - { period, tokens: { SYMBOL: { grants, gross, fee, net (+ Decimal), feeUsd, unpriced } } }", priceSource: "string", feeRecipient: "string" }
       },
       {
         method: "GET",
         path: "/grants/:id",
         description: "Get grant details by ID",
-        returns: { id: "string", recipient: "string", grantor: "string", netAmount: "string", reason: "string", distributionTxHash: "string" }
+        returns: { id: "string", recipient: "string - null for split grants", recipients: "array - split grants: per-recipient amount, status, txHash", milestones: "array - escrowed grants: per-milestone amount, status (locked | released | refunded), payoutStatus, txHash", grantor: "string", netAmount: "string", fee: "string", feeBps: "number", feeStatus: "fee payout status when fees go to a separate fee recipient", reason: "string", status: "pending | queued | escrowed | sent | confirmed | failed | replaced | cancelled", distributionTxHash: "string", refundStatus: "queued | sending | sent | confirmed | failed - when a refund was made", refundTxHash: "string", blockNumber: "number", gasUsed: "string", gasFee: "string", confirmations: "number", attestation: "object - on-chain record once confirmed, see /grants/:id/proof", payouts: "array - payout transactions and attempts" }
+      },
+      {
+        method: "GET",
+        path: "/grants/:id/proof",
+        description: "On-chain record of a confirmed grant: EAS attestations by the payout wallet, one per transfer (grantId, grantor, token, amount, reasonHash = keccak256(reason), fundingTxHash, payoutTxHash)",
+        returns: { status: "attestation tx status", schema: "string", schemaUID: "string", eas: "string - EAS contract", attester: "string", txHash: "string", uids: "array - attestation UIDs", urls: "array - EAS explorer links" }
+      },
+      {
+        method: "GET",
+        path: "/grants/:id/verify",
+        description: "Check a grant's record against the chain: its attestations exist unrevoked and match, and its funding and payout txs succeeded",
+        returns: { verified: "boolean", checks: "array - { check, ok, detail }" }
+      },
+      {
+        method: "GET",
+        path: "/attestations",
+        description: "Grant history rebuilt from chain events alone: Attested events of the grant schema by the attester, read back from EAS",
+        query: { chainId: "number - optional", fromBlock: "number - optional", toBlock: "number - optional, at most 10000 blocks per request (the latest by default)", attester: "string - default the payout wallet", grantId: "string - optional" },
+        returns: { grants: "array - { grantId, grantor, token, reasonHash, fundingTxHash, attestedAt, txHash, revoked, transfers: [{ uid, recipient, amount, payoutTxHash }] }", nextFromBlock: "number | null - where the next page starts" }
+      },
+      {
+        method: "POST",
+        path: "/grants/:id/milestones/:n/release",
+        description: "Release milestone n (1-based) of an escrowed grant; signed by the grantor. A milestone whose tranche payout failed or was replaced can be released again",
+        body: { auth: "object - grantor's signature over { grantId, milestone }" },
+        returns: { grant: "object", milestone: "object - status 'released', tranche payout queued" }
+      },
+      {
+        method: "POST",
+        path: "/grants/:id/cancel",
+        description: "Cancel an escrowed grant; locked milestones and failed tranches are refunded to the depositor (fee is kept)",
+        body: { auth: "object - grantor's signature over { grantId }" },
+        returns: { grant: "object - status 'cancelled', refundAmount" }
+      },
+      {
+        method: "POST",
+        path: "/grants/:id/approve",
+        description: "Approvers only: sign off a grant in 'pending_approval'. The last approval needed queues the payout; grants not approved in time expire and are refunded in full",
+        body: { auth: "object - approver's signature over { grantId }" },
+        returns: { grant: "object - approval: { required, approvals, expiresAt, waiting }", approved: "boolean - payout queued; false while an approved grant waits for the treasury (approval.waiting)" }
+      },
+      {
+        method: "POST",
+        path: "/grants/:id/refund",
+        description: "Refund a failed or replaced grant to the depositor (funding tx sender); payout failures are refunded automatically, this retries a failed refund",
+        body: { auth: "object - grantor's or depositor's signature over { grantId }" },
+        returns: { grant: "object - refundAmount (fee included unless part was delivered), refundStatus, refundTxHash", payout: "object - the refund payout" }
+      },
+      {
+        method: "GET",
+        path: "/quote",
+        description: "Preview the fee and net amount for a deposit (tiers, min/max, grantor discounts and recipient waivers applied)",
+        query: { amount: "string - required, token units e.g. '0.1'", token: "string - default ETH", chainId: "number - optional", grantor: "string - optional", recipient: "string - optional, comma-separated for splits" },
+        returns: { grossAmount: "string", fee: "string", feeFormatted: "string", feeBps: "number - rate before bounds and discounts", feeDiscountPercent: "number", feeWaived: "boolean", netAmount: "string", netAmountFormatted: "string", feeRecipient: "string" }
       },
       {
         method: "GET",
         path: "/grantors/:address",
         description: "Get grantor stats and recent grants",
-        returns: { totalGrants: "number", totalAmount: "string", recentGrants: "array" }
+        returns: { totalGrants: "number", totalAmount: "string - ETH total", totals: "object - per-token totals", usage: "object - limits in force and daily/weekly volume used per token", recentGrants: "array" }
+      },
+      {
+        method: "GET",
+        path: "/recipients/:address",
+        description: "Get recipient stats: what they received, from which grantors, and their profile (address, ENS name or Basename)",
+        returns: { totalGrants: "number - grants that paid them", inProgress: "number - grants still paying out", totalReceived: "string - ETH total", totals: "object - per-token totals", grantors: "array - { address, totalGrants }", names: "array - names grants were addressed to", profile: "object|null - { name, links, github }", recentGrants: "array" }
+      },
+      {
+        method: "PUT",
+        path: "/recipients/:address/profile",
+        description: "Publish or replace your recipient profile (signed by the recipient address; DELETE removes it)",
+        body: { name: "string - optional display name, max 64 characters", links: "array - optional, up to 5 http(s) URLs", github: "string - optional GitHub username", auth: "object - required signature by :address" }
+      },
+      {
+        method: "POST",
+        path: "/grant-intents",
+        description: "Describe a grant before funding it: returns the exact amount to send and a payment reference; the deposit is matched automatically and the grant created without another call (needs the deposit indexer)",
+        body: { recipient: "string - or recipients / milestones / expiresAt, as for POST /grants", chainId: "number - optional, network to pay on", amount: "string - gross amount in token units, e.g. '0.1'", token: "string - optional, default ETH", reason: "string", ttl: "number - optional, seconds until the intent expires (default 3600)", auth: "object - required signature over the fields above" },
+        returns: { intent: "object - id, exactAmount, exactAmountFormatted, reference, expiresAt, status 'open', payment: { to, value, data, uri } - send exactly exactAmount, or use payment.data / the EIP-681 uri (reference in the calldata)" }
+      },
+      {
+        method: "GET",
+        path: "/grant-intents/:id",
+        description: "Intent status: open | matched | funded | failed | expired | cancelled; late or mismatched deposits are refunded (refundedDeposits)",
+        returns: { intent: "object", grant: "object - once funded" }
+      },
+      {
+        method: "GET",
+        path: "/grant-intents",
+        description: "A grantor's intents, newest first",
+        query: { grantor: "string - required", status: "string - optional" },
+        returns: { intents: "array", total: "number" }
+      },
+      {
+        method: "POST",
+        path: "/grant-intents/:id/cancel",
+        description: "Withdraw an open intent; a payment that arrives afterwards is refunded",
+        body: { auth: "object - grantor's signature over { intentId }" },
+        returns: { intent: "object - status 'cancelled'" }
+      },
+      {
+        method: "POST",
+        path: "/schedules",
+        description: "Recurring grant: pay the same grant weekly or monthly from a prepaid balance (the deposit in txHash); each run creates an ordinary grant, fee and limits included",
+        body: { recipient: "string - or recipients, as for POST /grants (no milestones)", amount: "string - gross amount per run, in the deposit's token", interval: "weekly | monthly", count: "number - optional, number of runs (default: until cancelled)", startAt: "string|number - optional first run (default: now)", reason: "string", txHash: "string - deposit funding the balance", chainId: "number - optional", token: "string - optional, token the deposit must be in", auth: "object - required signature over the fields above" },
+        returns: { schedule: "object - status active, balance, nextRunAt, history" }
+      },
+      {
+        method: "GET",
+        path: "/schedules/:id",
+        description: "Schedule status, balance, run history and generated grants (generated grants link back with scheduleId)",
+        returns: { status: "active | paused | completed | cancelled", balance: "string", nextRunAt: "number", history: "array - { n, at, status: created | failed | skipped, grantId, error }", grants: "array" }
+      },
+      {
+        method: "GET",
+        path: "/schedules",
+        description: "List a grantor's schedules",
+        query: { grantor: "string - required", status: "string - optional" }
+      },
+      {
+        method: "POST",
+        path: "/schedules/:id/topup",
+        description: "Add a deposit to the balance; a schedule paused because the balance ran out resumes",
+        body: { txHash: "string", auth: "object - grantor's signature over { scheduleId, txHash }" }
+      },
+      {
+        method: "POST",
+        path: "/schedules/:id/pause | /resume | /cancel",
+        description: "Pause or resume runs (runs missed while paused are skipped, the latest one is made on resume), or cancel and refund the balance to the depositor",
+        body: { auth: "object - grantor's signature over { scheduleId }" }
+      },
+      {
+        method: "GET",
+        path: "/deposits",
+        description: "Transfers into the treasury found by the deposit indexer, newest first - find deposits that were never turned into a grant",
+        query: { from: "string - sender address", status: "unclaimed | claimed | refunded", token: "string - symbol", chainId: "number - network", limit: "number - default 100, max 500" },
+        returns: { deposits: "array - chainId, txHash, from, token, amount, amountFormatted, blockNumber, timestamp, status, grantId", total: "number", indexer: "array - per network: chainId, nextBlock, headBlock, scannedAt, lastError" }
+      },
+      {
+        method: "POST",
+        path: "/deposits/:id/refund",
+        description: "Send an unclaimed deposit back to its sender (full amount, no fee); to fund a grant with it instead, POST /grants with its txHash",
+        body: { auth: "object - the sender's signature over { depositId }" },
+        returns: { deposit: "object - status 'refunded', refundStatus, refundTxHash", payout: "object - the refund payout" }
+      },
+      {
+        method: "GET",
+        path: "/queue",
+        description: "Payout queue status (default network; every network under `networks`)",
+        returns: { depth: "number", awaitingConfirmation: "number", nextNonce: "number", queue: "array", networks: "object - chainId -> queue status" }
       },
       {
         method: "GET",
         path: "/stats",
         description: "Platform statistics",
-        returns: { totalGrants: "number", totalGranted: "string", uniqueRecipients: "number", uniqueGrantors: "number" }
+        returns: { totalGrants: "number", totalGranted: "string - ETH", byToken: "object - per-token totals", byChain: "object - chainId -> { name, totalGrants, byToken, uniqueRecipients, uniqueGrantors }", uniqueRecipients: "number", uniqueGrantors: "number" }
+      },
+      {
+        method: "GET",
+        path: "/networks",
+        description: "Enabled networks: chainId, name, treasury, payoutWallet, coldTreasury (deposits go to a treasury apart from the hot wallet that pays), confirmations, explorer, tokens, payoutsEnabled",
+        returns: { default: "number - chainId used when a request names none", networks: "array" }
+      },
+      {
+        method: "GET",
+        path: "/treasury",
+        description: "Treasury solvency per network: payout wallet balances against obligations (queued payouts, locked escrow, unclaimed deposits, recurring grant balances), fees kept, the low-balance breaker, and top-ups the hot wallet is waiting for from a cold treasury",
+        returns: { networks: "array - chainId, treasury, wallet, coldTreasury, topUps, minBalance, paused, pausedReason, tokens: { SYMBOL: { balance, treasuryBalance (cold treasury), obligations, surplus, accruedFees } }" }
+      },
+      {
+        method: "GET",
+        path: "/tokens",
+        description: "Tokens accepted for funding and payouts on a network",
+        query: { chainId: "number - optional, default network if omitted" },
+        returns: { chainId: "number", tokens: "array of { symbol, address, decimals }" }
+      },
+      {
+        method: "POST",
+        path: "/webhooks",
+        description: "Register a webhook for your address (signed); fires for grants you fund, receive or deposited for",
+        body: { url: "string - http(s) endpoint", events: "array - optional, default all: grant.created, payout.sent, payout.confirmed, payout.failed, refund.sent, refund.confirmed, refund.failed, grant.approval_requested (approvers), treasury.topup (admins)", description: "string - optional", auth: "object - signature" },
+        returns: { webhook: "object", secret: "string - shown once; verify X-Webhook-Signature: t=<ts>,v1=HMAC-SHA256(secret, '<ts>.<body>')" }
+      },
+      {
+        method: "GET | DELETE",
+        path: "/webhooks[/:id]",
+        description: "List or delete your webhooks (signed via X-Auth header)"
+      },
+      {
+        method: "GET",
+        path: "/webhooks/:id/deliveries",
+        description: "Delivery log with every attempt; POST /webhooks/:id/deliveries/:deliveryId/replay sends one again (signed)",
+        query: { status: "pending | delivered | failed", limit: "number" }
+      },
+      {
+        method: "GET | POST | PUT | DELETE",
+        path: "/admin/whitelist[/:address]",
+        description: "Admin only (signed, action 'admin' over { method, path, query, body }): manage local whitelist entries { address, roles: grantor | admin, limits: { maxAmount, daily, weekly: { TOKEN: amount }, recipientGrants, rate: 'N/period' }, note }; GET /admin/whitelist/audit for the change log",
+        returns: { entries: "array", sources: "array - configured whitelist sources and their state" }
       }
     ],
+    authentication: {
+      scheme: "EIP-712 typed data (or the same fields as an EIP-191 personal_sign message with auth.type 'personal')",
+      domain: auth.domain,
+      type: "Authorization(string action, address signer, string params, uint256 nonce, uint256 expiry)",
+      params: "canonical JSON (sorted keys) of the request parameters",
+      body: { auth: "{ signer, nonce, expiry, signature } - nonce is single-use, expiry in unix seconds" },
+      unsigned: "requests without a valid signature get 401 with `sign`: the exact typed data to sign"
+    },
+    funding: {
+      ...verifier.describe(),
+      errors: `400 { code, error } when the funding tx doesn't verify, code one of: ${FUNDING_ERROR_CODES.join(', ')}; TX_UNCONFIRMED carries confirmations and required, retry once it is deeper`
+    },
+    limits: {
+      defaults: limits.effective(null),
+      errors: "403 { code: MAX_GRANT_EXCEEDED | DAILY_CAP_EXCEEDED | WEEKLY_CAP_EXCEEDED, limit, used, requested }; 429 { code: RATE_LIMITED | RECIPIENT_LIMIT, retryAfter }; 503 { code: TREASURY_LOW_BALANCE (payouts paused on that network) | TREASURY_INSUFFICIENT (the wallet can't cover this payout yet) }"
+    },
     example_flow: [
-      "1. Send ETH to treasury: 0xccD7200024A8B5708d381168ec2dB0DC587af83F",
-      "2. POST /grants with { recipient, reason, txHash }",
-      "3. Recipient receives 95% instantly (5% fee)"
+      `1. Send ETH or USDC to the treasury: ${networks.default.treasury} on ${networks.default.name} (other networks: GET /networks)`,
+      "2. POST /grants with { recipient, reason, txHash, chainId }; sign the returned `sign` data and resend it with auth",
+      `3. Payout is queued and sent in order; recipient receives the deposit less the fee (${fees.summary()}, GET /quote to preview)`,
+      "4. GET /grants/:id to follow the payout until confirmed"
     ],
     x402_enabled: false
   });
@@ -499,8 +2539,8 @@ app.get('/agent', (req, res) => {
 // ============================================================================
 
 app.get('/', (req, res) => {
-  const allGrants = Array.from(grants.values());
-  const totalGranted = allGrants.reduce((sum, g) => sum + BigInt(g.netAmount), 0n);
+  const allGrants = store.grants.all().filter(isPaidOut);
+  const totalGranted = allGrants.filter(g => g.token === 'ETH').reduce((sum, g) => sum + BigInt(g.netAmount), 0n);
 
   res.send(`
 <!DOCTYPE html>
@@ -651,7 +2691,7 @@ app.get('/', (req, res) => {
           <div class="stat-label">Total Granted</div>
         </div>
         <div class="stat">
-          <div class="stat-value">${new Set(allGrants.map(g => g.recipient)).size}</div>
+          <div class="stat-value">${new Set(allGrants.flatMap(grantRecipients)).size}</div>
           <div class="stat-label">Recipients</div>
         </div>
       </div>
@@ -663,17 +2703,17 @@ app.get('/', (req, res) => {
         <div class="step">
           <div class="step-num">1</div>
           <h4>Send ETH to Treasury</h4>
-          <p>Transfer ETH to ${TREASURY_ADDRESS.slice(0, 6)}...${TREASURY_ADDRESS.slice(-4)}</p>
+          <p>Transfer ETH to ${networks.default.treasury.slice(0, 6)}...${networks.default.treasury.slice(-4)} on ${networks.default.name}</p>
         </div>
         <div class="step">
           <div class="step-num">2</div>
           <h4>POST /grants</h4>
-          <p>Include txHash, recipient, and reason</p>
+          <p>Include txHash, recipient, and reason, signed by you</p>
         </div>
         <div class="step">
           <div class="step-num">3</div>
           <h4>Recipient Gets ETH</h4>
-          <p>95% sent instantly (5% fee)</p>
+          <p>Sent instantly, less the fee (${fees.summary()})</p>
         </div>
       </div>
     </div>
@@ -700,6 +2740,21 @@ app.get('/', (req, res) => {
         <span>/grantors/:address</span>
         <span class="endpoint-desc">Grantor stats</span>
       </div>
+      <div class="endpoint">
+        <span class="method get">GET</span>
+        <span>/recipients/:address</span>
+        <span class="endpoint-desc">Recipient stats and profile</span>
+      </div>
+      <div class="endpoint">
+        <span class="method post">POST</span>
+        <span>/schedules</span>
+        <span class="endpoint-desc">Recurring grant from a prepaid balance</span>
+      </div>
+      <div class="endpoint">
+        <span class="method get">GET</span>
+        <span>/queue</span>
+        <span class="endpoint-desc">Payout queue status</span>
+      </div>
       <div class="endpoint">
         <span class="method post">POST</span>
         <span>/test/e2e</span>
@@ -718,7 +2773,8 @@ POST /grants
 {
   "recipient": "0x1234...abcd",
   "reason": "Great documentation work",
-  "txHash": "0xabc123..."  // Your tx sending ETH to treasury
+  "txHash": "0xabc123...",  // Your tx sending ETH to treasury
+  "auth": { "signer": "0x...", "nonce": "...", "expiry": 1767225600, "signature": "0x..." }
 }</pre>
       </div>
     </div>
@@ -727,8 +2783,8 @@ POST /grants
   <footer>
     <p>
       Built by <a href="https://x.com/owockibot">@owockibot</a> | 
-      5% platform fee |
-      Treasury: <a href="https://basescan.org/address/${TREASURY_ADDRESS}">${TREASURY_ADDRESS.slice(0, 6)}...${TREASURY_ADDRESS.slice(-4)}</a>
+      ${fees.summary()} platform fee |
+      Treasury: <a href="${networks.default.addressUrl(networks.default.treasury)}">${networks.default.treasury.slice(0, 6)}...${networks.default.treasury.slice(-4)}</a>
     </p>
   </footer>
 </body>
@@ -740,6 +2796,26 @@ POST /grants
 // START
 // ============================================================================
 
+for (const network of networks.list()) {
+  network.unlock().catch(err => console.error(`[SIGNER] Could not unlock the ${network.name} payout signer:`, err.message));
+}
+for (const queue of payoutQueues.values()) queue.start();
+for (const reconciler of reconcilers.values()) reconciler.start();
+escrow.start();
+schedules.start();
+treasury.start();
+fees.start();
+approvals.start();
+attestations.start();
+webhooks.start();
+if (DEPOSIT_INDEXER) {
+  depositIndexer.start();
+  intents.start();
+}
+
 const PORT = process.env.PORT || 3010;
-app.listen(PORT, () => console.log(`Direct Grants running on :${PORT}`));
+// Imported (serverless, tests) the caller serves the app
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`Direct Grants running on :${PORT}`));
+}
 module.exports = app;
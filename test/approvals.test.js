@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/storage');
+const { createApprovals } = require('../lib/approvals');
+const { createTokenRegistry } = require('../lib/tokens');
+const { transitionGrant } = require('../lib/grants');
+
+const APPROVER = '0x00000000000000000000000000000000000000a1';
+
+function setup({ canRelease } = {}) {
+  const store = createStore();
+  const approved = [];
+  const approvals = createApprovals({
+    store,
+    tokens: createTokenRegistry('', 8453),
+    approvers: [APPROVER],
+    threshold: { ETH: '1' },
+    onApproved: grant => {
+      approved.push(grant.id);
+      return transitionGrant(store, grant.id, grant.milestones ? 'escrowed' : 'queued');
+    },
+    canRelease,
+    onExpired: grant => grant
+  });
+  return { store, approvals, approved };
+}
+
+function insertGrant(store, fields) {
+  return store.grants.insert({
+    id: 'g1',
+    status: 'pending',
+    chainId: 8453,
+    fundingTxHash: '0xf1',
+    token: 'ETH',
+    tokenAddress: null,
+    decimals: 18,
+    ...fields
+  });
+}
+
+test('a large milestone grant waits for approval before it is escrowed', async () => {
+  const { store, approvals, approved } = setup();
+  const grant = insertGrant(store, {
+    grossAmount: (5n * 10n ** 18n).toString(),
+    milestones: [{ n: 1, amount: '2', status: 'locked' }, { n: 2, amount: '3', status: 'locked' }]
+  });
+  assert.equal(approvals.needsApproval(grant), true);
+
+  const held = approvals.hold(grant);
+  assert.equal(held.status, 'pending_approval');
+
+  const result = await approvals.approve(held, APPROVER);
+  assert.deepEqual(approved, ['g1']);
+  assert.equal(result.grant.status, 'escrowed');
+});
+
+test('grants under the threshold and mock grants need no approval', () => {
+  const { store, approvals } = setup();
+  const grant = insertGrant(store, { grossAmount: (10n ** 17n).toString(), milestones: [{ n: 1, amount: '0.1', status: 'locked' }] });
+  assert.equal(approvals.needsApproval(grant), false);
+  assert.equal(approvals.needsApproval({ ...grant, grossAmount: (5n * 10n ** 18n).toString(), mock: true }), false);
+});
+
+test('an approved grant the treasury cannot cover waits instead of failing', async () => {
+  let blocked = { error: 'Treasury low', code: 'TREASURY_INSUFFICIENT' };
+  const { store, approvals, approved } = setup({ canRelease: async () => blocked });
+  const grant = insertGrant(store, { grossAmount: (5n * 10n ** 18n).toString() });
+
+  const result = await approvals.approve(approvals.hold(grant), APPROVER);
+  assert.equal(result.grant.status, 'pending_approval');
+  assert.equal(result.grant.approval.waiting.code, 'TREASURY_INSUFFICIENT');
+  assert.deepEqual(approved, []);
+  assert.equal((await approvals.approve(result.grant, APPROVER)).status, 409);
+
+  // Past its approval window it waits on rather than expiring
+  store.grants.update('g1', { approval: { ...store.grants.get('g1').approval, expiresAt: Date.now() - 1 } });
+  approvals.expireDue();
+  assert.equal(store.grants.get('g1').status, 'pending_approval');
+
+  blocked = null;
+  await approvals.releaseApproved();
+  assert.deepEqual(approved, ['g1']);
+  assert.equal(store.grants.get('g1').status, 'queued');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createStore } = require('../lib/storage');
+const { createAuth, TYPES, canonicalParams, personalMessage } = require('../lib/auth');
+
+const wallet = ethers.Wallet.createRandom();
+const params = { txHash: '0xabc', recipient: '0x01', amount: '1' };
+
+function setup() {
+  const store = createStore();
+  return { store, auth: createAuth({ store, chainId: 8453, maxTtl: 3600 }) };
+}
+
+async function sign(auth, { action = 'create-grant', signed = params, expiry, type } = {}) {
+  const { message } = auth.request(action, wallet.address, signed);
+  if (expiry !== undefined) message.expiry = expiry;
+  const signature = type === 'personal'
+    ? await wallet.signMessage(personalMessage(message))
+    : await wallet.signTypedData(auth.domain, TYPES, message);
+  return { signer: wallet.address, nonce: message.nonce, expiry: message.expiry, signature, type };
+}
+
+test('a typed-data signature over the params is accepted once', async () => {
+  const { auth } = setup();
+  const credentials = await sign(auth);
+  assert.deepEqual(auth.verify('create-grant', params, credentials), { signer: wallet.address.toLowerCase() });
+  assert.equal(auth.verify('create-grant', params, credentials).error, 'Nonce already used');
+});
+
+test('personal_sign signatures are accepted too', async () => {
+  const { auth } = setup();
+  const credentials = await sign(auth, { type: 'personal' });
+  assert.equal(auth.verify('create-grant', params, credentials).signer, wallet.address.toLowerCase());
+});
+
+test('a signature does not carry over to other params or actions', async () => {
+  const { auth } = setup();
+  const credentials = await sign(auth);
+  assert.equal(auth.verify('create-grant', { ...params, recipient: '0x02' }, credentials).status, 401);
+  assert.equal(auth.verify('e2e-test', params, credentials).status, 401);
+});
+
+test('params are signed in canonical order, undefined left out', () => {
+  assert.equal(canonicalParams({ b: 1, a: { d: 2, c: undefined } }), '{"a":{"d":2},"b":1}');
+});
+
+test('expired or too long-lived signatures are refused', async () => {
+  const { auth } = setup();
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(auth.verify('create-grant', params, await sign(auth, { expiry: now - 1 })).error, 'Signature expired');
+  assert.match(auth.verify('create-grant', params, await sign(auth, { expiry: now + 7200 })).error, /at most 3600s/);
+});
+
+test('a signature from someone else than the claimed signer is refused', async () => {
+  const { auth } = setup();
+  const credentials = await sign(auth);
+  const other = ethers.Wallet.createRandom().address;
+  assert.equal(auth.verify('create-grant', params, { ...credentials, signer: other }).status, 401);
+  assert.equal(auth.verify('create-grant', params, { ...credentials, signature: undefined }).error, 'Signature required');
+});
+
+test('expired nonces are pruned in one save', async () => {
+  let saves = 0;
+  const store = createStore({ adapter: { load: () => null, save: () => saves++ } });
+  store.batch(() => {
+    for (let i = 0; i < 50; i++) store.authNonces.insert({ id: `old:${i}`, signer: 'old', expiresAt: Date.now() - 1 });
+  });
+  const auth = createAuth({ store, chainId: 8453 });
+  saves = 0;
+
+  auth.verify('create-grant', params, await sign(auth));
+  assert.equal(store.authNonces.count(), 1);
+  assert.equal(saves, 2); // the new nonce, then the prune
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { TYPES, canonicalParams } = require('../lib/auth');
+
+const admin = ethers.Wallet.createRandom();
+const grantor = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+const TREASURY = '0xccD7200024A8B5708d381168ec2dB0DC587af83F';
+const BLOCK_HASH = '0x' + '0b'.repeat(32);
+
+/** Mined transfers the fake node knows, by hash. */
+const mined = new Map();
+
+/** An ETH transfer of 0.01 from `from` to the treasury, mined in block 0x10. */
+function mineDeposit(hash, from) {
+  mined.set(hash, {
+    tx: {
+      hash, from, to: TREASURY, value: '0x2386f26fc10000', input: '0x', nonce: '0x0', gas: '0x5208', gasPrice: '0x1',
+      type: '0x0', chainId: '0x2105', blockHash: BLOCK_HASH, blockNumber: '0x10', transactionIndex: '0x0',
+      v: '0x422d', r: '0x' + '01'.repeat(32), s: '0x' + '02'.repeat(32)
+    },
+    receipt: {
+      transactionHash: hash, from, to: TREASURY, status: '0x1', logs: [], logsBloom: '0x' + '0'.repeat(512),
+      blockHash: BLOCK_HASH, blockNumber: '0x10', transactionIndex: '0x0', gasUsed: '0x5208', cumulativeGasUsed: '0x5208',
+      effectiveGasPrice: '0x1', contractAddress: null, type: '0x0'
+    }
+  });
+}
+
+const block = {
+  hash: BLOCK_HASH, parentHash: '0x' + '0a'.repeat(32), number: '0x10', timestamp: '0x' + Math.floor(Date.now() / 1000).toString(16),
+  nonce: '0x0000000000000000', difficulty: '0x0', gasLimit: '0x1c9c380', gasUsed: '0x5208', miner: TREASURY,
+  extraData: '0x', baseFeePerGas: '0x1', transactions: []
+};
+
+/** JSON-RPC node on Base with only the `mined` transfers in it, so the server's background loops have something to talk to. */
+function fakeRpc() {
+  return http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => (data += chunk));
+    req.on('end', () => {
+      const results = { eth_chainId: '0x2105', eth_call: '0x' + '0'.repeat(64), eth_getBalance: '0x56bc75e2d63100000', eth_blockNumber: '0x20' };
+      const lookups = {
+        eth_getTransactionByHash: ([hash]) => mined.get(hash)?.tx ?? null,
+        eth_getTransactionReceipt: ([hash]) => mined.get(hash)?.receipt ?? null,
+        eth_getBlockByNumber: ([n]) => (n === '0x10' ? block : null),
+        eth_getBlockByHash: ([hash]) => (hash === BLOCK_HASH ? block : null)
+      };
+      const answer = ({ id, method, params }) => ({
+        jsonrpc: '2.0',
+        id,
+        result: method in lookups ? lookups[method](params) : method in results ? results[method] : '0x0'
+      });
+      const body = JSON.parse(data);
+      res.setHeader('content-type', 'application/json');
+      res.setHeader('connection', 'close');
+      res.end(JSON.stringify(Array.isArray(body) ? body.map(answer) : answer(body)));
+    });
+  });
+}
+
+let rpc;
+let server;
+let base;
+let dataDir;
+
+test.before(async () => {
+  rpc = fakeRpc().listen(0);
+  await new Promise(resolve => rpc.once('listening', resolve));
+  Object.assign(process.env, {
+    DATA_FILE: path.join((dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-grants-'))), 'db.sqlite'),
+    BASE_RPC: `http://127.0.0.1:${rpc.address().port}`,
+    WHITELIST_SOURCES: 'local',
+    DEPOSIT_INDEXER: 'false',
+    ATTESTATIONS: 'false',
+    ADMIN_ADDRESSES: admin.address
+  });
+  server = require('../server').listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  rpc.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function signed(wallet, action, params, body) {
+  const message = {
+    action,
+    signer: wallet.address,
+    params: canonicalParams(params),
+    nonce: String(Date.now()) + String(Math.floor(Math.random() * 1000)),
+    expiry: Math.floor(Date.now() / 1000) + 300
+  };
+  const signature = await wallet.signTypedData({ name: 'Direct Grants', version: '1', chainId: 8453 }, TYPES, message);
+  return { ...body, auth: { signer: wallet.address, nonce: message.nonce, expiry: message.expiry, signature } };
+}
+
+async function post(path, body) {
+  const res = await fetch(base + path, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+const TX = '0x' + 'ab'.repeat(32);
+
+test('POST /test/e2e without a signature is refused with the data to sign', async () => {
+  const res = await post('/test/e2e', { txHash: TX, recipient: stranger.address });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.sign.message.action, 'e2e-test');
+});
+
+test('POST /test/e2e from a signer off the whitelist is refused', async () => {
+  const body = { txHash: TX, recipient: stranger.address };
+  const res = await post('/test/e2e', await signed(stranger, 'e2e-test', { ...body, amount: undefined }, body));
+  assert.equal(res.status, 403);
+});
+
+test('POST /test/e2e checks the recipient address', async () => {
+  const entry = { address: grantor.address, roles: ['grantor'] };
+  const added = await post('/admin/whitelist', await signed(admin, 'admin', { method: 'POST', path: '/admin/whitelist', query: {}, body: entry }, entry));
+  assert.equal(added.status, 201);
+
+  const body = { txHash: TX, recipient: 'not-an-address' };
+  const res = await post('/test/e2e', await signed(grantor, 'e2e-test', body, body));
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Invalid recipient address');
+});
+
+test('POST /test/e2e verifies the deposit like POST /grants and releases the claim', async () => {
+  const body = { txHash: TX, recipient: stranger.address };
+  const res = await post('/test/e2e', await signed(grantor, 'e2e-test', body, body));
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'TX_NOT_FOUND');
+
+  const again = await post('/test/e2e', await signed(grantor, 'e2e-test', body, body));
+  assert.equal(again.body.code, 'TX_NOT_FOUND');
+});
+
+test('POST /grants and POST /schedules refuse a deposit someone else sent', async () => {
+  const txHash = '0x' + 'cd'.repeat(32);
+  mineDeposit(txHash, stranger.address);
+
+  const grant = { txHash, recipient: admin.address, amount: '0.01', reason: 'not mine' };
+  const res = await post('/grants', await signed(grantor, 'create-grant', grant, grant));
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'NOT_DEPOSITOR');
+  assert.equal(res.body.depositor, stranger.address.toLowerCase());
+
+  const schedule = { txHash, recipient: admin.address, amount: '0.001', interval: 'weekly' };
+  const scheduled = await post('/schedules', await signed(grantor, 'create-schedule', schedule, schedule));
+  assert.equal(scheduled.status, 403);
+  assert.equal(scheduled.body.code, 'NOT_DEPOSITOR');
+});
+
+test('POST /schedules/:id/topup only takes deposits from the grantor or the depositor', async () => {
+  const own = '0x' + 'ce'.repeat(32);
+  mineDeposit(own, grantor.address);
+  const schedule = { txHash: own, recipient: admin.address, amount: '0.001', interval: 'weekly', startAt: Date.now() + 86400000 };
+  const created = await post('/schedules', await signed(grantor, 'create-schedule', schedule, schedule));
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const id = created.body.schedule.id;
+
+  const theirs = '0x' + 'cd'.repeat(32);
+  const res = await post(`/schedules/${id}/topup`, await signed(grantor, 'topup-schedule', { scheduleId: id, txHash: theirs }, { txHash: theirs }));
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'NOT_DEPOSITOR');
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/storage');
+const { createEscrow } = require('../lib/escrow');
+const { createTokenRegistry } = require('../lib/tokens');
+
+const RECIPIENT = '0x00000000000000000000000000000000000000e1';
+const DEPOSITOR = '0x00000000000000000000000000000000000000d0';
+
+function setup() {
+  const store = createStore();
+  const enqueued = [];
+  const payoutQueue = {
+    enqueue(payout) {
+      const record = store.payouts.insert({ id: `p${enqueued.length + 1}`, status: 'queued', ...payout, createdAt: Date.now() });
+      enqueued.push(record);
+      return record;
+    }
+  };
+  const escrow = createEscrow({ store, payoutQueue, tokens: createTokenRegistry('', 8453) });
+  store.grants.insert({
+    id: 'g1',
+    status: 'escrowed',
+    chainId: 8453,
+    fundingTxHash: '0xf1',
+    recipient: RECIPIENT,
+    depositor: DEPOSITOR,
+    grossAmount: '1050',
+    netAmount: '1000',
+    fee: '50',
+    token: 'ETH',
+    tokenAddress: null,
+    decimals: 18,
+    milestones: [{ n: 1, share: 1 }, { n: 2, share: 1 }]
+  });
+  escrow.allocateMilestones(store.grants.get('g1'));
+  return { store, escrow, enqueued };
+}
+
+function settlePayout(store, escrow, id, status) {
+  escrow.syncPayout(store.payouts.update(id, { status, txHash: `0x${id}` }));
+}
+
+test('the grant is confirmed once every tranche is confirmed', () => {
+  const { store, escrow } = setup();
+  escrow.release(store.grants.get('g1'), 1);
+  escrow.release(store.grants.get('g1'), 2);
+  settlePayout(store, escrow, 'p1', 'confirmed');
+  assert.equal(store.grants.get('g1').status, 'escrowed');
+  settlePayout(store, escrow, 'p2', 'confirmed');
+  assert.equal(store.grants.get('g1').status, 'confirmed');
+});
+
+test('a milestone can be released again after its tranche failed', () => {
+  const { store, escrow, enqueued } = setup();
+  escrow.release(store.grants.get('g1'), 1);
+  assert.equal(escrow.release(store.grants.get('g1'), 1).status, 409);
+
+  settlePayout(store, escrow, 'p1', 'failed');
+  const result = escrow.release(store.grants.get('g1'), 1);
+  assert.equal(result.error, undefined);
+  const milestone = result.grant.milestones[0];
+  assert.equal(milestone.payoutId, 'p2');
+  assert.deepEqual(milestone.previousPayoutIds, ['p1']);
+  assert.equal(enqueued[1].kind, 'tranche');
+  assert.equal(enqueued[1].amount, 500n);
+
+  // A late update of the old payout doesn't touch the milestone
+  settlePayout(store, escrow, 'p1', 'failed');
+  assert.equal(store.grants.get('g1').milestones[0].payoutStatus, 'queued');
+
+  escrow.release(store.grants.get('g1'), 2);
+  settlePayout(store, escrow, 'p2', 'confirmed');
+  settlePayout(store, escrow, 'p3', 'confirmed');
+  assert.equal(store.grants.get('g1').status, 'confirmed');
+});
+
+test('cancelling refunds locked milestones and replaced tranches', () => {
+  const { store, escrow, enqueued } = setup();
+  escrow.release(store.grants.get('g1'), 1);
+  settlePayout(store, escrow, 'p1', 'replaced');
+
+  const { grant } = escrow.refundLocked(store.grants.get('g1'), 'cancelled');
+  assert.equal(grant.status, 'cancelled');
+  assert.equal(grant.refundAmount, '1000');
+  assert.equal(enqueued[1].kind, 'refund');
+  assert.equal(enqueued[1].recipient, DEPOSITOR);
+  assert.deepEqual(grant.milestones.map(m => m.status), ['refunded', 'refunded']);
+});
+
+test('a tranche still in flight is neither released again nor refunded', () => {
+  const { store, escrow } = setup();
+  escrow.release(store.grants.get('g1'), 1);
+  settlePayout(store, escrow, 'p1', 'sent');
+  assert.equal(escrow.release(store.grants.get('g1'), 1).status, 409);
+
+  const { grant } = escrow.refundLocked(store.grants.get('g1'), 'expired');
+  assert.equal(grant.refundAmount, '500');
+  assert.equal(grant.milestones[0].status, 'released');
+});
+
+test('a tranche in flight at cancel is refunded once it fails', () => {
+  const { store, escrow, enqueued } = setup();
+  escrow.release(store.grants.get('g1'), 1);
+  settlePayout(store, escrow, 'p1', 'sent');
+  escrow.refundLocked(store.grants.get('g1'), 'cancelled');
+  assert.equal(enqueued.length, 2);
+
+  settlePayout(store, escrow, 'p1', 'failed');
+  assert.equal(enqueued.length, 3);
+  assert.equal(enqueued[2].kind, 'refund');
+  assert.equal(enqueued[2].recipient, DEPOSITOR);
+  assert.equal(enqueued[2].amount, 500n);
+  const [first] = store.grants.get('g1').milestones;
+  assert.equal(first.status, 'refunded');
+  assert.equal(first.payoutId, 'p3');
+  assert.deepEqual(first.previousPayoutIds, ['p1']);
+
+  // Seen again (e.g. a later status sync), it isn't refunded twice
+  escrow.syncPayout(store.payouts.get('p1'));
+  assert.equal(enqueued.length, 3);
+  settlePayout(store, escrow, 'p3', 'confirmed');
+  assert.equal(store.grants.get('g1').milestones[0].payoutStatus, 'confirmed');
+});
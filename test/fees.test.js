@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createStore } = require('../lib/storage');
+const { createFees, parseTiers, parseDiscounts } = require('../lib/fees');
+const { createTokenRegistry } = require('../lib/tokens');
+
+const TREASURY = '0x00000000000000000000000000000000000000aa';
+const FEE_RECIPIENT = '0x00000000000000000000000000000000000000fe';
+const GRANTOR = '0x00000000000000000000000000000000000000b0';
+const WAIVED = '0x00000000000000000000000000000000000000c0';
+const OTHER = '0x00000000000000000000000000000000000000c1';
+
+const tokens = createTokenRegistry('USDC', 8453);
+const eth = value => ethers.parseEther(value);
+const usdc = value => ethers.parseUnits(value, 6);
+
+function fees(options = {}) {
+  return createFees({ store: createStore(), tokens, payoutQueue: null, treasury: TREASURY, ...options });
+}
+
+test('the base rate is taken from the deposit', () => {
+  const quoted = fees({ bps: 500 }).quote({ amount: eth('1') });
+  assert.equal(quoted.fee, eth('0.05'));
+  assert.equal(quoted.net, eth('0.95'));
+  assert.equal(quoted.bps, 500);
+});
+
+test('tiers apply from their threshold, per token', () => {
+  const f = fees({ bps: 500, tiers: parseTiers('ETH:1=300,ETH:10=100') });
+  assert.equal(f.quote({ amount: eth('0.5') }).bps, 500);
+  assert.equal(f.quote({ amount: eth('1') }).bps, 300);
+  assert.equal(f.quote({ amount: eth('10') }).fee, eth('0.1'));
+  assert.equal(f.quote({ amount: usdc('100'), token: tokens.get('USDC') }).bps, 500);
+});
+
+test('min and max bound the fee, then discounts apply', () => {
+  const f = fees({ bps: 500, min: { USDC: '0.5' }, max: { ETH: '0.05' }, discounts: parseDiscounts(`${GRANTOR}:50`) });
+  assert.equal(f.quote({ amount: usdc('1'), token: tokens.get('USDC') }).fee, usdc('0.5'));
+  assert.equal(f.quote({ amount: eth('10') }).fee, eth('0.05'));
+  assert.equal(f.quote({ amount: eth('10'), grantor: GRANTOR }).fee, eth('0.025'));
+});
+
+test('a full discount is free even with a minimum fee', () => {
+  const f = fees({ min: { ETH: '0.01' }, discounts: parseDiscounts(`${GRANTOR}:100`) });
+  assert.equal(f.quote({ amount: eth('0.001'), grantor: GRANTOR }).fee, 0n);
+});
+
+test('split grants are waived only when every recipient is', () => {
+  const f = fees({ waived: [WAIVED] });
+  assert.equal(f.quote({ amount: eth('1'), recipients: [WAIVED] }).fee, 0n);
+  assert.equal(f.quote({ amount: eth('1'), recipients: [WAIVED, OTHER] }).fee, eth('0.05'));
+});
+
+test('a deposit that does not cover its fee is refused', () => {
+  const quoted = fees({ min: { USDC: '1' } }).quote({ amount: usdc('1'), token: tokens.get('USDC') });
+  assert.match(quoted.error, /does not cover/);
+});
+
+test('invalid fee settings are rejected', () => {
+  assert.throws(() => parseTiers('ETH=300'), /Invalid fee tier/);
+  assert.throws(() => parseDiscounts('0xnope:50'), /Invalid fee discount/);
+  assert.throws(() => fees({ bps: 10001 }), /Invalid fee bps/);
+});
+
+function grantWithFee(store, id, fields) {
+  return store.grants.insert({ id, chainId: 8453, fundingTxHash: `0x${id}`, token: 'ETH', tokenAddress: null, decimals: 18, fee: '50', ...fields });
+}
+
+test('a fee is forwarded once it can no longer be refunded', () => {
+  const store = createStore();
+  const enqueued = [];
+  const payoutQueue = { enqueue: payout => (enqueued.push(payout), { id: `f${enqueued.length}`, status: 'queued' }) };
+  const f = createFees({ store, tokens, payoutQueue, treasury: TREASURY, recipient: FEE_RECIPIENT });
+
+  f.sync(grantWithFee(store, 'g1', { status: 'sent' }));
+  f.sync(grantWithFee(store, 'g2', { status: 'failed' }));
+  assert.equal(enqueued.length, 0);
+
+  f.sync(store.grants.update('g1', { status: 'confirmed' }));
+  f.sync(store.grants.update('g2', { refundStatus: 'queued', feeRefunded: false }));
+  assert.equal(enqueued.length, 2);
+  assert.equal(enqueued[0].amount, 50n);
+  assert.equal(store.grants.get('g1').feePayoutId, 'f1');
+
+  // Forwarded only once
+  f.sync(store.grants.get('g1'));
+  assert.equal(enqueued.length, 2);
+});
+
+test('sweeps group kept fees per network and token, and a failed sweep is retried', () => {
+  const store = createStore();
+  const enqueued = [];
+  const payoutQueue = { enqueue: payout => (enqueued.push(payout), { id: `f${enqueued.length}`, status: 'queued' }) };
+  const f = createFees({ store, tokens, payoutQueue, treasury: TREASURY, recipient: FEE_RECIPIENT, sweepInterval: 1000, sweepMin: { ETH: '0' } });
+  grantWithFee(store, 'g1', { status: 'confirmed' });
+  grantWithFee(store, 'g2', { status: 'escrowed' });
+  grantWithFee(store, 'g3', { status: 'failed' });
+
+  assert.equal(f.sweep().length, 1);
+  assert.equal(enqueued[0].amount, 100n);
+
+  f.syncPayout({ id: 'f1', kind: 'fee', status: 'failed' });
+  assert.equal(store.grants.get('g1').feePayoutId, null);
+  assert.equal(f.sweep().length, 1);
+  assert.equal(enqueued[1].amount, 100n);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/storage');
+const { syncGrantWithPayout } = require('../lib/grants');
+const { createRefunds } = require('../lib/refunds');
+const { createTokenRegistry } = require('../lib/tokens');
+
+const DEPOSITOR = '0x00000000000000000000000000000000000000d0';
+
+function splitGrant(store) {
+  store.grants.insert({
+    id: 'g1',
+    status: 'queued',
+    chainId: 8453,
+    fundingTxHash: '0xf1',
+    depositor: DEPOSITOR,
+    grossAmount: '1050',
+    fee: '50',
+    token: 'ETH',
+    tokenAddress: null,
+    decimals: 18,
+    recipients: [
+      { address: '0x01', amount: '600', payoutId: 'p1', status: 'queued' },
+      { address: '0x02', amount: '400', payoutId: 'p2', status: 'queued' }
+    ]
+  });
+  for (const id of ['p1', 'p2']) {
+    store.payouts.insert({ id, kind: 'grant', grantId: 'g1', chainId: 8453, status: 'queued', createdAt: Date.now() });
+  }
+}
+
+test('a split payout replaced while a sibling is queued makes the grant replaced', () => {
+  const store = createStore();
+  splitGrant(store);
+
+  const payout = store.payouts.update('p1', { status: 'replaced' });
+  const grant = syncGrantWithPayout(store, payout);
+  assert.equal(grant.status, 'replaced');
+  assert.equal(grant.recipients[0].status, 'replaced');
+  assert.equal(grant.recipients[1].status, 'queued');
+});
+
+test('the replaced split grant is refunded once its other payouts settle', () => {
+  const store = createStore();
+  splitGrant(store);
+  const enqueued = [];
+  const refunds = createRefunds({
+    store,
+    tokens: createTokenRegistry('', 8453),
+    payoutQueue: { enqueue: payout => (enqueued.push(payout), { id: 'r1', status: 'queued', ...payout }) }
+  });
+
+  syncGrantWithPayout(store, store.payouts.update('p1', { status: 'replaced' }));
+  assert.match(refunds.refundable(store.grants.get('g1')).error, /in flight/);
+
+  syncGrantWithPayout(store, store.payouts.update('p2', { status: 'confirmed' }));
+  refunds.syncPayout(store.payouts.get('p2'));
+  assert.equal(enqueued.length, 1);
+  assert.equal(enqueued[0].kind, 'refund');
+  assert.equal(enqueued[0].amount, 600n);
+  assert.equal(enqueued[0].recipient, DEPOSITOR);
+  assert.equal(store.grants.get('g1').refundStatus, 'queued');
+  assert.equal(store.grants.get('g1').feeRefunded, false);
+});
+
+test('the fee is refunded too when no recipient was paid', () => {
+  const store = createStore();
+  splitGrant(store);
+  const refunds = createRefunds({ store, tokens: createTokenRegistry('', 8453), payoutQueue: null });
+
+  syncGrantWithPayout(store, store.payouts.update('p1', { status: 'failed' }));
+  syncGrantWithPayout(store, store.payouts.update('p2', { status: 'failed' }));
+  const owed = refunds.refundable(store.grants.get('g1'));
+  assert.equal(owed.amount, 1050n);
+  assert.equal(owed.includesFee, true);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createStore } = require('../lib/storage');
+const { createPayoutQueue } = require('../lib/payouts');
+
+const RECIPIENT = '0x00000000000000000000000000000000000000e1';
+
+/** Node that accepts everything; `broadcasts` collects raw txs. */
+function fakeProvider() {
+  return {
+    broadcasts: [],
+    async getNetwork() {
+      return new ethers.Network('base', 8453n);
+    },
+    async getTransactionCount() {
+      return 0;
+    },
+    async estimateGas() {
+      return 21000n;
+    },
+    async getFeeData() {
+      return new ethers.FeeData(null, 2n, 1n);
+    },
+    async broadcastTransaction(raw) {
+      this.broadcasts.push(raw);
+    }
+  };
+}
+
+function revert() {
+  return Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+}
+
+function setup({ preflight, maxRetries = 5 }) {
+  const store = createStore();
+  const provider = fakeProvider();
+  const wallet = new ethers.Wallet(ethers.Wallet.createRandom().privateKey, provider);
+  const changes = [];
+  const queue = createPayoutQueue({
+    store,
+    chainId: 8453,
+    getProvider: () => provider,
+    getWallet: () => wallet,
+    onChange: payout => changes.push(payout),
+    preflight,
+    maxRetries,
+    retryBaseDelay: 60 * 1000
+  });
+  const enqueue = () => queue.enqueue({ kind: 'grant', grantId: 'g', to: RECIPIENT, value: 1000n });
+  return { store, provider, queue, changes, enqueue };
+}
+
+test('payouts go out in order with consecutive nonces', async () => {
+  const { store, provider, queue, enqueue } = setup({});
+  const first = enqueue();
+  const second = enqueue();
+  await queue.drain();
+
+  assert.equal(store.payouts.get(first.id).status, 'sent');
+  assert.equal(store.payouts.get(second.id).status, 'sent');
+  assert.equal(store.payouts.get(first.id).nonce, 0);
+  assert.equal(store.payouts.get(second.id).nonce, 1);
+  assert.equal(provider.broadcasts.length, 2);
+});
+
+test('a payout whose gas estimate reverts is retried without blocking the next one', async () => {
+  let calls = 0;
+  const { store, queue, enqueue } = setup({ preflight: async () => (calls++ === 0 ? Promise.reject(revert()) : null) });
+  const stuck = enqueue();
+  const next = enqueue();
+  await queue.drain();
+
+  const retried = store.payouts.get(stuck.id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.retries, 1);
+  assert.match(retried.lastError, /reverted/);
+  assert.ok(retried.nextAttemptAt > Date.now());
+  assert.equal(store.payouts.get(next.id).status, 'sent');
+});
+
+test('a payout that keeps reverting ends failed', async () => {
+  const { store, queue, changes, enqueue } = setup({ preflight: async () => { throw revert(); }, maxRetries: 0 });
+  const payout = enqueue();
+  await queue.drain();
+
+  assert.equal(store.payouts.get(payout.id).status, 'failed');
+  assert.equal(changes[changes.length - 1].status, 'failed');
+});
+
+test('a balance shortage holds the queue instead of failing the payout', async () => {
+  const { store, queue, enqueue } = setup({ preflight: async () => 'Insufficient treasury balance' });
+  const payout = enqueue();
+  await queue.drain();
+
+  const held = store.payouts.get(payout.id);
+  assert.equal(held.status, 'queued');
+  assert.equal(held.retries, 0);
+  assert.equal(held.lastError, 'Insufficient treasury balance');
+});
+
+test('an unreachable RPC holds the queue without using up retries', async () => {
+  const unreachable = Object.assign(new Error('connect ECONNREFUSED'), { code: 'NETWORK_ERROR' });
+  const { store, queue, enqueue } = setup({ preflight: async () => { throw unreachable; } });
+  const payout = enqueue();
+  await queue.drain();
+
+  const held = store.payouts.get(payout.id);
+  assert.equal(held.status, 'queued');
+  assert.equal(held.retries, 0);
+});
+
+test('an RPC outage while fetching the nonce or signing does not use up retries', async () => {
+  const { store, provider, queue, enqueue } = setup({ maxRetries: 1 });
+  const getTransactionCount = provider.getTransactionCount;
+  provider.getTransactionCount = async () => {
+    throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'NETWORK_ERROR' });
+  };
+  const payout = enqueue();
+  for (let i = 0; i < 3; i++) await queue.drain();
+
+  const held = store.payouts.get(payout.id);
+  assert.equal(held.status, 'queued');
+  assert.equal(held.retries, 0);
+  assert.match(held.lastError, /RPC unavailable/);
+  assert.equal(provider.broadcasts.length, 0);
+
+  provider.getTransactionCount = getTransactionCount;
+  await queue.drain();
+  assert.equal(store.payouts.get(payout.id).status, 'sent');
+  assert.equal(store.payouts.get(payout.id).retries, 0);
+});
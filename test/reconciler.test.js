@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createStore } = require('../lib/storage');
+const { createReconciler } = require('../lib/reconciler');
+const { signPayout } = require('../lib/transactions');
+
+const WALLET = { address: '0x00000000000000000000000000000000000000aa' };
+
+function sentPayout(store, attempts) {
+  return store.payouts.insert({
+    id: 'p1',
+    kind: 'grant',
+    chainId: 8453,
+    grantId: 'g1',
+    to: '0x01',
+    value: '1',
+    status: 'sent',
+    attempts,
+    createdAt: Date.now()
+  });
+}
+
+/** Provider whose wallet nonce is past ours but that serves no receipt for our txs. */
+function laggingProvider({ head = 100, mined = {}, receipts = {} } = {}) {
+  return {
+    head,
+    async getTransactionCount() {
+      return 8;
+    },
+    async getTransactionReceipt(hash) {
+      return receipts[hash] || null;
+    },
+    async getTransaction(hash) {
+      return mined[hash] ? { hash, blockNumber: mined[hash] } : null;
+    },
+    async getBlockNumber() {
+      return this.head;
+    }
+  };
+}
+
+function receipt(blockNumber, status = 1) {
+  return {
+    blockNumber,
+    status,
+    gasUsed: 21000n,
+    gasPrice: 1n,
+    fee: 21000n,
+    confirmations: async () => 5
+  };
+}
+
+const attempts = [{ hash: '0xa1', nonce: 7, sentAt: Date.now() }, { hash: '0xa2', nonce: 7, sentAt: Date.now() }];
+
+test('a used nonce without receipt is only replaced after replacedAfter blocks', async () => {
+  const store = createStore();
+  const provider = laggingProvider();
+  const reconciler = createReconciler({ store, chainId: 8453, getProvider: () => provider, getWallet: () => WALLET, replacedAfter: 3 });
+  sentPayout(store, attempts);
+
+  let payout = await reconciler.reconcilePayout(store.payouts.get('p1'));
+  assert.equal(payout.status, 'sent');
+  assert.equal(payout.nonceUsedAtBlock, 100);
+
+  provider.head = 102;
+  payout = await reconciler.reconcilePayout(store.payouts.get('p1'));
+  assert.equal(payout.status, 'sent');
+
+  provider.head = 103;
+  payout = await reconciler.reconcilePayout(store.payouts.get('p1'));
+  assert.equal(payout.status, 'replaced');
+});
+
+test('an attempt that turns up mined is settled, not replaced', async () => {
+  const store = createStore();
+  const provider = laggingProvider();
+  const reconciler = createReconciler({ store, chainId: 8453, getProvider: () => provider, getWallet: () => WALLET, replacedAfter: 3, confirmations: 2 });
+  sentPayout(store, attempts);
+
+  await reconciler.reconcilePayout(store.payouts.get('p1'));
+  provider.head = 110;
+  // The node knows the first attempt as mined but hasn't served its receipt
+  provider.getTransaction = async hash => (hash === '0xa1' ? { hash, blockNumber: 99 } : null);
+  let payout = await reconciler.reconcilePayout(store.payouts.get('p1'));
+  assert.equal(payout.status, 'sent');
+
+  provider.getTransactionReceipt = async hash => (hash === '0xa1' ? receipt(99) : null);
+  payout = await reconciler.reconcilePayout(store.payouts.get('p1'));
+  assert.equal(payout.status, 'confirmed');
+  assert.equal(payout.txHash, '0xa1');
+  assert.equal(payout.nonceUsedAtBlock, null);
+});
+
+test('a reverted receipt fails the payout', async () => {
+  const store = createStore();
+  const provider = laggingProvider({ receipts: { '0xa2': receipt(99, 0) } });
+  const reconciler = createReconciler({ store, chainId: 8453, getProvider: () => provider, getWallet: () => WALLET });
+  sentPayout(store, attempts);
+
+  const payout = await reconciler.reconcilePayout(store.payouts.get('p1'));
+  assert.equal(payout.status, 'failed');
+});
+
+/** Node where our tx sits in the mempool forever; fees rise on every look and broadcasts are slow. */
+function stuckProvider() {
+  let fee = 10n;
+  return {
+    broadcasts: [],
+    async getNetwork() {
+      return new ethers.Network('base', 8453n);
+    },
+    async getTransactionCount() {
+      return 7;
+    },
+    async getTransactionReceipt() {
+      return null;
+    },
+    async getTransaction() {
+      return null;
+    },
+    async getFeeData() {
+      fee += 10n;
+      return new ethers.FeeData(null, fee, 1n);
+    },
+    async broadcastTransaction(raw) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      this.broadcasts.push(ethers.Transaction.from(raw).hash);
+    }
+  };
+}
+
+test('concurrent reconciles of a stuck payout bump it once', async () => {
+  const store = createStore();
+  const provider = stuckProvider();
+  const wallet = new ethers.Wallet(ethers.Wallet.createRandom().privateKey, provider);
+  const reconciler = createReconciler({ store, chainId: 8453, getProvider: () => provider, getWallet: () => wallet, stuckAfter: 0 });
+  const first = await signPayout(wallet, { to: '0x0000000000000000000000000000000000000001', value: 1n, nonce: 7, gasLimit: 21000n, chainId: 8453n, maxFeePerGas: 5n, maxPriorityFeePerGas: 1n });
+  sentPayout(store, [first]);
+
+  const stale = store.payouts.get('p1');
+  await Promise.all([reconciler.reconcilePayout(stale), reconciler.reconcilePayout(stale)]);
+
+  const { attempts } = store.payouts.get('p1');
+  assert.equal(attempts.length, 2);
+  assert.deepEqual(provider.broadcasts, [attempts[1].hash]);
+
+  // A later pass with the caller's outdated copy still sees the bump
+  await reconciler.reconcilePayout(stale);
+  const after = store.payouts.get('p1');
+  assert.equal(after.attempts.length, 3);
+  assert.deepEqual(after.attempts.slice(0, 2), attempts);
+  assert.deepEqual(provider.broadcasts, after.attempts.slice(1).map(a => a.hash));
+});
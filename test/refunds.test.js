@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/storage');
+const { createRefunds } = require('../lib/refunds');
+const { createTokenRegistry } = require('../lib/tokens');
+
+const DEPOSITOR = '0x00000000000000000000000000000000000000d0';
+const RECIPIENT = '0x00000000000000000000000000000000000000e1';
+
+function setup() {
+  const store = createStore();
+  const enqueued = [];
+  const payoutQueue = {
+    enqueue(payout) {
+      const record = store.payouts.insert({ id: `r${enqueued.length + 1}`, status: 'queued', ...payout, createdAt: Date.now() });
+      enqueued.push(record);
+      return record;
+    }
+  };
+  const refunds = createRefunds({ store, payoutQueue, tokens: createTokenRegistry('', 8453) });
+  return { store, refunds, enqueued };
+}
+
+function grant(store, fields) {
+  return store.grants.insert({
+    id: 'g1',
+    chainId: 8453,
+    fundingTxHash: '0xf1',
+    recipient: RECIPIENT,
+    depositor: DEPOSITOR,
+    grossAmount: '1050',
+    netAmount: '1000',
+    fee: '50',
+    token: 'ETH',
+    tokenAddress: null,
+    decimals: 18,
+    ...fields
+  });
+}
+
+test('a failed grant is refunded in full, fee included', () => {
+  const { store, refunds, enqueued } = setup();
+  grant(store, { status: 'failed' });
+  store.payouts.insert({ id: 'p1', kind: 'grant', grantId: 'g1', status: 'failed' });
+
+  refunds.syncPayout(store.payouts.get('p1'));
+  assert.equal(enqueued.length, 1);
+  assert.equal(enqueued[0].recipient, DEPOSITOR);
+  assert.equal(enqueued[0].amount, 1050n);
+  const refunded = store.grants.get('g1');
+  assert.equal(refunded.refundReason, 'payout-failed');
+  assert.equal(refunded.feeRefunded, true);
+});
+
+test('a grant is only refunded once', () => {
+  const { store, refunds, enqueued } = setup();
+  grant(store, { status: 'replaced' });
+  refunds.refund(store.grants.get('g1'), 'requested');
+  const again = refunds.refund(store.grants.get('g1'), 'requested');
+  assert.equal(again.status, 409);
+  assert.match(again.error, /already queued/);
+  assert.equal(enqueued.length, 1);
+});
+
+test('a refund whose payout fails can be requested again', () => {
+  const { store, refunds, enqueued } = setup();
+  grant(store, { status: 'failed' });
+  refunds.refund(store.grants.get('g1'), 'payout-failed');
+  refunds.syncPayout(store.payouts.update('r1', { status: 'failed' }));
+  assert.equal(store.grants.get('g1').refundStatus, 'failed');
+
+  const { grant: retried } = refunds.refund(store.grants.get('g1'), 'requested');
+  assert.equal(enqueued.length, 2);
+  assert.equal(retried.refundPayoutId, 'r2');
+  assert.deepEqual(retried.previousRefundPayoutIds, ['r1']);
+
+  refunds.syncPayout(store.payouts.update('r2', { status: 'confirmed', txHash: '0xr2' }));
+  assert.equal(store.grants.get('g1').refundStatus, 'confirmed');
+  assert.equal(store.grants.get('g1').refundTxHash, '0xr2');
+});
+
+test('grants that went through, or are still in flight, are not refundable', () => {
+  const { store, refunds } = setup();
+  grant(store, { status: 'confirmed' });
+  assert.equal(refunds.refundable(store.grants.get('g1')).status, 409);
+
+  store.grants.update('g1', { status: 'failed' });
+  store.payouts.insert({ id: 'p1', kind: 'grant', grantId: 'g1', status: 'sent' });
+  assert.match(refunds.refundable(store.grants.get('g1')).error, /in flight/);
+});
+
+test('a failed escrow refund is sent again for the same amount', () => {
+  const { store, refunds, enqueued } = setup();
+  grant(store, { status: 'cancelled', refundStatus: 'failed', refundAmount: '500', refundPayoutId: 'r0', milestones: [{ n: 1, status: 'refunded', payoutId: 'r0', payoutStatus: 'failed' }] });
+
+  const { grant: retried } = refunds.refund(store.grants.get('g1'), 'requested');
+  assert.equal(enqueued[0].amount, 500n);
+  assert.equal(retried.milestones[0].payoutId, 'r1');
+  assert.equal(retried.milestones[0].payoutStatus, 'queued');
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, adapters } = require('../lib/storage');
+
+/** Adapter that counts saves and fails while `failing` is set. */
+function flakyAdapter() {
+  return {
+    name: 'flaky',
+    saves: 0,
+    failing: false,
+    load() {
+      return null;
+    },
+    save() {
+      if (this.failing) throw new Error('disk full');
+      this.saves++;
+    }
+  };
+}
+
+test('a failed save rolls back the insert, update or remove', () => {
+  const adapter = flakyAdapter();
+  const store = createStore({ adapter });
+  store.grants.insert({ id: 'g1', status: 'pending', fundingTxHash: '0xaa' });
+
+  adapter.failing = true;
+  assert.throws(() => store.grants.insert({ id: 'g2', status: 'pending', fundingTxHash: '0xbb' }), /disk full/);
+  assert.equal(store.grants.get('g2'), null);
+  assert.equal(store.grants.findOne('fundingTxHash', '0xbb'), null);
+
+  assert.throws(() => store.grants.update('g1', { status: 'sent' }), /disk full/);
+  assert.equal(store.grants.get('g1').status, 'pending');
+  assert.equal(store.grants.findBy('status', 'sent').length, 0);
+  assert.equal(store.grants.findBy('status', 'pending').length, 1);
+
+  assert.throws(() => store.grants.remove('g1'), /disk full/);
+  assert.equal(store.grants.get('g1').id, 'g1');
+  assert.equal(store.grants.findOne('fundingTxHash', '0xaa').id, 'g1');
+});
+
+test('batch saves once and rolls back every change when it fails', () => {
+  const adapter = flakyAdapter();
+  const store = createStore({ adapter });
+  store.batch(() => {
+    for (let i = 0; i < 10; i++) store.authNonces.insert({ id: `n${i}`, signer: '0x1', expiresAt: 0 });
+  });
+  assert.equal(adapter.saves, 1);
+
+  adapter.failing = true;
+  assert.throws(() => store.batch(() => {
+    for (const entry of store.authNonces.all()) store.authNonces.remove(entry.id);
+  }), /disk full/);
+  assert.equal(store.authNonces.count(), 10);
+
+  adapter.failing = false;
+  assert.throws(() => store.batch(() => {
+    store.authNonces.remove('n0');
+    throw new Error('abort');
+  }), /abort/);
+  assert.equal(store.authNonces.count(), 10);
+  assert.equal(adapter.saves, 1);
+});
+
+test('file adapter writes atomically and reloads', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-grants-'));
+  const file = path.join(dir, 'data', 'db.json');
+  try {
+    const store = createStore({ adapter: 'file', file });
+    store.grants.insert({ id: 'g1', status: 'pending', fundingTxHash: '0xaa' });
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['db.json']);
+
+    const reopened = createStore({ adapter: 'file', file });
+    assert.equal(reopened.grants.get('g1').status, 'pending');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('sqlite adapter writes only the changed records and reloads', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-grants-'));
+  const file = path.join(dir, 'db.sqlite');
+  try {
+    const adapter = adapters.sqlite({ file });
+    const saves = [];
+    const writes = [];
+    const store = createStore({
+      adapter: {
+        ...adapter,
+        save: snapshot => saves.push(adapter.save(snapshot)),
+        write: changes => writes.push(changes) && adapter.write(changes)
+      }
+    });
+    assert.equal(store.persistent, true);
+    store.grants.insert({ id: 'g1', status: 'pending', fundingTxHash: '0xaa' });
+    store.grants.insert({ id: 'g2', status: 'pending', fundingTxHash: '0xbb' });
+    store.batch(() => {
+      store.grants.update('g1', { status: 'sent' });
+      store.grants.remove('g2');
+    });
+    assert.equal(saves.length, 0);
+    assert.deepEqual(writes.at(-1).map(c => [c.collection, c.key, c.record?.status ?? null]), [['grants', 'g1', 'sent'], ['grants', 'g2', null]]);
+    adapter.close();
+
+    const reopened = createStore({ adapter: 'sqlite', file });
+    assert.equal(reopened.grants.get('g1').status, 'sent');
+    assert.equal(reopened.grants.get('g2'), null);
+    assert.equal(reopened.grants.findOne('fundingTxHash', '0xaa').id, 'g1');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed write rolls back the change', () => {
+  const store = createStore({
+    adapter: { name: 'flaky', load: () => null, save() {}, write() { throw new Error('disk I/O error'); } }
+  });
+  assert.throws(() => store.grants.insert({ id: 'g1', status: 'pending', fundingTxHash: '0xaa' }), /disk I\/O error/);
+  assert.equal(store.grants.get('g1'), null);
+});
+
+test('memory store is not persistent', () => {
+  assert.equal(createStore().persistent, false);
+  assert.equal(createStore({ adapter: 'memory' }).persistent, false);
+});
+
+test('file adapter fails fast when the data directory is not writable', { skip: process.getuid?.() === 0 && 'root can write anywhere' }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-grants-'));
+  fs.chmodSync(dir, 0o500);
+  try {
+    assert.throws(() => createStore({ adapter: 'file', file: path.join(dir, 'db.json') }), { code: 'UNWRITABLE' });
+  } finally {
+    fs.chmodSync(dir, 0o700);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createStore } = require('../lib/storage');
+const { createTreasury } = require('../lib/treasury');
+const { createTokenRegistry } = require('../lib/tokens');
+
+const WALLET = { address: '0x00000000000000000000000000000000000000aa' };
+
+function fakeNetwork({ balance, estimateGas }) {
+  const provider = {
+    async getBalance() {
+      return balance;
+    },
+    async getFeeData() {
+      return new ethers.FeeData(null, 1n, 1n);
+    },
+    estimateGas
+  };
+  return {
+    chainId: 8453,
+    name: 'Base',
+    tokens: createTokenRegistry('', 8453),
+    minBalance: 0n,
+    payoutWallet: WALLET.address,
+    coldTreasury: false,
+    getProvider: () => provider
+  };
+}
+
+function payout(value) {
+  return { id: 'p1', kind: 'grant', token: 'ETH', to: '0x01', value: value.toString(), amount: value.toString() };
+}
+
+function setup(network) {
+  const store = createStore();
+  const treasury = createTreasury({ store, networks: { list: () => [network], get: () => network } });
+  return { treasury, check: treasury.preflight(network) };
+}
+
+test('preflight passes a payout the wallet can pay for', async () => {
+  const { check } = setup(fakeNetwork({ balance: 10n ** 18n, estimateGas: async () => 21000n }));
+  assert.equal(await check(payout(1000n), WALLET, {}), null);
+});
+
+test('a gas estimate refused for lack of funds trips the breaker', async () => {
+  const network = fakeNetwork({
+    balance: 500n,
+    estimateGas: async () => { throw Object.assign(new Error('insufficient funds'), { code: 'INSUFFICIENT_FUNDS' }); }
+  });
+  const { treasury, check } = setup(network);
+  assert.match(await check(payout(1000n), WALLET, {}), /Insufficient treasury balance/);
+  assert.equal(treasury.paused(8453).code, 'TREASURY_LOW_BALANCE');
+});
+
+test('a reverting gas estimate is thrown for the queue to retry, without tripping the breaker', async () => {
+  const network = fakeNetwork({
+    balance: 10n ** 18n,
+    estimateGas: async () => { throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }); }
+  });
+  const { treasury, check } = setup(network);
+  await assert.rejects(check(payout(1000n), WALLET, {}), { code: 'CALL_EXCEPTION' });
+  assert.equal(treasury.paused(8453), null);
+});
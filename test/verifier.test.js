@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createVerifier } = require('../lib/verifier');
+const { createTokenRegistry, erc20 } = require('../lib/tokens');
+
+const TREASURY = '0x00000000000000000000000000000000000000aa';
+const SENDER = '0x00000000000000000000000000000000000000b0';
+const WALLET_CONTRACT = '0x00000000000000000000000000000000000000c0';
+const TX = '0x' + '11'.repeat(32);
+const tokens = createTokenRegistry('USDC', 8453);
+const USDC = tokens.get('USDC');
+
+/** Network whose node knows one tx, mined in block 100 (head `head`). */
+function fakeNetwork({ tx = {}, receipt = {}, head = 105, blockHash = '0xb100', timestamp = Math.floor(Date.now() / 1000), code = '0x', trace = null } = {}) {
+  const provider = {
+    async getTransaction() {
+      return tx && { hash: TX, chainId: 8453n, from: SENDER, to: TREASURY, value: ethers.parseEther('1'), ...tx };
+    },
+    async getTransactionReceipt() {
+      return receipt && { status: 1, blockNumber: 100, blockHash: '0xb100', logs: [], ...receipt };
+    },
+    async getBlock() {
+      return { hash: blockHash, timestamp };
+    },
+    async getBlockNumber() {
+      return head;
+    },
+    async getCode() {
+      return code;
+    },
+    async send(method) {
+      if (method !== 'debug_traceTransaction' || !trace) throw new Error('method not supported');
+      return trace;
+    }
+  };
+  return {
+    chainId: 8453,
+    name: 'Base',
+    treasury: TREASURY,
+    confirmations: 2,
+    tokens,
+    checkChain: async () => null,
+    getProvider: () => provider
+  };
+}
+
+function usdcTransfer(to, amount) {
+  const { data, topics } = erc20.encodeEventLog('Transfer', [SENDER, to, amount]);
+  return { address: USDC.address, topics, data };
+}
+
+const verify = (network, options = {}, settings = {}) => createVerifier({ amountTolerance: 100, ...settings }).verify(TX, { network, ...options });
+
+test('a direct ETH transfer to the treasury is accepted', async () => {
+  const result = await verify(fakeNetwork());
+  assert.equal(result.amount, ethers.parseEther('1'));
+  assert.equal(result.from, SENDER);
+  assert.equal(result.confirmations, 6);
+});
+
+test('pending, failed, reorged and shallow txs are refused with their code', async () => {
+  assert.equal((await verify(fakeNetwork({ tx: null }))).code, 'TX_NOT_FOUND');
+  assert.equal((await verify(fakeNetwork({ tx: { chainId: 1n } }))).code, 'TX_WRONG_CHAIN');
+  assert.equal((await verify(fakeNetwork({ receipt: null }))).code, 'TX_PENDING');
+  assert.equal((await verify(fakeNetwork({ receipt: { status: 0 } }))).code, 'TX_FAILED');
+  assert.equal((await verify(fakeNetwork({ blockHash: '0xother' }))).code, 'TX_REORGED');
+  assert.equal((await verify(fakeNetwork({ head: 100 }))).code, 'TX_UNCONFIRMED');
+  assert.equal((await verify(fakeNetwork({ head: 100 }), {}, { minConfirmations: 1 })).code, undefined);
+});
+
+test('deposits older than maxAge are refused', async () => {
+  const network = fakeNetwork({ timestamp: Math.floor(Date.now() / 1000) - 7200 });
+  assert.equal((await verify(network, {}, { maxAge: 3600 * 1000 })).code, 'TX_TOO_OLD');
+});
+
+test('the declared amount must match within the tolerance', async () => {
+  assert.equal((await verify(fakeNetwork(), { amount: '0.995' })).code, undefined);
+  const mismatch = await verify(fakeNetwork(), { amount: '0.9' });
+  assert.equal(mismatch.code, 'AMOUNT_MISMATCH');
+  assert.equal(mismatch.received, ethers.parseEther('1').toString());
+  assert.equal((await verify(fakeNetwork(), { amount: 'lots' })).code, 'INVALID_AMOUNT');
+});
+
+test('token deposits are read from Transfer logs', async () => {
+  const network = fakeNetwork({ tx: { to: USDC.address, value: 0n }, receipt: { logs: [usdcTransfer(TREASURY, 5_000_000n)] } });
+  const result = await verify(network, { token: USDC });
+  assert.equal(result.token, USDC);
+  assert.equal(result.amount, 5_000_000n);
+
+  assert.equal((await verify(network, { token: tokens.native })).code, 'TOKEN_MISMATCH');
+});
+
+test('ETH and a token in one tx need the token named', async () => {
+  const network = fakeNetwork({ receipt: { logs: [usdcTransfer(TREASURY, 5_000_000n)] } });
+  assert.equal((await verify(network)).code, 'MULTIPLE_DEPOSITS');
+  assert.equal((await verify(network, { token: USDC })).amount, 5_000_000n);
+});
+
+test('transfers elsewhere are refused', async () => {
+  assert.equal((await verify(fakeNetwork({ tx: { to: SENDER } }))).code, 'NOT_TO_TREASURY');
+  assert.equal((await verify(fakeNetwork({ tx: { value: 0n } }))).code, 'NO_FUNDS');
+});
+
+test('ETH forwarded by a contract wallet is found by tracing, reverted frames skipped', async () => {
+  const trace = {
+    calls: [
+      { type: 'CALL', from: WALLET_CONTRACT, to: TREASURY, value: '0xde0b6b3a7640000' },
+      { type: 'CALL', from: WALLET_CONTRACT, to: TREASURY, value: '0x1', error: 'execution reverted' }
+    ]
+  };
+  const network = fakeNetwork({ tx: { to: WALLET_CONTRACT, value: 0n }, code: '0x6080', trace });
+  const result = await verify(network);
+  assert.equal(result.internal, true);
+  assert.equal(result.from, WALLET_CONTRACT);
+  assert.equal(result.amount, ethers.parseEther('1'));
+});
+
+test('an RPC that cannot trace a contract call is reported as such', async () => {
+  const network = fakeNetwork({ tx: { to: WALLET_CONTRACT, value: 0n }, code: '0x6080' });
+  assert.equal((await verify(network)).code, 'TRACE_UNAVAILABLE');
+  assert.equal((await verify(network, {}, { internalTransfers: 'off' })).code, 'NOT_TO_TREASURY');
+});